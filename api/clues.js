@@ -0,0 +1,163 @@
+/**
+ * TEXT SYNC GAME - Clue Board API
+ * ===============================
+ * The room's clue board (see lib/clues.js), kept in the room state.
+ *
+ * GET  /api/clues?room=K7QXM   The whole board: { version, clues }
+ * POST /api/clues?room=K7QXM
+ *   { token, name, action: 'post', text, suspectId? }   Post a clue
+ *   { token, action: 'vote', clueId, vote }             'up' | 'dispute' | 'none'
+ *   { token, action: 'pin', clueId, pinned }            Pin or unpin (host only)
+ *
+ * Every POST answers with the updated board. Spectators are refused with
+ * 403 SPECTATOR, pins from anyone but the host with 403 NOT_HOST. Other clients notice the
+ * change through `cluesVersion` on /api/messages or the stream's
+ * `clues` event.
+ */
+
+import { normalizeRoomCode } from '../lib/rooms.js';
+import { isValidToken, createProfile } from '../lib/identity.js';
+import { refreshPresence, loadRoomState, fillRoomState } from '../lib/presence.js';
+import { getStorage } from '../lib/storage/index.js';
+import { validate, createError, ERROR_CODES } from '../lib/validation.js';
+import { createMessageGuard, getClientIp } from '../lib/ratelimit.js';
+import { MODERATION_ERRORS, checkHost, checkPost, createSpectatorError } from '../lib/moderation.js';
+import { addClue, voteClue, pinClue, getPublicBoard } from '../lib/clues.js';
+import { requestLogger, redactText } from '../lib/logger.js';
+import { applyCors, checkInvite, isWatchInvite } from '../lib/access.js';
+
+// Which payload schema each action uses (see lib/validation.js)
+const ACTION_SCHEMAS = {
+    post: 'postClue',
+    vote: 'voteClue',
+    pin: 'pinClue'
+};
+
+// Per-instance flood protection for new clues (see lib/ratelimit.js)
+const checkClue = createMessageGuard();
+
+export default async function handler(req, res) {
+    const originError = applyCors(req, res, { methods: 'GET, POST, OPTIONS' });
+    if (originError) {
+        return sendError(res, 403, originError);
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    const room = normalizeRoomCode(req.query.room);
+    if (!room) {
+        return sendError(res, 400, createError(ERROR_CODES.INVALID_PAYLOAD, 'Missing or invalid room', { field: 'room' }));
+    }
+
+    const storage = getStorage();
+    const log = requestLogger(req, res, { room });
+
+    const inviteError = checkInvite(room, req.query.invite);
+    if (inviteError) {
+        log.info('invite refused', { code: inviteError.code });
+        return sendError(res, 403, inviteError);
+    }
+
+    if (req.method === 'GET') {
+        const state = await loadRoomState(storage, room);
+        return res.status(200).json(getPublicBoard(state.clues));
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const body = req.body || {};
+    const schema = ACTION_SCHEMAS[body.action];
+    if (!schema) {
+        return sendError(res, 400, createError(ERROR_CODES.INVALID_PAYLOAD, 'action must be post, vote or pin', { field: 'action' }));
+    }
+
+    const { value, error } = validate(schema, body);
+    if (error) {
+        return sendError(res, 400, error);
+    }
+    if (!isValidToken(body.token)) {
+        return sendError(res, 400, createError(ERROR_CODES.INVALID_PAYLOAD, 'token has an invalid format', { field: 'token' }));
+    }
+
+    // Only players who may be in the room touch its board; spectators (and
+    // anyone on a watch invite) just look
+    const player = createProfile(body.token, typeof body.name === 'string' ? body.name : null);
+    if (isWatchInvite(req.query.invite)) {
+        player.spectator = true;
+    }
+    const presence = await refreshPresence(storage, room, player);
+    const presenceError = presence.error || (presence.spectator ? createSpectatorError() : null);
+    if (presenceError) {
+        return sendError(res, 403, presenceError);
+    }
+
+    if (body.action === 'post') {
+        const muteError = checkPost(presence.roomInfo, player.id);
+        if (muteError) {
+            return sendError(res, 403, muteError);
+        }
+
+        const limitError = checkClue({
+            playerId: player.id,
+            ip: getClientIp(req.headers, req.socket && req.socket.remoteAddress, true),
+            text: value.text
+        });
+        if (limitError) {
+            log.warn('clue refused', { playerId: player.id, code: limitError.code });
+            return sendError(res, limitError.code === ERROR_CODES.RATE_LIMITED ? 429 : 400, limitError);
+        }
+    }
+
+    // One atomic update, so concurrent votes and posts all count
+    const { board, actionError } = await storage.updateRoomState(room, (stored) => {
+        const state = fillRoomState(stored);
+        let actionError = null;
+
+        if (body.action === 'post') {
+            const findPlayer = (id) => {
+                const suspect = state.players[id];
+                return suspect && suspect.online && !suspect.spectator ? suspect : null;
+            };
+            actionError = addClue(state.clues, player, value, findPlayer).error;
+        } else if (body.action === 'vote') {
+            actionError = voteClue(state.clues, player.id, value.clueId, value.vote);
+        } else {
+            // Pins are for everyone, so only the host sets them
+            actionError = checkHost(state.moderation, player.id) || pinClue(state.clues, value.clueId, value.pinned);
+        }
+
+        // The board functions check before they change anything
+        return actionError ? { actionError } : { board: getPublicBoard(state.clues) };
+    });
+
+    if (actionError) {
+        return sendError(res, actionStatus(actionError), actionError);
+    }
+
+    log.info(`clue ${body.action}`, {
+        playerId: player.id,
+        clueId: value.clueId,
+        text: body.action === 'post' ? redactText(value.text) : undefined
+    });
+    return res.status(200).json(board);
+}
+
+function actionStatus(error) {
+    if (error.code === MODERATION_ERRORS.NOT_HOST) return 403;
+    if (error.code === ERROR_CODES.NOT_FOUND) return 404;
+    return 400;
+}
+
+/**
+ * Send a structured error: { error, code, field?, retryAfter? }
+ */
+function sendError(res, status, { message, ...details }) {
+    if (details.retryAfter) {
+        res.setHeader('Retry-After', String(details.retryAfter));
+    }
+    return res.status(status).json({ error: message, ...details });
+}
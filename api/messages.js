@@ -2,60 +2,446 @@
  * TEXT SYNC GAME - Vercel Serverless API
  * =======================================
  * API endpoint for sending and receiving messages
- * Uses in-memory storage (resets on cold start)
+ * Messages are scoped to a room: /api/messages?room=K7QXM
+ *
+ * GET ?room=K7QXM&since=<id>             Everything after a message id
+ * GET ?room=K7QXM                        The newest page (snapshot on join)
+ * GET ?room=K7QXM&before=<id>&limit=50   The page before a message id
+ * Pages come with `hasMore` when there is older history left.
+ *
+ * History and room state live in the storage backend chosen by
+ * STORAGE_BACKEND (see lib/storage) - set it to redis so they survive
+ * cold starts and are shared by every instance.
+ *
+ * Polls identify the player with the X-Player-Token / X-Player-Name
+ * headers, which doubles as a presence heartbeat (see lib/presence.js).
+ *
+ * POST { token, name, text, to } whispers to the player with id `to`.
+ * Other readers get a { type: 'hidden' } placeholder (see lib/messages.js);
+ * send the token headers to see your own whispers.
+ *
+ * The room host moderates with POST { action, token, playerId?, messageId? }
+ * (see lib/moderation.js for the actions).
+ *
+ * Chat commands go in as POST { command: '/roll 2d6', token, name }
+ * (see lib/commands.js) and answer with { success, reply? }.
+ *
+ * Reactions toggle with POST { messageId, emoji, token, name } (see
+ * lib/reactions.js). Polls pass `reactionsSince=<version>` and get
+ * `reactions: { version, changes }` with the messages whose reactions
+ * changed since then.
+ *
+ * Chat messages list the players they @mention as `mentions` (see
+ * lib/messages.js).
+ *
+ * Polls from a watch link add `spectate=1`: spectators see the room but
+ * every POST from them is refused with 403 SPECTATOR. `userCount` counts
+ * players; `spectatorCount` the spectators. With invites on, a watch
+ * invite makes a spectator of its holder whatever `spectate` says.
+ *
+ * Only the sites in ALLOWED_ORIGINS may call it from a browser, and with
+ * INVITE_SECRET set every request needs `invite=<token>` for the room:
+ * 403 ORIGIN_NOT_ALLOWED / INVITE_REQUIRED / INVITE_INVALID otherwise
+ * (see lib/access.js). Polls get a fresh `invite` and `watchInvite`
+ * (null when invites are off) to keep sharing; holders of a watch invite
+ * get a watch invite back as `invite` too.
+ *
+ * Every response carries an X-Request-Id that matches the server's log
+ * lines for it (see lib/logger.js).
  */
 
-// In-memory message store (shared across requests in same instance)
-// Note: On Vercel, this resets on cold starts. For production, use Redis/Upstash
-let messages = [];
-let userCount = 0;
-const MAX_MESSAGES = 100;
+import { normalizeRoomCode } from '../lib/rooms.js';
+import { isValidToken, createProfile, playerIdFromToken } from '../lib/identity.js';
+import {
+    createChatMessage,
+    createWhisperMessage,
+    createSystemMessage,
+    findByNonce,
+    findMentions,
+    visibleTo
+} from '../lib/messages.js';
+import { refreshPresence, loadRoomState, fillRoomState } from '../lib/presence.js';
+import {
+    MODERATION_ERRORS,
+    checkPost,
+    createSpectatorError,
+    applyModeration,
+    describeModeration,
+    createDeletedPlaceholder,
+    createDeleteEvent,
+    getRoomInfo
+} from '../lib/moderation.js';
+import { getStorage } from '../lib/storage/index.js';
+import { validate, createError, ERROR_CODES } from '../lib/validation.js';
+import { HISTORY_RETENTION, clampLimit, readPage, appendMessage } from '../lib/history.js';
+import { createMessageGuard, getClientIp } from '../lib/ratelimit.js';
+import { runCommand } from '../lib/commands.js';
+import { toggleReaction, getReactionChanges } from '../lib/reactions.js';
+import { requestLogger, redactText } from '../lib/logger.js';
+import { applyCors, checkInvite, createInvite, createWatchInvite, isWatchInvite } from '../lib/access.js';
 
-export default function handler(req, res) {
-    // Enable CORS
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+// Per-instance flood protection (see lib/ratelimit.js)
+const checkMessage = createMessageGuard();
+// Commands may repeat (/roll), they just can't flood
+const checkCommand = createMessageGuard({ duplicateWindowMs: 0 });
+
+export default async function handler(req, res) {
+    const originError = applyCors(req, res, {
+        methods: 'GET, POST, OPTIONS',
+        headers: 'Content-Type, X-Player-Token, X-Player-Name'
+    });
+    if (originError) {
+        return sendError(res, 403, originError);
+    }
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
+    const room = normalizeRoomCode(req.query.room);
+    if (!room) {
+        return sendError(res, 400, createError(ERROR_CODES.INVALID_PAYLOAD, 'Missing or invalid room', { field: 'room' }));
+    }
+
+    const storage = getStorage();
+    const log = requestLogger(req, res, { room });
+
+    const inviteError = checkInvite(room, req.query.invite);
+    if (inviteError) {
+        log.info('invite refused', { code: inviteError.code });
+        return sendError(res, 403, inviteError);
+    }
+
+    if (req.method === 'POST' && req.body && req.body.action !== undefined) {
+        return handleModeration(req, res, storage, room, log);
+    }
+
+    if (req.method === 'POST' && req.body && req.body.command !== undefined) {
+        return handleCommand(req, res, storage, room, log);
+    }
+
+    if (req.method === 'POST' && req.body && req.body.emoji !== undefined) {
+        return handleReaction(req, res, storage, room, log);
+    }
+
     if (req.method === 'POST') {
         // Send a new message
-        const { text, senderId } = req.body;
+        const { value, error } = validate('postMessage', req.body);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+        if (!isValidToken(value.token)) {
+            return sendError(res, 400, createError(ERROR_CODES.INVALID_PAYLOAD, 'token has an invalid format', { field: 'token' }));
+        }
+
+        const player = requestProfile(req, value.token, value.name);
 
-        if (!text || !senderId) {
-            return res.status(400).json({ error: 'Missing text or senderId' });
+        // A resend after a dropped connection: confirm it instead of posting it twice.
+        // The whole retained history counts - a busy room can move on a lot while
+        // the sender is offline.
+        if (value.nonce) {
+            const recent = await storage.listBefore(room, null, HISTORY_RETENTION);
+            const alreadySent = findByNonce(recent, player.id, value.nonce);
+            if (alreadySent) {
+                return res.status(200).json({ success: true, message: alreadySent });
+            }
         }
 
-        const message = {
-            id: Date.now(),
-            text: text.substring(0, 500), // Limit message length
-            senderId,
-            timestamp: new Date().toISOString()
-        };
+        // Posting counts as being online - unless the host says otherwise.
+        // Spectators only watch.
+        const presence = await refreshPresence(storage, room, player);
+        const moderationError = presence.error ||
+            (presence.spectator ? createSpectatorError() : null) ||
+            checkPost(presence.roomInfo, player.id);
+        if (moderationError) {
+            return sendError(res, 403, moderationError);
+        }
 
-        messages.push(message);
+        // Whispers go to another player who is online in the room
+        let recipient = null;
+        if (value.to) {
+            const { players } = await loadRoomState(storage, room);
+            const candidate = players[value.to];
+            recipient = candidate && candidate.online && !candidate.spectator ? candidate : null;
+            if (!recipient || recipient.id === player.id) {
+                return sendError(res, 404, createError(ERROR_CODES.NOT_FOUND, 'Nobody by that name is in the room', { field: 'to' }));
+            }
+        }
 
-        // Keep only last MAX_MESSAGES
-        if (messages.length > MAX_MESSAGES) {
-            messages = messages.slice(-MAX_MESSAGES);
+        // Vercel's proxy sets X-Forwarded-For, so it can be trusted here
+        const limitError = checkMessage({
+            playerId: player.id,
+            ip: getClientIp(req.headers, req.socket && req.socket.remoteAddress, true),
+            text: value.text
+        });
+        if (limitError) {
+            log.warn('message refused', { playerId: player.id, code: limitError.code });
+            return sendError(res, limitError.code === ERROR_CODES.RATE_LIMITED ? 429 : 400, limitError);
         }
 
+        const message = recipient
+            ? createWhisperMessage(room, player, recipient, value.text, value.nonce)
+            : createChatMessage(room, player, value.text, value.nonce, findMentions(value.text, presence.online));
+        await appendMessage(storage, room, message);
+
+        log.info(recipient ? 'whisper posted' : 'message posted', {
+            playerId: player.id,
+            messageId: message.id,
+            recipientId: recipient ? recipient.id : undefined,
+            text: redactText(value.text)
+        });
         return res.status(200).json({ success: true, message });
     }
 
     if (req.method === 'GET') {
-        // Get messages since a given ID
+        // Anonymous polls still see the room, they just don't count as online.
+        // Polls from a watch link pass spectate=1, the others spectate=0.
+        const token = req.headers['x-player-token'];
+        const player = isValidToken(token)
+            ? requestProfile(req, token, decodeHeader(req.headers['x-player-name']))
+            : null;
+        if (player && !player.spectator && req.query.spectate !== undefined) {
+            player.spectator = req.query.spectate === '1';
+        }
+        const {
+            online, spectatorCount, roomInfo, typing, cluesVersion, reactionsVersion, error
+        } = await refreshPresence(storage, room, player);
+        if (error) {
+            return sendError(res, 403, error);
+        }
+
+        // Get messages since a given ID, or a page of history
         const since = parseInt(req.query.since) || 0;
-        const newMessages = messages.filter(m => m.id > since);
+        const before = parseInt(req.query.before) || 0;
+        const page = before || !since
+            ? await readPage(storage, room, before, clampLimit(req.query.limit))
+            : { messages: await storage.listSince(room, since) };
+
+        // Only read the reactions when something changed since the client's version
+        const reactionsSince = parseInt(req.query.reactionsSince) || 0;
+        const reactions = reactionsVersion > reactionsSince
+            ? getReactionChanges((await loadRoomState(storage, room)).reactions, reactionsSince)
+            : { version: reactionsVersion, changes: [] };
 
         return res.status(200).json({
-            messages: newMessages,
-            userCount: Math.max(1, userCount)
+            messages: page.messages.map(message => visibleTo(message, player ? player.id : null)),
+            hasMore: page.hasMore,
+            userCount: online.length,
+            spectatorCount,
+            online,
+            roomInfo,
+            typing,
+            cluesVersion,
+            reactions,
+            invite: isWatchInvite(req.query.invite) ? createWatchInvite(room) : createInvite(room),
+            watchInvite: createWatchInvite(room)
         });
     }
 
     return res.status(405).json({ error: 'Method not allowed' });
 }
+
+/**
+ * Apply a host action and post the matching notice
+ */
+async function handleModeration(req, res, storage, room, log) {
+    const { value, error } = validate('postModeration', req.body);
+    if (error) {
+        return sendError(res, 400, error);
+    }
+    if (!isValidToken(value.token)) {
+        return sendError(res, 400, createError(ERROR_CODES.INVALID_PAYLOAD, 'token has an invalid format', { field: 'token' }));
+    }
+
+    const actorId = playerIdFromToken(value.token);
+    const result = await moderateRoom(storage, room, actorId, value);
+    if (result.error) {
+        return sendError(res, moderationStatus(result.error), result.error);
+    }
+
+    log.info('moderation', { playerId: actorId, action: value.action, targetId: value.playerId });
+    return res.status(200).json({ success: true, roomInfo: result.roomInfo });
+}
+
+/**
+ * Carry out a host action in a room. Returns { error } or { roomInfo }.
+ *
+ * The action is applied in one atomic room state update, so a presence
+ * refresh racing it can't write back the moderation state from before.
+ */
+async function moderateRoom(storage, room, actorId, request) {
+    const { error, action, messageId, notice, roomInfo } = await storage.updateRoomState(room, (stored) => {
+        const state = fillRoomState(stored);
+        const isOnline = (playerId) => Boolean(state.players[playerId] && state.players[playerId].online);
+
+        const result = applyModeration(state.moderation, actorId, request, isOnline);
+        if (result.error) {
+            return result;
+        }
+        if (result.action === 'kick') {
+            state.players[result.playerId].online = false;
+        }
+
+        return {
+            ...result,
+            notice: describeModeration(result, playerId => state.players[playerId].name),
+            roomInfo: getRoomInfo(state.moderation)
+        };
+    });
+    if (error) {
+        return { error };
+    }
+
+    if (action === 'deleteMessage') {
+        const [target] = await storage.listSince(room, messageId - 1);
+        if (!target || target.id !== messageId || target.type !== 'chat') {
+            return { error: createError(MODERATION_ERRORS.NOT_FOUND, 'That message is gone') };
+        }
+        await storage.replace(room, target.id, createDeletedPlaceholder(target));
+        await appendMessage(storage, room, createDeleteEvent(room, target.id));
+    }
+
+    if (notice) {
+        await appendMessage(storage, room, createSystemMessage(room, notice));
+    }
+
+    return { roomInfo };
+}
+
+/**
+ * Run a chat command (see lib/commands.js)
+ */
+async function handleCommand(req, res, storage, room, log) {
+    const { value, error } = validate('postCommand', req.body);
+    if (error) {
+        return sendError(res, 400, error);
+    }
+    if (!isValidToken(value.token)) {
+        return sendError(res, 400, createError(ERROR_CODES.INVALID_PAYLOAD, 'token has an invalid format', { field: 'token' }));
+    }
+
+    const player = requestProfile(req, value.token, value.name);
+    const presence = await refreshPresence(storage, room, player);
+    const presenceError = presence.error || (presence.spectator ? createSpectatorError() : null);
+    if (presenceError) {
+        return sendError(res, 403, presenceError);
+    }
+
+    const limitError = checkCommand({
+        playerId: player.id,
+        ip: getClientIp(req.headers, req.socket && req.socket.remoteAddress, true),
+        text: value.command
+    });
+    if (limitError) {
+        log.warn('command refused', { playerId: player.id, code: limitError.code });
+        return sendError(res, 429, limitError);
+    }
+
+    // The game only runs on the Socket.IO server, so there is no castVote here
+    const result = await runCommand(value.command, {
+        player,
+        players: presence.online,
+        moderation: presence.roomInfo,
+        moderate: async (action, playerId) => (await moderateRoom(storage, room, player.id, { action, playerId })).error || null
+    });
+    if (result.error) {
+        return sendError(res, commandStatus(result.error), result.error);
+    }
+
+    if (result.notice) {
+        await appendMessage(storage, room, createSystemMessage(room, result.notice));
+    }
+
+    log.info('command ran', { playerId: player.id, command: value.command.split(/\s/)[0].toLowerCase() });
+    return res.status(200).json({ success: true, reply: result.reply });
+}
+
+/**
+ * Toggle an emoji reaction on a chat message (see lib/reactions.js)
+ */
+async function handleReaction(req, res, storage, room, log) {
+    const { value, error } = validate('postReaction', req.body);
+    if (error) {
+        return sendError(res, 400, error);
+    }
+    if (!isValidToken(value.token)) {
+        return sendError(res, 400, createError(ERROR_CODES.INVALID_PAYLOAD, 'token has an invalid format', { field: 'token' }));
+    }
+
+    const [stored] = await storage.listSince(room, value.messageId - 1);
+    const message = stored && stored.id === value.messageId ? stored : null;
+
+    // Reacting counts as being online; muted players and spectators can't react.
+    // The reaction goes into the same atomic update as the presence refresh.
+    const player = requestProfile(req, value.token, value.name);
+    const { result } = await refreshPresence(storage, room, player, {
+        update: (state, { spectator, error }) => {
+            const moderationError = error ||
+                (spectator ? createSpectatorError() : null) ||
+                checkPost(state.moderation, player.id);
+            if (moderationError) return { moderationError };
+
+            const reactionError = toggleReaction(state.reactions, player, message, value.emoji);
+            if (reactionError) return { reactionError };
+
+            // Just the message that changed; polls pick up the rest
+            return { reactions: getReactionChanges(state.reactions, state.reactions.version - 1) };
+        }
+    });
+
+    if (result.moderationError) {
+        return sendError(res, 403, result.moderationError);
+    }
+    if (result.reactionError) {
+        const { reactionError } = result;
+        return sendError(res, reactionError.code === ERROR_CODES.NOT_FOUND ? 404 : 400, reactionError);
+    }
+    log.debug('reaction toggled', { playerId: player.id, messageId: value.messageId, emoji: value.emoji });
+
+    return res.status(200).json({ success: true, reactions: result.reactions });
+}
+
+function moderationStatus(error) {
+    if (error.code === MODERATION_ERRORS.NOT_HOST) return 403;
+    if (error.code === MODERATION_ERRORS.NOT_FOUND) return 404;
+    return 400;
+}
+
+function commandStatus(error) {
+    if (error.code === MODERATION_ERRORS.MUTED) return 403;
+    return moderationStatus(error);
+}
+
+/**
+ * Send a structured error: { error, code, field?, retryAfter? }
+ */
+function sendError(res, status, { message, ...details }) {
+    if (details.retryAfter) {
+        res.setHeader('Retry-After', String(details.retryAfter));
+    }
+    return res.status(status).json({ error: message, ...details });
+}
+
+/**
+ * Header values are ASCII-only, so clients URI-encode the nickname
+ */
+function decodeHeader(value) {
+    try {
+        return value ? decodeURIComponent(value) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * The player making a request. Holders of a watch invite are spectators,
+ * whatever else the request says (see lib/access.js).
+ */
+function requestProfile(req, token, name) {
+    const profile = createProfile(token, name);
+    if (isWatchInvite(req.query.invite)) {
+        profile.spectator = true;
+    }
+    return profile;
+}
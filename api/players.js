@@ -0,0 +1,41 @@
+/**
+ * TEXT SYNC GAME - Players API
+ * ============================
+ * Exchanges a secret player token and a nickname for the public
+ * profile (id, display name, avatar colour) the other players will see.
+ * Responses carry an X-Request-Id that matches the log lines for them
+ * (see lib/logger.js).
+ */
+
+import { isValidToken, createProfile } from '../lib/identity.js';
+import { applyCors } from '../lib/access.js';
+import { requestLogger } from '../lib/logger.js';
+
+export default function handler(req, res) {
+    const log = requestLogger(req, res);
+
+    const originError = applyCors(req, res, { methods: 'POST, OPTIONS' });
+    if (originError) {
+        log.warn('origin refused', { code: originError.code, origin: req.headers.origin });
+        return res.status(403).json({ error: originError.message, code: originError.code });
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method === 'POST') {
+        const { token, name } = req.body || {};
+
+        if (!isValidToken(token)) {
+            log.info('invalid token');
+            return res.status(400).json({ error: 'Invalid token' });
+        }
+
+        const player = createProfile(token, name);
+        log.debug('player registered', { playerId: player.id });
+        return res.status(200).json({ player });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+}
@@ -0,0 +1,85 @@
+/**
+ * TEXT SYNC GAME - Presence API
+ * =============================
+ * Heartbeat for clients that are not polling /api/messages right now.
+ * POST /api/presence?room=K7QXM  { token, name }         I'm still here
+ * POST /api/presence?room=K7QXM  { token, name, spectate } ...watching (or not)
+ * POST /api/presence?room=K7QXM  { token, name, typing } I started/stopped typing
+ * POST /api/presence?room=K7QXM  { token, leave: true }  I'm leaving
+ * POST /api/presence?room=K7QXM  { token, name, whispersSince } ...and any
+ *   whispers to or from me after that message id: { whispers, lastMessageId }.
+ *   The event stream is anonymous and only carries placeholders for
+ *   whispers (see api/stream.js), so streaming clients pick theirs up here.
+ *
+ * A watch invite keeps its holder watching, whatever `spectate` says.
+ */
+
+import { normalizeRoomCode } from '../lib/rooms.js';
+import { isValidToken, createProfile, playerIdFromToken } from '../lib/identity.js';
+import { refreshPresence, removePresence, updateTyping } from '../lib/presence.js';
+import { getStorage } from '../lib/storage/index.js';
+import { requestLogger } from '../lib/logger.js';
+import { applyCors, checkInvite, isWatchInvite } from '../lib/access.js';
+
+export default async function handler(req, res) {
+    const originError = applyCors(req, res, { methods: 'POST, OPTIONS' });
+    if (originError) {
+        return res.status(403).json({ error: originError.message, code: originError.code });
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const room = normalizeRoomCode(req.query.room);
+    const { token, name, leave, typing, spectate, whispersSince } = req.body || {};
+
+    if (!room || !isValidToken(token)) {
+        return res.status(400).json({ error: 'Missing or invalid room or token' });
+    }
+
+    const storage = getStorage();
+    const log = requestLogger(req, res, { room, playerId: playerIdFromToken(token) });
+
+    const inviteError = checkInvite(room, req.query.invite);
+    if (inviteError) {
+        log.info('invite refused', { code: inviteError.code });
+        return res.status(403).json({ error: inviteError.message, code: inviteError.code });
+    }
+
+    if (leave) {
+        await removePresence(storage, room, playerIdFromToken(token));
+        log.info('player left');
+        return res.status(200).json({ success: true });
+    }
+
+    const profile = createProfile(token, name);
+    if (isWatchInvite(req.query.invite)) {
+        profile.spectator = true;
+    } else if (typeof spectate === 'boolean') {
+        profile.spectator = spectate;
+    }
+    const { online, spectatorCount, roomInfo, error } = await refreshPresence(storage, room, profile);
+    if (error) {
+        log.info('presence refused', { code: error.code });
+        return res.status(403).json({ error: error.message, code: error.code });
+    }
+    log.debug('heartbeat', { spectator: profile.spectator });
+
+    if (typing !== undefined) {
+        await updateTyping(storage, room, profile, Boolean(typing));
+    }
+
+    const body = { userCount: online.length, spectatorCount, online, roomInfo };
+    if (Number.isInteger(whispersSince) && whispersSince >= 0) {
+        const recent = await storage.listSince(room, whispersSince);
+        body.whispers = recent.filter(message => message.type === 'whisper' &&
+            (message.senderId === profile.id || message.recipientId === profile.id));
+        body.lastMessageId = recent.length > 0 ? recent[recent.length - 1].id : whispersSince;
+    }
+    return res.status(200).json(body);
+}
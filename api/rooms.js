@@ -0,0 +1,32 @@
+/**
+ * TEXT SYNC GAME - Rooms API
+ * ==========================
+ * Hands out join codes for new rooms.
+ * Rooms on the serverless API are implicit: any valid code can be used
+ * with /api/messages?room=, this just picks a fresh one - and, with
+ * INVITE_SECRET set, the invite tokens to play in it and to watch it
+ * (see lib/access.js).
+ */
+
+import { generateRoomCode } from '../lib/rooms.js';
+import { requestLogger } from '../lib/logger.js';
+import { applyCors, createInvite, createWatchInvite } from '../lib/access.js';
+
+export default function handler(req, res) {
+    const originError = applyCors(req, res, { methods: 'POST, OPTIONS' });
+    if (originError) {
+        return res.status(403).json({ error: originError.message, code: originError.code });
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method === 'POST') {
+        const code = generateRoomCode();
+        requestLogger(req, res, { room: code }).info('room code handed out');
+        return res.status(200).json({ code, invite: createInvite(code), watchInvite: createWatchInvite(code) });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+}
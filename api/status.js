@@ -1,14 +1,40 @@
 /**
  * TEXT SYNC GAME - Status API
  * ===========================
- * Simple endpoint to check if the API is running
+ * Readiness check for the serverless API: pings the storage backend
+ * (see lib/storage/index.js) and reports how this instance is doing.
+ *
+ *   GET /api/status
+ *
+ * 200 { status: 'online', timestamp, storage, checks, uptime, memory }
+ * 503 with status 'unavailable' when storage doesn't answer, so load
+ * balancers and uptime monitors can tell. 403 ORIGIN_NOT_ALLOWED for a
+ * page from a site not in ALLOWED_ORIGINS (see lib/access.js), which is
+ * how clients find out before trying anything else.
  */
 
-export default function handler(req, res) {
-    res.setHeader('Access-Control-Allow-Origin', '*');
+import { checkBackends, getProcessStats } from '../lib/health.js';
+import { getStorage } from '../lib/storage/index.js';
+import { requestLogger } from '../lib/logger.js';
+import { applyCors } from '../lib/access.js';
 
-    return res.status(200).json({
-        status: 'online',
-        timestamp: new Date().toISOString()
+export default async function handler(req, res) {
+    res.setHeader('Cache-Control', 'no-store');
+    const originError = applyCors(req, res, { methods: 'GET' });
+    if (originError) {
+        return res.status(403).json({ error: originError.message, code: originError.code });
+    }
+
+    const { ready, checks } = await checkBackends({ storage: getStorage() });
+    if (!ready) {
+        requestLogger(req, res).warn('storage unavailable', { checks });
+    }
+
+    return res.status(ready ? 200 : 503).json({
+        status: ready ? 'online' : 'unavailable',
+        timestamp: new Date().toISOString(),
+        storage: process.env.STORAGE_BACKEND || 'memory',
+        checks,
+        ...getProcessStats()
     });
 }
@@ -0,0 +1,154 @@
+/**
+ * TEXT SYNC GAME - Event Stream API
+ * =================================
+ * Server-Sent Events for a room, replacing the 1-second polling loop:
+ *
+ *   GET /api/stream?room=K7QXM&since=<message id>[&invite=<token>]
+ *
+ * Without Last-Event-ID or `since`, the stream starts with the newest page
+ * of history (see lib/history.js) rather than everything the room kept.
+ *
+ * Events:
+ *   message   A new message (the SSE id is the message id). The stream
+ *             is anonymous, so whispers arrive as { type: 'hidden' }
+ *             placeholders for everyone; the sender and recipient get
+ *             the whisper itself with their next heartbeat (see api/presence.js).
+ *   presence  { userCount, spectatorCount, online, roomInfo } whenever it changes
+ *   typing    { typing: [{ id, name }] } whenever it changes
+ *   clues     The clue board { version, clues } on connect and whenever it changes
+ *   reactions { version, changes } for messages whose reactions changed
+ *             (all of them on connect, see lib/reactions.js)
+ *
+ * Serverless functions can't stay open forever, so each stream ends after
+ * STREAM_DURATION. EventSource reconnects with a Last-Event-ID header and
+ * the stream resumes right after the last message the client got.
+ *
+ * The stream is read-only: clients stay online by sending heartbeats
+ * to /api/presence while it is open, and collect their whispers there.
+ */
+
+import { normalizeRoomCode } from '../lib/rooms.js';
+import { refreshPresence, loadRoomState } from '../lib/presence.js';
+import { listTyping } from '../lib/typing.js';
+import { getPublicBoard } from '../lib/clues.js';
+import { getReactionChanges } from '../lib/reactions.js';
+import { readPage } from '../lib/history.js';
+import { visibleTo } from '../lib/messages.js';
+import { getStorage } from '../lib/storage/index.js';
+import { requestLogger } from '../lib/logger.js';
+import { applyCors, checkInvite } from '../lib/access.js';
+
+const STREAM_DURATION = parseInt(process.env.STREAM_DURATION_MS) || 25 * 1000;
+const CHECK_INTERVAL = 500;         // How often storage is checked for news
+const PRESENCE_INTERVAL = 5 * 1000; // How often presence is re-checked
+const KEEPALIVE_INTERVAL = 15 * 1000;
+const RETRY_DELAY = 1000;           // Tells EventSource how soon to reconnect
+
+export default async function handler(req, res) {
+    const originError = applyCors(req, res, { methods: 'GET' });
+    if (originError) {
+        return res.status(403).json({ error: originError.message, code: originError.code });
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const room = normalizeRoomCode(req.query.room);
+    if (!room) {
+        return res.status(400).json({ error: 'Missing or invalid room' });
+    }
+
+    const log = requestLogger(req, res, { room });
+
+    const inviteError = checkInvite(room, req.query.invite);
+    if (inviteError) {
+        log.info('invite refused', { code: inviteError.code });
+        return res.status(403).json({ error: inviteError.message, code: inviteError.code });
+    }
+
+    // Resume after the last event the client saw
+    let cursor = parseInt(req.headers['last-event-id']) || parseInt(req.query.since) || 0;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+    const storage = getStorage();
+    const startedAt = Date.now();
+    let closed = false;
+    let lastPresence = null;
+    let lastTyping = '[]';
+    let lastCluesVersion = null;
+    let lastReactionsVersion = 0;
+    let lastPresenceCheck = 0;
+    let lastWrite = Date.now();
+
+    req.on('close', () => {
+        closed = true;
+    });
+
+    const send = (event, data, id) => {
+        res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        lastWrite = Date.now();
+    };
+
+    while (!closed && Date.now() - startedAt < STREAM_DURATION) {
+        try {
+            const messages = cursor === 0
+                ? (await readPage(storage, room, null)).messages
+                : await storage.listSince(room, cursor);
+            for (const message of messages) {
+                send('message', visibleTo(message, null), message.id);
+                cursor = Math.max(cursor, message.id);
+            }
+
+            // Typing changes by the second, so it is checked with every pass
+            const state = await loadRoomState(storage, room);
+            const typing = listTyping(state);
+            if (JSON.stringify(typing) !== lastTyping) {
+                lastTyping = JSON.stringify(typing);
+                send('typing', { typing });
+            }
+
+            if (state.clues.version !== lastCluesVersion) {
+                lastCluesVersion = state.clues.version;
+                send('clues', getPublicBoard(state.clues));
+            }
+
+            if (state.reactions.version !== lastReactionsVersion) {
+                send('reactions', getReactionChanges(state.reactions, lastReactionsVersion));
+                lastReactionsVersion = state.reactions.version;
+            }
+
+            if (Date.now() - lastPresenceCheck >= PRESENCE_INTERVAL) {
+                lastPresenceCheck = Date.now();
+                const { online, spectatorCount, roomInfo } = await refreshPresence(storage, room);
+                const presence = JSON.stringify({ online, spectatorCount, roomInfo });
+
+                if (presence !== lastPresence) {
+                    lastPresence = presence;
+                    send('presence', { userCount: online.length, spectatorCount, online, roomInfo });
+                }
+            }
+
+            // Comments keep proxies from closing an idle connection
+            if (Date.now() - lastWrite >= KEEPALIVE_INTERVAL) {
+                res.write(': keepalive\n\n');
+                lastWrite = Date.now();
+            }
+        } catch (error) {
+            log.error('stream failed', { cursor, error });
+            break;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, CHECK_INTERVAL));
+    }
+
+    log.debug('stream ended', { cursor, durationMs: Date.now() - startedAt, closedByClient: closed });
+    res.end();
+}
@@ -0,0 +1,78 @@
+/**
+ * BURN THE WITCH - Server Commands
+ * ================================
+ * GENERATED from lib/commands.js by scripts/build-commands.js - don't edit
+ * by hand, run `npm run build` instead. client/commands.js adds the
+ * commands that only need the client.
+ */
+
+const SERVER_COMMANDS = {
+    "roll": {
+        "usage": "/roll [dice]",
+        "description": "Roll dice for the room, e.g. /roll 2d6",
+        "args": [
+            {
+                "name": "dice",
+                "type": "dice",
+                "optional": true
+            }
+        ],
+        "hostOnly": false
+    },
+    "vote": {
+        "usage": "/vote <player>",
+        "description": "Vote to burn a player",
+        "args": [
+            {
+                "name": "target",
+                "type": "player"
+            }
+        ],
+        "hostOnly": false
+    },
+    "kick": {
+        "usage": "/kick <player>",
+        "description": "Remove a player from the room",
+        "args": [
+            {
+                "name": "target",
+                "type": "player"
+            }
+        ],
+        "hostOnly": true
+    },
+    "mute": {
+        "usage": "/mute <player>",
+        "description": "Stop a player from chatting",
+        "args": [
+            {
+                "name": "target",
+                "type": "player"
+            }
+        ],
+        "hostOnly": true
+    },
+    "unmute": {
+        "usage": "/unmute <player>",
+        "description": "Let a muted player chat again",
+        "args": [
+            {
+                "name": "target",
+                "type": "player"
+            }
+        ],
+        "hostOnly": true
+    },
+    "lock": {
+        "usage": "/lock",
+        "description": "Stop new players from joining",
+        "args": [],
+        "hostOnly": true
+    },
+    "unlock": {
+        "usage": "/unlock",
+        "description": "Let new players join again",
+        "args": [],
+        "hostOnly": true
+    }
+};
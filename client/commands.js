@@ -0,0 +1,270 @@
+/**
+ * BURN THE WITCH - Chat Commands
+ * ==============================
+ * Input starting with "/" runs a command instead of being sent as chat.
+ * The registry below drives parsing, argument checks, /help and the
+ * suggestions shown under the input.
+ *
+ * Commands marked `server` come from command-list.js, which is generated
+ * from the server's registry (see lib/commands.js). They are checked here
+ * for quick feedback and then run by the server, which posts any notice
+ * to the room. The others only need the client.
+ */
+
+// ============================================
+// DOM ELEMENTS
+// ============================================
+const commandSuggestions = document.getElementById('command-suggestions');
+
+// State
+let commandTransport = null;
+let suggestions = [];      // [{ usage, hint, completion }] shown under the input
+let selectedSuggestion = 0;
+
+// ============================================
+// REGISTRY
+// ============================================
+
+// Argument types: player (a name in the room), dice (like 2d6), text (rest of the line)
+const CHAT_COMMANDS = {
+    help: {
+        usage: '/help',
+        description: 'List the commands',
+        args: [],
+        run: () => showCommandHelp()
+    },
+    nick: {
+        usage: '/nick <name>',
+        description: 'Change your nickname',
+        args: [{ name: 'name', type: 'text' }],
+        run: ({ name }) => {
+            if (name.length > 24) return 'Nicknames can be up to 24 characters';
+            saveName(name);
+        }
+    },
+    w: {
+        usage: '/w <player> <message>',
+        description: 'Whisper to a player',
+        args: [{ name: 'target', type: 'player' }, { name: 'text', type: 'text' }],
+        run: ({ target, text }) => {
+            if (target.id === commandTransport.clientId) return 'Whispering to yourself?';
+            postChat(text, target);
+        }
+    },
+    // Run by the server, as listed in command-list.js
+    ...Object.fromEntries(Object.entries(SERVER_COMMANDS)
+        .map(([name, command]) => [name, { ...command, server: true }]))
+};
+
+// ============================================
+// SETUP
+// ============================================
+
+/**
+ * Wire commands to a transport and the chat input
+ */
+function setupChatCommands(transport) {
+    commandTransport = transport;
+
+    transport.on('commandReply', (reply) => {
+        if (reply.room === transport.room) displayLocalNotice(reply.text);
+    });
+
+    textInput.addEventListener('input', updateSuggestions);
+    textInput.addEventListener('blur', () => setTimeout(hideSuggestions, 150));
+    textInput.addEventListener('keydown', handleSuggestionKeys);
+
+    commandSuggestions.addEventListener('mousedown', (event) => {
+        const item = event.target.closest('[data-index]');
+        if (!item) return;
+
+        event.preventDefault(); // Keep focus in the input
+        applySuggestion(Number(item.dataset.index));
+    });
+}
+
+// ============================================
+// RUNNING COMMANDS
+// ============================================
+
+/**
+ * Run a command line. Returns an error message, or null if it ran.
+ */
+function runChatCommand(input) {
+    const parsed = parseChatCommand(input);
+    if (parsed.error) return parsed.error;
+
+    if (parsed.command.hostOnly && !isHost()) {
+        return `Only the host can use /${parsed.name}`;
+    }
+
+    if (parsed.command.server) {
+        // Unlike messages, commands don't wait in the outbox
+        if (!commandTransport.isConnected) return 'Commands need a connection. Try again in a moment';
+        commandTransport.runCommand(input.trim());
+        return null;
+    }
+
+    return parsed.command.run(parsed.args) || null;
+}
+
+/**
+ * Split "/w Alice psst" into a command and checked arguments.
+ * Returns { name, command, args } or { error }.
+ */
+function parseChatCommand(input) {
+    const match = /^\/(\S+)\s*([\s\S]*)$/.exec(input.trim());
+    const name = match ? match[1].toLowerCase() : '';
+    const command = Object.prototype.hasOwnProperty.call(CHAT_COMMANDS, name) ? CHAT_COMMANDS[name] : null;
+    if (!command) {
+        return { error: `Unknown command /${name}. Try /help` };
+    }
+
+    const usageError = { error: `Usage: ${command.usage}` };
+    let rest = match[2].trim();
+    const args = {};
+
+    for (const arg of command.args) {
+        if (!rest) {
+            if (arg.optional) continue;
+            return usageError;
+        }
+
+        if (arg.type === 'text') {
+            args[arg.name] = rest;
+            rest = '';
+        } else if (arg.type === 'player') {
+            const player = matchPlayer(rest);
+            if (!player) return { error: 'Nobody by that name is in the room' };
+            args[arg.name] = player;
+            rest = rest.slice(player.name.length).trim();
+        } else if (arg.type === 'dice') {
+            const [word] = rest.split(/\s+/);
+            if (!/^(\d{1,2})?d\d{1,4}$/i.test(word)) return usageError;
+            args[arg.name] = word;
+            rest = rest.slice(word.length).trim();
+        }
+    }
+
+    if (rest) return usageError;
+
+    return { name, command, args };
+}
+
+/**
+ * The room member whose name starts the input. Names may contain
+ * spaces, so the longest match wins; ties match nobody.
+ */
+function matchPlayer(input) {
+    const lower = input.toLowerCase();
+    const matches = roomMembers.filter(member => {
+        const name = member.name.toLowerCase();
+        return lower === name || lower.startsWith(name + ' ');
+    });
+    if (matches.length === 0) return null;
+
+    const longest = Math.max(...matches.map(member => member.name.length));
+    const candidates = matches.filter(member => member.name.length === longest);
+    return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * The commands we may use, for /help and suggestions
+ */
+function availableCommands() {
+    return Object.entries(CHAT_COMMANDS).filter(([, command]) => !command.hostOnly || isHost());
+}
+
+function showCommandHelp() {
+    const lines = availableCommands().map(([, command]) => `${command.usage} - ${command.description}`);
+    displayLocalNotice(`Commands:\n${lines.join('\n')}`);
+}
+
+// ============================================
+// SUGGESTIONS
+// ============================================
+
+/**
+ * Suggest commands while the name is typed, then players for a player argument
+ */
+function updateSuggestions() {
+    const value = textInput.value;
+    suggestions = [];
+    selectedSuggestion = 0;
+
+    if (value.startsWith('/')) {
+        const spaceAt = value.indexOf(' ');
+
+        if (spaceAt === -1) {
+            const prefix = value.slice(1).toLowerCase();
+            suggestions = availableCommands()
+                .filter(([name]) => name.startsWith(prefix))
+                .map(([name, command]) => ({ usage: command.usage, hint: command.description, completion: `/${name} ` }));
+        } else {
+            const name = value.slice(1, spaceAt).toLowerCase();
+            const command = CHAT_COMMANDS[name];
+            const typed = value.slice(spaceAt + 1);
+            const firstArg = command && command.args[0];
+
+            if (firstArg && firstArg.type === 'player' && !matchPlayer(typed)) {
+                suggestions = roomMembers
+                    .filter(member => member.name.toLowerCase().startsWith(typed.toLowerCase()))
+                    .map(member => ({ usage: member.name, hint: command.usage, completion: `/${name} ${member.name} ` }));
+            } else if (command && !typed) {
+                suggestions = [{ usage: command.usage, hint: command.description, completion: null }];
+            }
+        }
+    }
+
+    renderSuggestions();
+}
+
+/**
+ * Tab (or click) completes, arrows move, Escape closes
+ */
+function handleSuggestionKeys(event) {
+    if (commandSuggestions.hidden) return;
+
+    if (event.key === 'Tab') {
+        event.preventDefault();
+        applySuggestion(selectedSuggestion);
+    } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        selectedSuggestion = (selectedSuggestion + step + suggestions.length) % suggestions.length;
+        renderSuggestions();
+    } else if (event.key === 'Escape') {
+        hideSuggestions();
+    }
+}
+
+function applySuggestion(index) {
+    const suggestion = suggestions[index];
+    if (!suggestion || !suggestion.completion) return;
+
+    textInput.value = suggestion.completion;
+    textInput.focus();
+    updateSuggestions();
+}
+
+function hideSuggestions() {
+    suggestions = [];
+    renderSuggestions();
+}
+
+function renderSuggestions() {
+    commandSuggestions.innerHTML = '';
+    commandSuggestions.hidden = suggestions.length === 0;
+
+    suggestions.forEach((suggestion, index) => {
+        const item = document.createElement('li');
+        item.className = 'command-suggestion';
+        item.classList.toggle('active', index === selectedSuggestion && Boolean(suggestion.completion));
+        item.setAttribute('data-index', index);
+        item.innerHTML = `
+            <span class="command-usage">${escapeHtml(suggestion.usage)}</span>
+            <span class="command-hint">${escapeHtml(suggestion.hint)}</span>
+        `;
+        commandSuggestions.appendChild(item);
+    });
+}
@@ -0,0 +1,130 @@
+/**
+ * BURN THE WITCH - Room Members & Host Tools
+ * ==========================================
+ * Lists who is in the room, marks the host and muted players, and gives
+ * the host their tools: mute, kick, hand over the host role, delete
+ * messages and lock the room.
+ *
+ * The server enforces all of this (see lib/moderation.js); the buttons
+ * here only show up for the host to keep the UI tidy.
+ */
+
+// ============================================
+// DOM ELEMENTS
+// ============================================
+const memberList = document.getElementById('member-list');
+const lockButton = document.getElementById('lock-button');
+
+// State
+let moderationTransport = null;
+let roomMembers = [];
+let roomInfo = { hostId: null, locked: false, muted: [] };
+
+// ============================================
+// SETUP
+// ============================================
+
+/**
+ * Wire the member list and host tools to a transport
+ */
+function setupModeration(transport) {
+    moderationTransport = transport;
+
+    transport.on('roster', (players) => {
+        roomMembers = players;
+        renderMembers();
+    });
+    transport.on('roomInfo', (info) => {
+        roomInfo = info;
+        renderMembers();
+    });
+    transport.on('room', () => {
+        roomMembers = [];
+        roomInfo = { hostId: null, locked: false, muted: [] };
+        renderMembers();
+    });
+
+    lockButton.addEventListener('click', () => {
+        transport.moderate(roomInfo.locked ? 'unlock' : 'lock');
+    });
+
+    memberList.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+        if (button.dataset.action === 'kick' && !confirm('Remove this player from the room?')) return;
+
+        transport.moderate(button.dataset.action, { playerId: button.dataset.playerId });
+    });
+
+    // Delete buttons sit on every message but only show for the host
+    messageArea.addEventListener('click', (event) => {
+        const button = event.target.closest('.delete-message');
+        if (!button) return;
+
+        const messageId = Number(button.closest('.message').getAttribute('data-message-id'));
+        if (confirm('Delete this message for everyone?')) {
+            transport.moderate('deleteMessage', { messageId });
+        }
+    });
+}
+
+/**
+ * Are we the host of the current room?
+ */
+function isHost() {
+    return Boolean(moderationTransport) && roomInfo.hostId === moderationTransport.clientId;
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Render the members of the room, with host actions for the host
+ */
+function renderMembers() {
+    const amHost = isHost();
+    document.body.classList.toggle('is-host', amHost);
+
+    lockButton.hidden = !amHost && !roomInfo.locked;
+    lockButton.disabled = !amHost;
+    lockButton.textContent = roomInfo.locked ? '🔒 Locked' : '🔓 Open';
+    lockButton.title = amHost
+        ? (roomInfo.locked ? 'Let new players join again' : 'Stop new players from joining')
+        : 'The host locked this room';
+
+    memberList.innerHTML = '';
+    roomMembers.forEach(member => {
+        const item = document.createElement('li');
+        item.className = 'member';
+        item.classList.toggle('offline', member.connected === false);
+
+        const muted = roomInfo.muted.includes(member.id);
+        const badges = [
+            member.id === roomInfo.hostId ? '<span class="member-badge" title="Host">👑</span>' : '',
+            muted ? '<span class="member-badge" title="Muted">🔇</span>' : ''
+        ].join('');
+
+        item.innerHTML = `
+            <span class="message-avatar">${escapeHtml(member.name.charAt(0).toUpperCase())}</span>
+            <span class="member-name">${escapeHtml(member.name)}${member.id === moderationTransport.clientId ? ' (you)' : ''}</span>
+            ${badges}
+        `;
+        item.querySelector('.message-avatar').style.background = member.color;
+
+        if (amHost && member.id !== moderationTransport.clientId) {
+            item.insertAdjacentHTML('beforeend', `
+                <span class="member-actions">
+                    <button data-action="${muted ? 'unmute' : 'mute'}" title="${muted ? 'Unmute' : 'Mute'}">${muted ? '🔊' : '🔇'}</button>
+                    <button data-action="transferHost" title="Make host">👑</button>
+                    <button data-action="kick" title="Remove from room">✕</button>
+                </span>
+            `);
+            item.querySelectorAll('[data-action]').forEach(button => {
+                button.dataset.playerId = member.id;
+            });
+        }
+
+        memberList.appendChild(item);
+    });
+}
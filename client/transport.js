@@ -0,0 +1,1107 @@
+/**
+ * BURN THE WITCH - Client Transport Layer
+ * ========================================
+ * One interface over the two ways the client can reach the server:
+ *
+ * - SocketTransport:  Socket.IO, when the page is served by server/server.js
+ * - PollingTransport: HTTP streaming/polling of /api, when deployed on Vercel
+ *
+ * Both transports raise the same events:
+ * - 'message'   (message)          A chat message to display (ids are a
+ *                                  per-room sequence; gaps are refetched)
+ * - 'olderMessages' ({ messages, hasMore }) A page of older history, asked
+ *                                  for with fetchOlder(beforeId)
+ * - 'userCount' (count)            Number of players online
+ * - 'spectatorCount' (count)       Number of spectators watching
+ * - 'typing'    ({ id, name, isTyping }) Another user in the room started/stopped
+ *                                  typing (the server expires typists who go quiet)
+ * - 'status'    (status)           'connecting' | 'connected' | 'disconnected' | 'replaced'
+ * - 'profile'   ({ id, name, color}) Our own public profile
+ * - 'roster'    ([profile])        Players in the room
+ * - 'room'      ({ code, invite }) Joined a room; messages are now scoped to it.
+ *                                  `invite` is the token to share in invite links
+ *                                  (null unless the server requires invites)
+ * - 'roomError' ({ code, message, reason? }) A room could not be joined
+ *                                  (reason is e.g. 'ROOM_LOCKED' or 'INVITE_INVALID')
+ * - 'refused'   ({ code, message }) The server won't talk to this page at all
+ *                                  (code 'ORIGIN_NOT_ALLOWED'); we stay offline
+ * - 'roomInfo'  ({ hostId, locked, muted }) Who hosts the room and its moderation state
+ * - 'kicked'    ({ room })         The host removed us from the room
+ * - 'clueBoard' ({ version, clues }) The room's whole clue board (see lib/clues.js)
+ * - 'reactions' ({ changes: [{ messageId, reactions }] }) Messages whose emoji
+ *                                  reactions changed (see lib/reactions.js)
+ * - 'commandReply' ({ room, text }) What a chat command said back to us only
+ *                                  (see lib/commands.js)
+ * - 'gameState' (state)            Public game state (Socket.IO only)
+ * - 'role'      ({ role, witches}) Our secret role (Socket.IO only)
+ * - 'gameError' ({ message })      A game action was rejected
+ * - 'actionError' ({ event, code, message, retryAfter?, nonce? })
+ *                                  The server rejected something we sent
+ *                                  (invalid payload, rate limit, duplicate)
+ *
+ * Set `spectating` before joining a room to join it as a spectator, who
+ * sees the room but can't take part (see lib/moderation.js).
+ *
+ * Set `invite` to the token from an invite link before joining its room;
+ * servers with INVITE_SECRET turn away anyone without one (see lib/access.js).
+ * In a room, `watchInvite` is the token for watch links: whoever joins with
+ * it can only watch, and gets only a watch invite back as `invite`.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const TRANSPORT_CONFIG = {
+    apiBase: '/api',
+    socketScript: '/socket.io/socket.io.js',
+    socketScriptTimeout: 3000, // Give up on Socket.IO after 3 seconds
+    pollInterval: 1000,        // Poll every 1 second when streaming isn't available
+    heartbeatInterval: 5000,   // Presence heartbeat while streaming
+    streamMinLifetime: 5000,   // A stream that lived this long ended normally
+    maxStreamFailures: 3,      // Switch to polling after this many failed streams
+    backoffBase: 1000,         // First retry after a failure
+    backoffMax: 30000,         // Never wait longer than this between retries
+    backoffJitter: 0.5,        // Spread retries by ±50% so clients don't reconnect in lockstep
+    gapFillDelay: 300,         // Wait for stragglers before refetching a gap
+    maxGapFills: 3             // Give up on a gap (e.g. trimmed history) after this
+};
+
+// ============================================
+// BASE TRANSPORT
+// ============================================
+
+/**
+ * Minimal event emitter shared by every transport
+ */
+class Transport {
+    /**
+     * @param {object} identity { token, name } from localStorage
+     */
+    constructor(identity) {
+        this.listeners = {};
+        this.identity = identity;
+        this.profile = null;
+        this.clientId = null;
+        this.mode = null;
+        this.room = null;
+        this.isConnected = false;
+        this.spectating = false;
+        this.invite = null; // Invite token for the room we join or are in
+        this.watchInvite = null; // Watch-only invite for that room
+
+        // Highest message id seen in this room, and ids we know we missed
+        this.lastMessageId = 0;
+        this.missingIds = new Set();
+        this.gapFills = 0;
+        this.gapTimer = null;
+    }
+
+    /**
+     * Register a listener for a transport event
+     */
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+        return this;
+    }
+
+    /**
+     * Notify all listeners of an event
+     */
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(callback => callback(payload));
+    }
+
+    /**
+     * Forget the message cursor (we are in a different room now)
+     */
+    resetCursor() {
+        this.lastMessageId = 0;
+        this.missingIds.clear();
+        this.gapFills = 0;
+        clearTimeout(this.gapTimer);
+    }
+
+    /**
+     * Pass on incoming messages and watch the sequence for gaps.
+     * Gaps are refetched a few times, then accepted (the messages may have
+     * been trimmed from history).
+     */
+    receiveMessages(messages) {
+        messages
+            .filter(message => message.room === this.room)
+            .sort((a, b) => a.id - b.id)
+            .forEach(message => {
+                this.missingIds.delete(message.id);
+
+                // Everything between the last id we saw and this one is missing
+                if (this.lastMessageId > 0) {
+                    for (let id = this.lastMessageId + 1; id < message.id; id++) {
+                        this.missingIds.add(id);
+                    }
+                }
+                this.lastMessageId = Math.max(this.lastMessageId, message.id);
+
+                this.emit('message', message);
+            });
+
+        if (this.missingIds.size === 0) {
+            this.gapFills = 0;
+        } else if (!this.gapTimer) {
+            this.gapTimer = setTimeout(() => this.fillGaps(), TRANSPORT_CONFIG.gapFillDelay);
+        }
+    }
+
+    /**
+     * Ask the server again for everything after the first missing id
+     */
+    fillGaps() {
+        this.gapTimer = null;
+        if (this.missingIds.size === 0) return;
+
+        if (this.gapFills >= TRANSPORT_CONFIG.maxGapFills) {
+            console.warn(`Giving up on ${this.missingIds.size} missing message(s)`);
+            this.missingIds.clear();
+            this.gapFills = 0;
+            return;
+        }
+
+        this.gapFills++;
+        this.fetchSince(Math.min(...this.missingIds) - 1);
+    }
+
+    /**
+     * Take a page of history: the snapshot on join goes through like any
+     * other messages, older pages are handed out to be prepended
+     */
+    receiveHistory({ before, messages, hasMore }) {
+        if (!before) {
+            this.receiveMessages(messages);
+            return;
+        }
+
+        this.emit('olderMessages', {
+            messages: messages.filter(message => message.room === this.room),
+            hasMore
+        });
+    }
+
+    /**
+     * Remember the public profile the server gave us
+     */
+    setProfile(profile) {
+        this.profile = profile;
+        this.clientId = profile.id;
+        this.emit('profile', profile);
+    }
+}
+
+// ============================================
+// SOCKET.IO TRANSPORT
+// ============================================
+
+/**
+ * Talks to the Socket.IO server in server/server.js
+ */
+class SocketTransport extends Transport {
+    constructor(identity) {
+        super(identity);
+        this.mode = 'socket';
+        this.socket = null;
+        this.replaced = false;
+    }
+
+    connect() {
+        this.emit('status', 'connecting');
+
+        // Socket.IO handles reconnection on its own, re-sending our identity each time.
+        // Its retries use the same backoff and jitter as the API transport.
+        this.socket = io({
+            auth: this.identity,
+            reconnectionDelay: TRANSPORT_CONFIG.backoffBase,
+            reconnectionDelayMax: TRANSPORT_CONFIG.backoffMax,
+            randomizationFactor: TRANSPORT_CONFIG.backoffJitter
+        });
+
+        this.socket.on('connect', () => {
+            this.isConnected = true;
+            this.emit('status', 'connected');
+        });
+
+        this.socket.on('connect_error', (error) => {
+            console.error('Connection error:', error.message);
+            this.isConnected = false;
+            this.emit('status', 'disconnected');
+
+            // Turned away by the server rather than unreachable: Socket.IO won't retry
+            if (error.data && error.data.code) {
+                this.emit('refused', { code: error.data.code, message: error.message });
+            }
+        });
+
+        this.socket.on('disconnect', () => {
+            this.isConnected = false;
+            if (!this.replaced) {
+                this.emit('status', 'disconnected');
+            }
+        });
+
+        // The same player connected from another tab; this one stays offline
+        this.socket.on('sessionReplaced', () => {
+            this.replaced = true;
+            this.emit('status', 'replaced');
+        });
+
+        this.socket.on('welcome', (profile) => this.setProfile(profile));
+        this.socket.on('roster', (players) => this.emit('roster', players));
+
+        this.socket.on('roomJoined', ({ code, invite, watchInvite }) => {
+            if (code !== this.room) {
+                this.resetCursor();
+            } else if (this.lastMessageId > 0) {
+                // Back after a reconnect: pick up what we missed
+                this.fetchSince(this.lastMessageId);
+            }
+            this.room = code;
+            this.invite = invite || null;
+            this.watchInvite = watchInvite || null;
+            this.emit('room', { code, invite: this.invite });
+        });
+        this.socket.on('roomLeft', () => {
+            this.room = null;
+        });
+        this.socket.on('roomError', (error) => this.emit('roomError', error));
+        this.socket.on('roomInfo', (info) => this.emit('roomInfo', info));
+        this.socket.on('commandReply', (reply) => this.emit('commandReply', reply));
+        this.socket.on('kicked', ({ room }) => {
+            this.room = null;
+            this.emit('kicked', { room });
+        });
+
+        this.socket.on('receiveText', (message) => this.receiveMessages([message]));
+        this.socket.on('resync', ({ messages }) => this.receiveMessages(messages));
+        this.socket.on('history', (page) => {
+            if (page.room === this.room) this.receiveHistory(page);
+        });
+        this.socket.on('userCount', (count) => this.emit('userCount', count));
+        this.socket.on('spectatorCount', (count) => this.emit('spectatorCount', count));
+        this.socket.on('userTyping', ({ id, name }) => this.emit('typing', { id, name, isTyping: true }));
+        this.socket.on('userStopTyping', ({ id }) => this.emit('typing', { id, isTyping: false }));
+
+        this.socket.on('clueBoard', (board) => this.emit('clueBoard', board));
+        this.socket.on('reactions', (update) => {
+            if (update.room === this.room) this.emit('reactions', update);
+        });
+
+        this.socket.on('gameState', (state) => this.emit('gameState', state));
+        this.socket.on('yourRole', (role) => this.emit('role', role));
+        this.socket.on('gameError', (error) => this.emit('gameError', error));
+        this.socket.on('actionError', (error) => this.emit('actionError', error));
+    }
+
+    async setName(name) {
+        this.identity.name = name;
+        this.socket.emit('setName', { name });
+    }
+
+    async createRoom() {
+        this.socket.emit('createRoom');
+    }
+
+    async joinRoom(code) {
+        this.socket.emit('joinRoom', { code, spectate: this.spectating, invite: this.invite || undefined });
+    }
+
+    async leaveRoom() {
+        this.socket.emit('leaveRoom');
+    }
+
+    startGame() {
+        this.socket.emit('startGame');
+    }
+
+    castVote(targetId) {
+        this.socket.emit('castVote', { targetId });
+    }
+
+    /**
+     * Host action, e.g. moderate('kick', { playerId }) (see lib/moderation.js)
+     */
+    moderate(action, params = {}) {
+        this.socket.emit('moderate', { action, ...params });
+    }
+
+    /**
+     * Run a chat command like "/roll 2d6" on the server
+     */
+    runCommand(text) {
+        this.socket.emit('command', { text });
+    }
+
+    postClue(text, suspectId) {
+        this.socket.emit('postClue', { text, suspectId });
+    }
+
+    voteClue(clueId, vote) {
+        this.socket.emit('voteClue', { clueId, vote });
+    }
+
+    pinClue(clueId, pinned) {
+        this.socket.emit('pinClue', { clueId, pinned });
+    }
+
+    /**
+     * Add or take back an emoji reaction on a message
+     */
+    react(messageId, emoji) {
+        this.socket.emit('react', { messageId, emoji });
+    }
+
+    /**
+     * Send a message, or whisper it to the player with id `to`. The nonce
+     * comes back on the server's copy so the caller can match it to what
+     * it showed optimistically.
+     */
+    async send(text, nonce, to) {
+        // Socket.IO would buffer it, but the outbox already resends after a reconnect
+        if (!this.socket.connected) {
+            throw new Error('Not connected');
+        }
+        // The server sends the message back to us as 'receiveText'
+        this.socket.emit('sendText', { text, nonce, to });
+    }
+
+    fetchSince(since) {
+        this.socket.emit('resync', { since });
+    }
+
+    fetchOlder(before) {
+        this.socket.emit('history', { before });
+    }
+
+    startTyping() {
+        this.socket.emit('typing');
+    }
+
+    stopTyping() {
+        this.socket.emit('stopTyping');
+    }
+}
+
+// ============================================
+// HTTP POLLING TRANSPORT
+// ============================================
+
+/**
+ * Talks to the serverless /api endpoints. Updates arrive over the
+ * /api/stream event stream; if that keeps failing (or the browser has no
+ * EventSource) it falls back to polling /api/messages.
+ */
+class PollingTransport extends Transport {
+    constructor(identity) {
+        super(identity);
+        this.mode = 'polling';
+        this.useStream = typeof EventSource !== 'undefined';
+        this.stream = null;
+        this.streamFailures = 0;
+        this.heartbeatTimer = null;
+        this.pollTimer = null;
+        this.pollFailures = 0;
+        this.connectFailures = 0;
+        this.updatesId = 0; // Bumped whenever updates stop, so stale loops can tell
+        this.whisperCursor = null; // Heartbeats bring our whispers after this message id
+        this.updating = false;
+        this.typists = new Map(); // id -> name, as last reported by the API
+        this.cluesVersion = null;
+        this.reactionsVersion = 0; // Reactions we have, so polls only bring what changed
+    }
+
+    /**
+     * Check API status and establish "connection"
+     */
+    async connect() {
+        this.emit('status', 'connecting');
+
+        try {
+            const response = await fetch(`${TRANSPORT_CONFIG.apiBase}/status`);
+            if (response.status === 403) {
+                // Not a hiccup: this page's site isn't allowed, so don't retry
+                const data = await response.json();
+                this.setConnected(false);
+                this.emit('refused', { code: data.code, message: data.error });
+                return;
+            }
+            if (!response.ok) {
+                throw new Error('API not available');
+            }
+            await this.setName(this.identity.name);
+            this.connectFailures = 0;
+            this.setConnected(true);
+        } catch (error) {
+            console.error('Connection error:', error);
+            this.setConnected(false);
+            setTimeout(() => this.connect(), backoffDelay(this.connectFailures++));
+        }
+    }
+
+    /**
+     * Register our token and nickname and get our public profile back
+     */
+    async setName(name) {
+        this.identity.name = name;
+
+        const response = await fetch(`${TRANSPORT_CONFIG.apiBase}/players`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(this.identity)
+        });
+        if (!response.ok) {
+            throw new Error('Failed to register player');
+        }
+
+        const data = await response.json();
+        this.setProfile(data.player);
+    }
+
+    /**
+     * Ask the API for a fresh room code and join it
+     */
+    async createRoom() {
+        const response = await fetch(`${TRANSPORT_CONFIG.apiBase}/rooms`, { method: 'POST' });
+        if (!response.ok) {
+            throw new Error('Failed to create room');
+        }
+
+        const data = await response.json();
+        this.invite = data.invite || null;
+        this.watchInvite = data.watchInvite || null;
+        await this.joinRoom(data.code);
+    }
+
+    /**
+     * Rooms are implicit on the API, so joining just scopes our requests.
+     * Polls and heartbeats say whether we are spectating.
+     */
+    async joinRoom(code) {
+        const isNewRoom = code !== this.room;
+        if (isNewRoom) {
+            this.room = code;
+            this.resetCursor();
+            this.typists.clear();
+            this.cluesVersion = null;
+            this.reactionsVersion = 0;
+            this.whisperCursor = null;
+        }
+        this.emit('room', { code, invite: this.invite });
+
+        // Late joiners get the whole clue board right away
+        if (isNewRoom) {
+            this.fetchClues();
+        }
+
+        // Rejoining after a reconnect keeps the updates that are already running
+        if (isNewRoom || !this.updating) {
+            this.startUpdates();
+        } else if (this.stream) {
+            // Tell the API right away if we switched between playing and watching
+            this.sendHeartbeat();
+        }
+    }
+
+    /**
+     * Query string scoping a request to a room, with our invite for it
+     */
+    roomQuery(room) {
+        const query = `room=${room}`;
+        return this.invite ? `${query}&invite=${encodeURIComponent(this.invite)}` : query;
+    }
+
+    /**
+     * Tell the API we're gone so others see us leave right away
+     */
+    async leaveRoom() {
+        if (!this.room) return;
+
+        const url = `${TRANSPORT_CONFIG.apiBase}/presence?${this.roomQuery(this.room)}`;
+        const body = JSON.stringify({ token: this.identity.token, leave: true });
+        this.room = null;
+        this.stopUpdates();
+
+        // sendBeacon still gets through while the page is closing
+        if (!navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) {
+            await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+        }
+    }
+
+    /**
+     * Send a message to the server (a whisper if `to` is a player id)
+     */
+    async send(text, nonce, to) {
+        const response = await fetch(`${TRANSPORT_CONFIG.apiBase}/messages?${this.roomQuery(this.room)}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                text: text,
+                nonce: nonce,
+                to: to,
+                token: this.identity.token,
+                name: this.identity.name
+            })
+        });
+
+        if (!response.ok) {
+            // Structured errors look like { error, code, retryAfter? }
+            const data = await response.json().catch(() => ({}));
+            this.emit('actionError', {
+                event: 'sendText',
+                nonce,
+                code: data.code || 'UNKNOWN',
+                message: data.error || 'Failed to send message',
+                retryAfter: data.retryAfter
+            });
+            throw new Error(data.error || 'Failed to send message');
+        }
+
+        // Show our own message immediately instead of waiting for the next poll
+        const data = await response.json();
+        this.receiveMessages([data.message]);
+    }
+
+    /**
+     * Host action, e.g. moderate('kick', { playerId }) (see lib/moderation.js)
+     */
+    async moderate(action, params = {}) {
+        const response = await fetch(`${TRANSPORT_CONFIG.apiBase}/messages?${this.roomQuery(this.room)}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ action, ...params, token: this.identity.token })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            this.emit('actionError', {
+                event: 'moderate',
+                code: data.code || 'UNKNOWN',
+                message: data.error || 'That did not work'
+            });
+            return;
+        }
+        this.emit('roomInfo', data.roomInfo);
+    }
+
+    /**
+     * Run a chat command like "/roll 2d6" (see lib/commands.js)
+     */
+    async runCommand(text) {
+        const room = this.room;
+        const response = await fetch(`${TRANSPORT_CONFIG.apiBase}/messages?${this.roomQuery(room)}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ command: text, token: this.identity.token, name: this.identity.name })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            this.emit('actionError', {
+                event: 'command',
+                code: data.code || 'UNKNOWN',
+                message: data.error || 'That did not work',
+                retryAfter: data.retryAfter
+            });
+            return;
+        }
+
+        if (data.reply) {
+            this.emit('commandReply', { room, text: data.reply });
+        }
+        // Show any notice right away instead of waiting for the next poll
+        this.fetchSince(this.lastMessageId);
+    }
+
+    /**
+     * Add or take back an emoji reaction on a message
+     */
+    async react(messageId, emoji) {
+        const room = this.room;
+        const response = await fetch(`${TRANSPORT_CONFIG.apiBase}/messages?${this.roomQuery(room)}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ messageId, emoji, token: this.identity.token, name: this.identity.name })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            this.emit('actionError', {
+                event: 'react',
+                code: data.code || 'UNKNOWN',
+                message: data.error || 'That did not work'
+            });
+            return;
+        }
+
+        // Show it right away. Our version stays put, so the next poll
+        // still brings anything else that changed in the meantime.
+        if (room === this.room) {
+            this.emit('reactions', { changes: data.reactions.changes });
+        }
+    }
+
+    postClue(text, suspectId) {
+        return this.sendClueAction('postClue', { action: 'post', text, suspectId });
+    }
+
+    voteClue(clueId, vote) {
+        return this.sendClueAction('voteClue', { action: 'vote', clueId, vote });
+    }
+
+    pinClue(clueId, pinned) {
+        return this.sendClueAction('pinClue', { action: 'pin', clueId, pinned });
+    }
+
+    /**
+     * Change the clue board; the API answers with the updated board
+     */
+    async sendClueAction(event, body) {
+        const room = this.room;
+        const response = await fetch(`${TRANSPORT_CONFIG.apiBase}/clues?${this.roomQuery(room)}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ ...body, token: this.identity.token, name: this.identity.name })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            this.emit('actionError', {
+                event,
+                code: data.code || 'UNKNOWN',
+                message: data.error || 'That did not work',
+                retryAfter: data.retryAfter
+            });
+            return;
+        }
+        this.setClueBoard(room, data);
+    }
+
+    /**
+     * Fetch the whole clue board of the current room
+     */
+    async fetchClues() {
+        const room = this.room;
+
+        try {
+            const response = await fetch(`${TRANSPORT_CONFIG.apiBase}/clues?${this.roomQuery(room)}`);
+            if (response.ok) {
+                this.setClueBoard(room, await response.json());
+            }
+        } catch (error) {
+            console.error('Error fetching clues:', error);
+        }
+    }
+
+    setClueBoard(room, board) {
+        if (room !== this.room || board.version === this.cluesVersion) return;
+
+        this.cluesVersion = board.version;
+        this.emit('clueBoard', board);
+    }
+
+    /**
+     * Fetch everything after a message id (used to fill gaps)
+     */
+    async fetchSince(since) {
+        const room = this.room;
+
+        try {
+            const response = await fetch(`${TRANSPORT_CONFIG.apiBase}/messages?${this.roomQuery(room)}&since=${since}`, {
+                headers: {
+                    'X-Player-Token': this.identity.token,
+                    'X-Player-Name': encodeURIComponent(this.identity.name)
+                }
+            });
+            if (response.ok) {
+                this.handleUpdate(room, await response.json());
+            } else if (response.status === 403) {
+                this.handleRefusal(room, await response.json());
+            }
+        } catch (error) {
+            console.error('Error fetching missed messages:', error);
+        }
+    }
+
+    /**
+     * Fetch the page of history before a message id
+     */
+    async fetchOlder(before) {
+        const room = this.room;
+
+        try {
+            const response = await fetch(`${TRANSPORT_CONFIG.apiBase}/messages?${this.roomQuery(room)}&before=${before}`, {
+                headers: {
+                    'X-Player-Token': this.identity.token,
+                    'X-Player-Name': encodeURIComponent(this.identity.name)
+                }
+            });
+            if (!response.ok) {
+                throw new Error(`History request failed with status ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (room === this.room) {
+                this.receiveHistory({ before, messages: data.messages, hasMore: data.hasMore });
+            }
+        } catch (error) {
+            console.error('Error fetching older messages:', error);
+            this.emit('olderMessages', { messages: [], hasMore: true });
+        }
+    }
+
+    /**
+     * Start receiving updates for the current room
+     */
+    startUpdates() {
+        this.stopUpdates();
+        if (!this.isConnected || !this.room) return;
+
+        this.updating = true;
+        if (this.useStream) {
+            this.startStream();
+        } else {
+            this.poll();
+        }
+    }
+
+    stopUpdates() {
+        this.updatesId++;
+        this.updating = false;
+        if (this.stream) {
+            this.stream.close();
+            this.stream = null;
+        }
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.pollTimer);
+        this.heartbeatTimer = null;
+        this.pollTimer = null;
+    }
+
+    /**
+     * Open the event stream for the current room, resuming after the last
+     * message we have. The server ends every stream after a while; those
+     * normal endings reconnect right away, real failures back off and
+     * eventually switch us to polling.
+     */
+    startStream() {
+        const room = this.room;
+        const openedAt = Date.now();
+        const source = new EventSource(`${TRANSPORT_CONFIG.apiBase}/stream?${this.roomQuery(room)}&since=${this.lastMessageId}`);
+        this.stream = source;
+
+        source.addEventListener('open', () => this.setConnected(true));
+        // Whispers arrive as placeholders; ours come with the heartbeat,
+        // from the first message the stream gave us on
+        source.addEventListener('message', (event) => {
+            const message = JSON.parse(event.data);
+            if (this.whisperCursor === null) {
+                this.whisperCursor = message.id - 1;
+            }
+            this.handleUpdate(room, { messages: [message] });
+        });
+        source.addEventListener('presence', (event) => {
+            this.handleUpdate(room, JSON.parse(event.data));
+        });
+        source.addEventListener('typing', (event) => {
+            this.handleUpdate(room, JSON.parse(event.data));
+        });
+        source.addEventListener('clues', (event) => {
+            this.setClueBoard(room, JSON.parse(event.data));
+        });
+        source.addEventListener('reactions', (event) => {
+            this.handleUpdate(room, { reactions: JSON.parse(event.data) });
+        });
+        source.addEventListener('error', () => {
+            source.close();
+            if (this.stream !== source) return;
+            this.stream = null;
+
+            if (Date.now() - openedAt >= TRANSPORT_CONFIG.streamMinLifetime) {
+                this.streamFailures = 0;
+                this.startUpdates();
+                return;
+            }
+
+            this.streamFailures++;
+            if (this.streamFailures >= TRANSPORT_CONFIG.maxStreamFailures) {
+                console.warn('Event stream keeps failing, falling back to polling');
+                this.useStream = false;
+                this.startUpdates();
+                return;
+            }
+
+            this.setConnected(false);
+            this.pollTimer = setTimeout(() => this.startUpdates(), backoffDelay(this.streamFailures));
+        });
+
+        // The stream is read-only and anonymous, so keep our presence alive
+        // (and collect our whispers) separately
+        this.sendHeartbeat();
+        this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), TRANSPORT_CONFIG.heartbeatInterval);
+    }
+
+    /**
+     * Tell the API we're still here while streaming, and pick up our whispers
+     */
+    async sendHeartbeat() {
+        const room = this.room;
+
+        try {
+            const response = await fetch(`${TRANSPORT_CONFIG.apiBase}/presence?${this.roomQuery(room)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    token: this.identity.token,
+                    name: this.identity.name,
+                    spectate: this.spectating,
+                    whispersSince: this.whisperCursor
+                })
+            });
+            if (response.status === 403) {
+                this.handleRefusal(room, await response.json());
+            } else if (response.ok) {
+                const { whispers, lastMessageId } = await response.json();
+                if (!whispers || room !== this.room) return;
+                this.whisperCursor = Math.max(this.whisperCursor, lastMessageId);
+                this.handleUpdate(room, { messages: whispers });
+            }
+        } catch (error) {
+            console.error('Heartbeat error:', error);
+        }
+    }
+
+    /**
+     * Poll for new messages. Failures back off exponentially.
+     */
+    async poll() {
+        const room = this.room;
+        const updatesId = this.updatesId;
+        if (!room) return;
+
+        try {
+            // Identifying ourselves on every poll keeps us online (see lib/presence.js)
+            const response = await fetch(`${TRANSPORT_CONFIG.apiBase}/messages?${this.roomQuery(room)}&since=${this.lastMessageId}&reactionsSince=${this.reactionsVersion}&spectate=${this.spectating ? 1 : 0}`, {
+                headers: {
+                    'X-Player-Token': this.identity.token,
+                    'X-Player-Name': encodeURIComponent(this.identity.name)
+                }
+            });
+            if (response.status === 403) {
+                this.handleRefusal(room, await response.json());
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(`Poll failed with status ${response.status}`);
+            }
+
+            this.handleUpdate(room, await response.json());
+            this.pollFailures = 0;
+            this.setConnected(true);
+        } catch (error) {
+            console.error('Polling error:', error);
+            this.pollFailures++;
+            this.setConnected(false);
+        }
+
+        // Stopped or restarted in the meantime
+        if (updatesId !== this.updatesId) return;
+
+        const delay = this.pollFailures > 0
+            ? backoffDelay(this.pollFailures)
+            : TRANSPORT_CONFIG.pollInterval;
+        this.pollTimer = setTimeout(() => this.poll(), delay);
+    }
+
+    /**
+     * Pass on messages and presence from a poll or the stream
+     */
+    handleUpdate(room, data) {
+        // Drop updates for a room we have since left
+        if (room !== this.room) return;
+
+        this.receiveMessages(data.messages || []);
+
+        // Polls bring fresh invites, so shared links don't expire on us
+        if (data.invite) {
+            this.invite = data.invite;
+        }
+        if (data.watchInvite) {
+            this.watchInvite = data.watchInvite;
+        }
+
+        if (data.online) {
+            this.emit('userCount', data.userCount);
+            this.emit('spectatorCount', data.spectatorCount || 0);
+            this.emit('roster', data.online.map(player => ({ ...player, connected: true })));
+        }
+        if (data.roomInfo) {
+            this.emit('roomInfo', data.roomInfo);
+        }
+        if (data.typing) {
+            this.updateTypists(data.typing);
+        }
+
+        // Polls only say which version the board is at; fetch it when it moved
+        if (data.cluesVersion !== undefined && data.cluesVersion !== this.cluesVersion) {
+            this.fetchClues();
+        }
+
+        if (data.reactions) {
+            this.reactionsVersion = Math.max(this.reactionsVersion, data.reactions.version);
+            if (data.reactions.changes.length > 0) {
+                this.emit('reactions', { changes: data.reactions.changes });
+            }
+        }
+    }
+
+    /**
+     * The API sends the full list of typists; pass on what changed
+     */
+    updateTypists(typing) {
+        const current = new Map(typing
+            .filter(typist => typist.id !== this.clientId)
+            .map(typist => [typist.id, typist.name]));
+
+        for (const id of this.typists.keys()) {
+            if (!current.has(id)) this.emit('typing', { id, isTyping: false });
+        }
+        for (const [id, name] of current) {
+            if (!this.typists.has(id)) this.emit('typing', { id, name, isTyping: true });
+        }
+        this.typists = current;
+    }
+
+    /**
+     * The API turned us away: we were kicked, or the room was locked
+     * before we got in
+     */
+    handleRefusal(room, data) {
+        if (room !== this.room) return;
+
+        this.room = null;
+        this.stopUpdates();
+
+        if (data.code === 'BANNED') {
+            this.emit('kicked', { room });
+        } else {
+            this.emit('roomError', { code: room, reason: data.code, message: data.error });
+        }
+    }
+
+    /**
+     * Track connection state, announcing only changes
+     */
+    setConnected(connected) {
+        const changed = connected !== this.isConnected;
+        this.isConnected = connected;
+
+        if (changed || !connected) {
+            this.emit('status', connected ? 'connected' : 'disconnected');
+        }
+    }
+
+    startTyping() {
+        this.sendTyping(true);
+    }
+
+    stopTyping() {
+        this.sendTyping(false);
+    }
+
+    /**
+     * Typing rides on the presence endpoint (see api/presence.js)
+     */
+    async sendTyping(typing) {
+        if (!this.room) return;
+
+        try {
+            await fetch(`${TRANSPORT_CONFIG.apiBase}/presence?${this.roomQuery(this.room)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token: this.identity.token, name: this.identity.name, typing })
+            });
+        } catch (error) {
+            console.error('Typing update error:', error);
+        }
+    }
+
+    // The game needs server-owned phase timers, which only the Socket.IO server has
+    startGame() {
+        this.emit('gameError', { message: 'The game is only available on the real-time server' });
+    }
+
+    castVote() { }
+}
+
+// ============================================
+// TRANSPORT SELECTION
+// ============================================
+
+/**
+ * Exponential backoff with jitter: about 1s, 2s, 4s, ... up to backoffMax
+ */
+function backoffDelay(failures) {
+    const delay = Math.min(TRANSPORT_CONFIG.backoffMax, TRANSPORT_CONFIG.backoffBase * 2 ** Math.max(0, failures - 1));
+    const jitter = TRANSPORT_CONFIG.backoffJitter;
+    return Math.round(delay * (1 - jitter + Math.random() * 2 * jitter));
+}
+
+/**
+ * Load the Socket.IO client script served by the Socket.IO server.
+ * Resolves true if it loaded, false if there is no Socket.IO server.
+ */
+function loadSocketIo() {
+    return new Promise((resolve) => {
+        if (typeof io !== 'undefined') {
+            resolve(true);
+            return;
+        }
+
+        const script = document.createElement('script');
+        const timer = setTimeout(() => resolve(false), TRANSPORT_CONFIG.socketScriptTimeout);
+
+        script.src = TRANSPORT_CONFIG.socketScript;
+        script.onload = () => {
+            clearTimeout(timer);
+            resolve(typeof io !== 'undefined');
+        };
+        script.onerror = () => {
+            clearTimeout(timer);
+            resolve(false);
+        };
+
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Pick the best available transport: Socket.IO first, /api polling as fallback
+ */
+async function createTransport(identity) {
+    const hasSocketIo = await loadSocketIo();
+    return hasSocketIo ? new SocketTransport(identity) : new PollingTransport(identity);
+}
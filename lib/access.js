@@ -0,0 +1,199 @@
+/**
+ * BURN THE WITCH - Access Control
+ * ===============================
+ * Who may talk to the game at all, and who may enter a room. Shared by
+ * the Socket.IO server and the serverless API.
+ *
+ * Origins (ALLOWED_ORIGINS):
+ *   A comma-separated list of sites whose pages may use the game, e.g.
+ *   "https://burnthewitch.example,http://localhost:3000". Pages served by
+ *   the game itself always may; requests without an Origin header (not
+ *   from a browser page on another site) are let through. Unset or "*"
+ *   lets every site in, as before.
+ *
+ * Invites (INVITE_SECRET):
+ *   When set, entering an existing room takes an invite token signed with
+ *   this secret, so a room can't be joined by guessing its code. Players
+ *   in a room get a token for it (socket `roomJoined`, API responses) and
+ *   share it in the invite link (?room=CODE&invite=TOKEN). Tokens expire
+ *   after INVITE_TTL_HOURS (default a week); players already in a room
+ *   can always come back. Unset, rooms are open to anyone with the code.
+ *
+ * Watch invites:
+ *   The watch link carries a separate invite, signed for watching only.
+ *   Whoever comes in with one is a spectator, whatever their client asks
+ *   for, and can't take a seat without a player invite. Like invites,
+ *   this needs INVITE_SECRET: without it the code is all a room has.
+ *
+ * Settings are read on every call, so they can change without a restart
+ * of the tests that set them.
+ */
+
+const crypto = require('crypto');
+const { createError } = require('./validation');
+
+const ACCESS_ERRORS = {
+    ORIGIN_NOT_ALLOWED: 'ORIGIN_NOT_ALLOWED',
+    INVITE_REQUIRED: 'INVITE_REQUIRED',
+    INVITE_INVALID: 'INVITE_INVALID'
+};
+
+const DEFAULT_INVITE_TTL_HOURS = 7 * 24;
+
+// ============================================
+// ORIGINS
+// ============================================
+
+/**
+ * The allowed origins, or null if every origin is
+ */
+function getAllowedOrigins() {
+    const list = (process.env.ALLOWED_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim().toLowerCase().replace(/\/+$/, ''))
+        .filter(Boolean);
+
+    return list.length === 0 || list.includes('*') ? null : new Set(list);
+}
+
+/**
+ * Whether a page from `origin` may use the game
+ *
+ * @param {string} origin  The request's Origin header
+ * @param {string} host    The request's Host header (our own site)
+ */
+function isOriginAllowed(origin, host) {
+    const allowed = getAllowedOrigins();
+    if (!origin || !allowed) return true;
+
+    const normalized = String(origin).toLowerCase().replace(/\/+$/, '');
+    if (allowed.has(normalized)) return true;
+
+    try {
+        return Boolean(host) && new URL(normalized).host === String(host).toLowerCase();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * A structured error for a request from a site that isn't allowed,
+ * or null if it is
+ */
+function checkOrigin(headers = {}) {
+    if (isOriginAllowed(headers.origin, headers.host)) return null;
+    return createError(ACCESS_ERRORS.ORIGIN_NOT_ALLOWED, 'This site is not allowed to use the game');
+}
+
+/**
+ * Set the CORS headers of an API response. Returns the origin error for
+ * a site that isn't allowed (send it as a 403), otherwise null.
+ *
+ * @param {object} options
+ * @param {string} options.methods  Access-Control-Allow-Methods
+ * @param {string} options.headers  Access-Control-Allow-Headers
+ */
+function applyCors(req, res, { methods, headers = 'Content-Type' }) {
+    const error = checkOrigin(req.headers);
+    if (error) return error;
+
+    if (getAllowedOrigins()) {
+        // Name the one origin asking; caches must keep answers per origin
+        if (req.headers.origin) res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+        res.setHeader('Vary', 'Origin');
+    } else {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', headers);
+    return null;
+}
+
+// ============================================
+// INVITES
+// ============================================
+
+function invitesEnabled() {
+    return Boolean(process.env.INVITE_SECRET);
+}
+
+// Marks (and is signed into) invites that only let their holder watch
+const WATCH_SCOPE = 'watch';
+
+function inviteSignature(room, expires, watch) {
+    return crypto.createHmac('sha256', process.env.INVITE_SECRET)
+        .update(watch ? `${room}:${expires}:${WATCH_SCOPE}` : `${room}:${expires}`)
+        .digest('base64url')
+        .slice(0, 22);
+}
+
+function signInvite(room, now, watch) {
+    if (!invitesEnabled()) return null;
+
+    const hours = parseFloat(process.env.INVITE_TTL_HOURS) || DEFAULT_INVITE_TTL_HOURS;
+    const expires = Math.floor(now / 1000 + hours * 60 * 60).toString(36);
+    const token = `${expires}.${inviteSignature(room, expires, watch)}`;
+    return watch ? `${token}.${WATCH_SCOPE}` : token;
+}
+
+/**
+ * An invite token for a room, or null when invites are off.
+ * Format: <expiry in seconds, base 36>.<signature>
+ */
+function createInvite(room, now = Date.now()) {
+    return signInvite(room, now, false);
+}
+
+/**
+ * A watch invite for a room, or null when invites are off.
+ * Format: <expiry in seconds, base 36>.<signature>.watch
+ */
+function createWatchInvite(room, now = Date.now()) {
+    return signInvite(room, now, true);
+}
+
+/**
+ * Whether a token is a watch invite (check that it is good with checkInvite)
+ */
+function isWatchInvite(token) {
+    return invitesEnabled() && typeof token === 'string' && token.endsWith(`.${WATCH_SCOPE}`);
+}
+
+/**
+ * Check an invite token (either kind) for a room. Returns a structured
+ * error, or null if it is good (or invites are off).
+ */
+function checkInvite(room, token, now = Date.now()) {
+    if (!invitesEnabled()) return null;
+
+    if (!token) {
+        return createError(ACCESS_ERRORS.INVITE_REQUIRED, 'You need an invite link to enter this room');
+    }
+
+    const [expires, signature, scope, ...rest] = String(token).split('.');
+    const watch = scope === WATCH_SCOPE;
+    const wellFormed = Boolean(expires) && rest.length === 0 && (scope === undefined || watch);
+    const expected = wellFormed ? inviteSignature(room, expires, watch) : '';
+    const valid = Boolean(signature) && signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid) {
+        return createError(ACCESS_ERRORS.INVITE_INVALID, 'This invite link is not valid');
+    }
+    if (parseInt(expires, 36) * 1000 < now) {
+        return createError(ACCESS_ERRORS.INVITE_INVALID, 'This invite link has expired');
+    }
+    return null;
+}
+
+module.exports = {
+    ACCESS_ERRORS,
+    getAllowedOrigins,
+    isOriginAllowed,
+    checkOrigin,
+    applyCors,
+    invitesEnabled,
+    createInvite,
+    createWatchInvite,
+    isWatchInvite,
+    checkInvite
+};
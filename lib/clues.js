@@ -0,0 +1,123 @@
+/**
+ * BURN THE WITCH - Clue Board
+ * ===========================
+ * Clues live on a per-room board instead of scrolling away in the chat.
+ * Players post a clue (optionally naming a suspect), upvote or dispute
+ * other clues, and the host pins the important ones to the top (callers
+ * check that with checkHost, see lib/moderation.js).
+ *
+ * Shared by the Socket.IO server and the serverless API, which keep a
+ * board per room:
+ *   { lastId, version, clues: [clue] }
+ *
+ * `version` goes up with every change, so pollers can tell whether they
+ * need to fetch the board again.
+ */
+
+const { ERROR_CODES, createError } = require('./validation');
+
+// Oldest unpinned clues make way once a board is full
+const MAX_CLUES = 50;
+
+function createClueBoard() {
+    return { lastId: 0, version: 0, clues: [] };
+}
+
+/**
+ * Add a clue to the board.
+ *
+ * @param {object} board   Clue board (mutated)
+ * @param {object} author  Public profile of the poster
+ * @param {object} input   Validated { text, suspectId? }
+ * @param {function} findPlayer (playerId) => profile, or null if not in the room
+ * @returns {{ clue }|{ error }}
+ */
+function addClue(board, author, { text, suspectId }, findPlayer) {
+    let suspect = null;
+    if (suspectId) {
+        suspect = findPlayer(suspectId);
+        if (!suspect) {
+            return { error: createError(ERROR_CODES.NOT_FOUND, 'That suspect is not in the room', { field: 'suspectId' }) };
+        }
+    }
+
+    const clue = {
+        id: ++board.lastId,
+        text,
+        suspectId: suspect ? suspect.id : null,
+        suspectName: suspect ? suspect.name : null,
+        authorId: author.id,
+        authorName: author.name,
+        authorColor: author.color,
+        upvotes: [],
+        disputes: [],
+        pinned: false,
+        createdAt: new Date().toISOString()
+    };
+
+    board.clues.push(clue);
+    while (board.clues.length > MAX_CLUES) {
+        const oldest = board.clues.findIndex(existing => !existing.pinned);
+        board.clues.splice(oldest === -1 ? 0 : oldest, 1);
+    }
+
+    board.version++;
+    return { clue };
+}
+
+/**
+ * Upvote, dispute or take back a vote ('up' | 'dispute' | 'none').
+ * A player has at most one vote per clue. Returns an error or null.
+ */
+function voteClue(board, playerId, clueId, vote) {
+    const clue = findClue(board, clueId);
+    if (!clue) return clueNotFound();
+
+    clue.upvotes = clue.upvotes.filter(id => id !== playerId);
+    clue.disputes = clue.disputes.filter(id => id !== playerId);
+    if (vote === 'up') clue.upvotes.push(playerId);
+    if (vote === 'dispute') clue.disputes.push(playerId);
+
+    board.version++;
+    return null;
+}
+
+/**
+ * Pin a clue to the top of the board, or unpin it. Returns an error or null.
+ */
+function pinClue(board, clueId, pinned) {
+    const clue = findClue(board, clueId);
+    if (!clue) return clueNotFound();
+
+    clue.pinned = pinned;
+    board.version++;
+    return null;
+}
+
+/**
+ * The board as sent to clients: pinned clues first, then the best supported
+ */
+function getPublicBoard(board) {
+    const score = clue => clue.upvotes.length - clue.disputes.length;
+    const clues = [...board.clues].sort((a, b) =>
+        (b.pinned - a.pinned) || (score(b) - score(a)) || (a.id - b.id));
+
+    return { version: board.version, clues };
+}
+
+function findClue(board, clueId) {
+    return board.clues.find(clue => clue.id === clueId) || null;
+}
+
+function clueNotFound() {
+    return createError(ERROR_CODES.NOT_FOUND, 'That clue is gone');
+}
+
+module.exports = {
+    MAX_CLUES,
+    createClueBoard,
+    addClue,
+    voteClue,
+    pinClue,
+    getPublicBoard
+};
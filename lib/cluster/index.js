@@ -0,0 +1,67 @@
+/**
+ * BURN THE WITCH - Cluster
+ * ========================
+ * Lets several Socket.IO server processes (cluster mode, or a few
+ * containers behind a load balancer) act as one server.
+ *
+ * Each room lives on the instance that created it. The others forward
+ * events for that room to its owner, and broadcasts reach players on
+ * every instance through the cluster adapter (see server/cluster-adapter.js).
+ *
+ * Pick a backend with the CLUSTER_BACKEND environment variable:
+ *   memory (default) One process. Server instances created in the same
+ *                    process share a hub and see each other (handy in tests)
+ *   redis            Redis pub/sub and keys at REDIS_URL, for several processes
+ *
+ * Every backend implements the same interface:
+ *   instanceId                   Unique id of this server instance
+ *   publish(channel, message)    Send a JSON message to every subscriber
+ *   subscribe(channel, handler)  Call handler(message) for every message
+ *                                published on the channel (our own too).
+ *                                Resolves to a function that unsubscribes
+ *   claimRoom(code)              Register this instance as the owner of a
+ *                                room code; false if the code is taken.
+ *                                The claim is a lease the instance renews
+ *                                while it runs: if it dies, the code is
+ *                                free again after roomTtl
+ *   getRoomOwner(code)           Instance id that owns a room, or null
+ *   releaseRoom(code)            Give a room code up
+ *   ping()                       Resolve if the backend can be reached,
+ *                                reject otherwise (readiness checks)
+ *   close()                      Release connections
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const { MemoryCluster } = require('./memory');
+
+// How long (ms) a room stays claimed without a heartbeat from its owner
+const DEFAULT_ROOM_TTL = 30 * 1000;
+
+/**
+ * Create a cluster backend from options (defaulting to the environment)
+ */
+function createCluster({
+    backend = process.env.CLUSTER_BACKEND || 'memory',
+    redisUrl = process.env.REDIS_URL || 'redis://localhost:6379',
+    redisPrefix = process.env.REDIS_PREFIX || 'btw:',
+    roomTtl = DEFAULT_ROOM_TTL
+} = {}) {
+    const instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryCluster(instanceId, roomTtl);
+        case 'redis': {
+            // Only load the Redis client when it is actually used
+            const { RedisCluster } = require('./redis');
+            return new RedisCluster(instanceId, redisUrl, redisPrefix, roomTtl);
+        }
+        default:
+            throw new Error(`Unknown CLUSTER_BACKEND "${backend}" (use memory or redis)`);
+    }
+}
+
+module.exports = {
+    createCluster
+};
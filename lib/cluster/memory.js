@@ -0,0 +1,108 @@
+/**
+ * BURN THE WITCH - In-Process Cluster
+ * ===================================
+ * Stands in for Redis when everything runs in one process. Every
+ * MemoryCluster shares the same hub, so two server instances started
+ * side by side (e.g. in a test) forward events and broadcasts to each
+ * other just like separate processes would.
+ *
+ * Messages go through JSON and arrive asynchronously, in order, like
+ * they would over the network. Room ownership is a lease renewed on a
+ * heartbeat, as with Redis.
+ */
+
+const hub = {
+    subscribers: new Map(), // channel -> Set of handlers
+    rooms: new Map()        // room code -> { owner instance id, expires }
+};
+
+/**
+ * The live lease on a room code, dropping it if it ran out
+ */
+function getLease(code) {
+    const lease = hub.rooms.get(code);
+    if (lease && lease.expires <= Date.now()) {
+        hub.rooms.delete(code);
+        return null;
+    }
+    return lease || null;
+}
+
+class MemoryCluster {
+    /**
+     * @param {string} instanceId Unique id of this server instance
+     * @param {number} roomTtl    How long (ms) a room stays ours without a renewal
+     */
+    constructor(instanceId, roomTtl) {
+        this.instanceId = instanceId;
+        this.roomTtl = roomTtl;
+        this.subscriptions = new Set(); // unsubscribe functions
+
+        this.heartbeat = setInterval(() => this.renewRooms(), roomTtl / 3);
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Renew the lease on every room we own
+     */
+    renewRooms() {
+        for (const [code, lease] of hub.rooms) {
+            if (lease.owner === this.instanceId && getLease(code)) {
+                lease.expires = Date.now() + this.roomTtl;
+            }
+        }
+    }
+
+    async publish(channel, message) {
+        const json = JSON.stringify(message);
+        const handlers = hub.subscribers.get(channel) || new Set();
+
+        handlers.forEach(handler => setImmediate(() => handler(JSON.parse(json))));
+    }
+
+    async subscribe(channel, handler) {
+        if (!hub.subscribers.has(channel)) {
+            hub.subscribers.set(channel, new Set());
+        }
+        hub.subscribers.get(channel).add(handler);
+
+        const unsubscribe = async () => {
+            hub.subscribers.get(channel).delete(handler);
+            this.subscriptions.delete(unsubscribe);
+        };
+        this.subscriptions.add(unsubscribe);
+        return unsubscribe;
+    }
+
+    async claimRoom(code) {
+        if (getLease(code)) return false;
+        hub.rooms.set(code, { owner: this.instanceId, expires: Date.now() + this.roomTtl });
+        return true;
+    }
+
+    async getRoomOwner(code) {
+        const lease = getLease(code);
+        return lease ? lease.owner : null;
+    }
+
+    async releaseRoom(code) {
+        if (await this.getRoomOwner(code) === this.instanceId) {
+            hub.rooms.delete(code);
+        }
+    }
+
+    async ping() { }
+
+    async close() {
+        clearInterval(this.heartbeat);
+        await Promise.all([...this.subscriptions].map(unsubscribe => unsubscribe()));
+
+        for (const [code, lease] of hub.rooms) {
+            if (lease.owner === this.instanceId) hub.rooms.delete(code);
+        }
+    }
+}
+
+module.exports = {
+    MemoryCluster
+};
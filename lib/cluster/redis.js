@@ -0,0 +1,149 @@
+/**
+ * BURN THE WITCH - Redis Cluster
+ * ==============================
+ * Connects server instances through Redis pub/sub. A connection that
+ * subscribes can't run other commands, so there are two: one for
+ * publishing and keys, one for subscriptions.
+ *
+ * Keys:
+ *   <prefix>cluster:room:<code>  Instance id that owns the room
+ *
+ * Ownership is a lease of `roomTtl` ms that the owner renews every third
+ * of it while it runs, so rooms live as long as their instance does, and
+ * the codes of an instance that died free up within one TTL (its players
+ * have to start over, just like after a restart of a single server).
+ */
+
+const Redis = require('ioredis');
+const { logger } = require('../logger');
+
+// KEYS[1] room key, ARGV[1] instance id, ARGV[2] TTL in ms.
+// Renews the lease and returns 1 only if the room is still ours.
+const RENEW_ROOM = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+    return 0
+end
+redis.call('PEXPIRE', KEYS[1], ARGV[2])
+return 1
+`;
+
+class RedisCluster {
+    /**
+     * @param {string} instanceId Unique id of this server instance
+     * @param {string} url        Redis connection URL, e.g. redis://localhost:6379
+     * @param {string} prefix     Prefix for every key and channel
+     * @param {number} roomTtl    How long (ms) a room stays ours without a renewal
+     */
+    constructor(instanceId, url, prefix = 'btw:', roomTtl) {
+        this.instanceId = instanceId;
+        this.prefix = prefix;
+        this.roomTtl = roomTtl;
+        this.handlers = new Map(); // channel -> [handler]
+        this.rooms = new Set();    // codes we own
+
+        this.redis = new Redis(url, { maxRetriesPerRequest: 2 });
+        this.subscriber = new Redis(url);
+
+        for (const connection of [this.redis, this.subscriber]) {
+            connection.on('error', (error) => {
+                logger.error('redis cluster error', { error: error.message });
+            });
+        }
+
+        this.subscriber.on('message', (channel, json) => {
+            let message;
+            try {
+                message = JSON.parse(json);
+            } catch {
+                return;
+            }
+            (this.handlers.get(channel) || []).forEach(handler => handler(message));
+        });
+
+        this.redis.defineCommand('renewRoom', { numberOfKeys: 1, lua: RENEW_ROOM });
+        this.heartbeat = setInterval(() => {
+            this.renewRooms().catch(error => logger.error('room renewal failed', { error: error.message }));
+        }, roomTtl / 3);
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Renew the lease on every room we own, and forget the ones we lost
+     * (we were too slow and another instance claimed the code)
+     */
+    async renewRooms() {
+        const codes = [...this.rooms];
+        if (codes.length === 0) return;
+
+        const pipeline = this.redis.pipeline();
+        codes.forEach(code => pipeline.renewRoom(this.roomKey(code), this.instanceId, this.roomTtl));
+        const results = await pipeline.exec();
+
+        results.forEach(([error, renewed], i) => {
+            if (!error && renewed === 0) {
+                logger.warn('room ownership lost', { instanceId: this.instanceId, room: codes[i] });
+                this.rooms.delete(codes[i]);
+            }
+        });
+    }
+
+    roomKey(code) {
+        return `${this.prefix}cluster:room:${code}`;
+    }
+
+    async publish(channel, message) {
+        await this.redis.publish(this.prefix + channel, JSON.stringify(message));
+    }
+
+    async subscribe(channel, handler) {
+        const key = this.prefix + channel;
+        if (!this.handlers.has(key)) {
+            this.handlers.set(key, []);
+            await this.subscriber.subscribe(key);
+        }
+        this.handlers.get(key).push(handler);
+
+        return async () => {
+            const remaining = (this.handlers.get(key) || []).filter(other => other !== handler);
+            if (remaining.length > 0) {
+                this.handlers.set(key, remaining);
+            } else if (this.handlers.delete(key)) {
+                await this.subscriber.unsubscribe(key);
+            }
+        };
+    }
+
+    async claimRoom(code) {
+        const result = await this.redis.set(this.roomKey(code), this.instanceId, 'PX', this.roomTtl, 'NX');
+        if (result !== 'OK') return false;
+
+        this.rooms.add(code);
+        return true;
+    }
+
+    async getRoomOwner(code) {
+        return this.redis.get(this.roomKey(code));
+    }
+
+    async releaseRoom(code) {
+        this.rooms.delete(code);
+        // Only give up codes we own (another instance may have claimed it since)
+        if (await this.getRoomOwner(code) === this.instanceId) {
+            await this.redis.del(this.roomKey(code));
+        }
+    }
+
+    async ping() {
+        await Promise.all([this.redis.ping(), this.subscriber.ping()]);
+    }
+
+    async close() {
+        clearInterval(this.heartbeat);
+        await Promise.all([...this.rooms].map(code => this.releaseRoom(code)));
+        await Promise.all([this.redis.quit(), this.subscriber.quit()]);
+    }
+}
+
+module.exports = {
+    RedisCluster
+};
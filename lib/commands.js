@@ -0,0 +1,215 @@
+/**
+ * BURN THE WITCH - Chat Commands
+ * ==============================
+ * Chat input starting with "/" is a command rather than a message.
+ * This is the server's registry: every command names its arguments, and
+ * parseCommand checks them before the handler runs.
+ *
+ * Argument types:
+ *   player   A player in the room, by name (names may contain spaces)
+ *   dice     Dice like 2d6
+ *   text     The rest of the line
+ *
+ * Handlers get a context from whoever runs them (Socket.IO server or API):
+ *   {
+ *     player,                        Public profile of who typed it
+ *     players,                       [{ id, name }] in the room
+ *     moderation,                    { hostId, muted } (see lib/moderation.js)
+ *     castVote(targetId),            Resolves to an error or null (optional)
+ *     moderate(action, playerId)     Resolves to an error or null (see lib/moderation.js)
+ *   }
+ * and resolve to { notice } (a system message for the room), { reply }
+ * (only for whoever typed it), { error }, or {} when they posted their
+ * own news.
+ *
+ * Commands that only touch the client, like /nick and /w, live in
+ * client/commands.js. The client's list of the commands here is generated
+ * from describeCommands() by scripts/build-commands.js (npm run build).
+ */
+
+const crypto = require('crypto');
+const { ERROR_CODES, createError } = require('./validation');
+const { MODERATION_ERRORS, checkPost } = require('./moderation');
+
+const MAX_DICE = 20;
+const MAX_SIDES = 1000;
+const DICE_PATTERN = /^(\d{1,2})?d(\d{1,4})$/i;
+
+const COMMANDS = {
+    roll: {
+        usage: '/roll [dice]',
+        description: 'Roll dice for the room, e.g. /roll 2d6',
+        postsNotice: true,
+        args: [{ name: 'dice', type: 'dice', optional: true }],
+        run: (ctx, { dice = { count: 1, sides: 6 } }) => {
+            const rolls = rollDice(dice.count, dice.sides);
+            const total = rolls.reduce((sum, roll) => sum + roll, 0);
+            const detail = rolls.length > 1 ? `${rolls.join(' + ')} = ${total}` : String(total);
+            return { notice: `🎲 ${ctx.player.name} rolled ${dice.count}d${dice.sides}: ${detail}` };
+        }
+    },
+    vote: {
+        usage: '/vote <player>',
+        description: 'Vote to burn a player',
+        args: [{ name: 'target', type: 'player' }],
+        run: async (ctx, { target }) => {
+            if (!ctx.castVote) {
+                return { error: createError(ERROR_CODES.INVALID_PAYLOAD, 'Voting needs a live connection') };
+            }
+            const error = await ctx.castVote(target.id);
+            return error ? { error } : { reply: `You voted to burn ${target.name}` };
+        }
+    },
+    kick: moderationCommand('kick', 'Remove a player from the room'),
+    mute: moderationCommand('mute', 'Stop a player from chatting'),
+    unmute: moderationCommand('unmute', 'Let a muted player chat again'),
+    lock: moderationCommand('lock', 'Stop new players from joining'),
+    unlock: moderationCommand('unlock', 'Let new players join again')
+};
+
+/**
+ * A host command that hands straight over to lib/moderation.js
+ */
+function moderationCommand(action, description) {
+    const needsPlayer = action !== 'lock' && action !== 'unlock';
+    return {
+        usage: needsPlayer ? `/${action} <player>` : `/${action}`,
+        description,
+        hostOnly: true,
+        args: needsPlayer ? [{ name: 'target', type: 'player' }] : [],
+        run: async (ctx, { target }) => {
+            const error = await ctx.moderate(action, target ? target.id : undefined);
+            return error ? { error } : {};
+        }
+    };
+}
+
+/**
+ * Split "/roll 2d6" into a command and checked arguments.
+ *
+ * @param {string} input    The whole line, starting with "/"
+ * @param {Array} players   [{ id, name }] in the room, for player arguments
+ * @returns {{ name, command, args }|{ error }}
+ */
+function parseCommand(input, players) {
+    const match = /^\/(\S+)\s*([\s\S]*)$/.exec(input.trim());
+    if (!match) {
+        return { error: createError(ERROR_CODES.INVALID_PAYLOAD, 'Commands start with /', { field: 'text' }) };
+    }
+
+    const name = match[1].toLowerCase();
+    const command = Object.prototype.hasOwnProperty.call(COMMANDS, name) ? COMMANDS[name] : null;
+    if (!command) {
+        return { error: createError(ERROR_CODES.NOT_FOUND, `Unknown command /${name}`, { field: 'text' }) };
+    }
+
+    const usageError = () => ({
+        error: createError(ERROR_CODES.INVALID_PAYLOAD, `Usage: ${command.usage}`, { field: 'text' })
+    });
+
+    let rest = match[2].trim();
+    const args = {};
+
+    for (const arg of command.args) {
+        if (!rest) {
+            if (arg.optional) continue;
+            return usageError();
+        }
+
+        if (arg.type === 'text') {
+            args[arg.name] = rest;
+            rest = '';
+        } else if (arg.type === 'player') {
+            const player = matchPlayer(rest, players);
+            if (!player) {
+                return { error: createError(ERROR_CODES.NOT_FOUND, 'Nobody by that name is in the room', { field: 'text' }) };
+            }
+            args[arg.name] = player;
+            rest = rest.slice(player.name.length).trim();
+        } else if (arg.type === 'dice') {
+            const [word] = rest.split(/\s+/);
+            const dice = parseDice(word);
+            if (!dice) return usageError();
+            args[arg.name] = dice;
+            rest = rest.slice(word.length).trim();
+        }
+    }
+
+    // Anything left over means the arguments didn't fit
+    if (rest) return usageError();
+
+    return { name, command, args };
+}
+
+/**
+ * Parse and run a command line. Returns { notice }, { reply }, { error } or {}.
+ */
+async function runCommand(input, ctx) {
+    const parsed = parseCommand(input, ctx.players);
+    if (parsed.error) return parsed;
+
+    if (parsed.command.hostOnly && ctx.moderation.hostId !== ctx.player.id) {
+        return { error: createError(MODERATION_ERRORS.NOT_HOST, `Only the host can use /${parsed.name}`) };
+    }
+
+    // Muted players can't talk to the room through commands either
+    const muteError = parsed.command.postsNotice && checkPost(ctx.moderation, ctx.player.id);
+    if (muteError) return { error: muteError };
+
+    return parsed.command.run(ctx, parsed.args);
+}
+
+/**
+ * The player whose name starts the input. Names may contain spaces,
+ * so the longest match wins; ties are ambiguous and match nobody.
+ */
+function matchPlayer(input, players) {
+    const lower = input.toLowerCase();
+    const matches = players.filter(player => {
+        const name = player.name.toLowerCase();
+        return lower === name || lower.startsWith(name + ' ');
+    });
+    if (matches.length === 0) return null;
+
+    const longest = Math.max(...matches.map(player => player.name.length));
+    const candidates = matches.filter(player => player.name.length === longest);
+    return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * "2d6" -> { count: 2, sides: 6 }, or null if out of range
+ */
+function parseDice(word) {
+    const match = DICE_PATTERN.exec(word);
+    if (!match) return null;
+
+    const count = match[1] ? parseInt(match[1]) : 1;
+    const sides = parseInt(match[2]);
+    if (count < 1 || count > MAX_DICE || sides < 2 || sides > MAX_SIDES) return null;
+
+    return { count, sides };
+}
+
+/**
+ * What clients need to know about each command (no handlers): usage,
+ * description, arguments and whether only the host may use it
+ */
+function describeCommands() {
+    return Object.fromEntries(Object.entries(COMMANDS).map(([name, command]) => [name, {
+        usage: command.usage,
+        description: command.description,
+        args: command.args,
+        hostOnly: Boolean(command.hostOnly)
+    }]));
+}
+
+function rollDice(count, sides) {
+    return Array.from({ length: count }, () => crypto.randomInt(1, sides + 1));
+}
+
+module.exports = {
+    COMMANDS,
+    describeCommands,
+    parseCommand,
+    runCommand
+};
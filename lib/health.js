@@ -0,0 +1,63 @@
+/**
+ * BURN THE WITCH - Health Checks
+ * ==============================
+ * Shared by the Socket.IO server (/readyz, /admin) and the serverless
+ * status API:
+ *
+ * - checkBackends pings the backends a process depends on (storage,
+ *   cluster). It is ready only if every one answers within READY_TIMEOUT.
+ * - getProcessStats reports uptime and memory use.
+ */
+
+// A backend that takes longer than this counts as down
+const READY_TIMEOUT = 2 * 1000;
+
+/**
+ * Ping each backend. Resolves to { ready, checks }, where checks maps a
+ * backend name to { status: 'ok' | 'error', latencyMs, error? }.
+ *
+ * @param {object} backends  name -> anything with an async ping()
+ */
+async function checkBackends(backends, timeoutMs = READY_TIMEOUT) {
+    const checks = {};
+
+    await Promise.all(Object.entries(backends).map(async ([name, backend]) => {
+        const startedAt = Date.now();
+        let timer;
+        try {
+            await Promise.race([
+                backend.ping(),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`No answer within ${timeoutMs}ms`)), timeoutMs);
+                })
+            ]);
+            checks[name] = { status: 'ok', latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            checks[name] = { status: 'error', latencyMs: Date.now() - startedAt, error: error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }));
+
+    return {
+        ready: Object.values(checks).every(check => check.status === 'ok'),
+        checks
+    };
+}
+
+/**
+ * Uptime (seconds) and memory use (bytes) of this process
+ */
+function getProcessStats() {
+    const { rss, heapUsed, heapTotal, external } = process.memoryUsage();
+    return {
+        uptime: Math.round(process.uptime()),
+        memory: { rss, heapUsed, heapTotal, external }
+    };
+}
+
+module.exports = {
+    READY_TIMEOUT,
+    checkBackends,
+    getProcessStats
+};
@@ -0,0 +1,63 @@
+/**
+ * BURN THE WITCH - Message History
+ * ================================
+ * How much history a room keeps, and how it is handed out in pages.
+ * Late joiners get the newest page as a snapshot; scrolling up asks for
+ * the page before the oldest message they have.
+ */
+
+// Messages kept per room
+const HISTORY_RETENTION = 500;
+
+// Messages per page (snapshot on join, or one "load older" request)
+const HISTORY_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Turn a requested page size into one we are willing to serve
+ */
+function clampLimit(limit) {
+    const value = parseInt(limit);
+    if (!Number.isFinite(value) || value < 1) return HISTORY_PAGE_SIZE;
+    return Math.min(value, MAX_PAGE_SIZE);
+}
+
+/**
+ * The `limit` messages right before `beforeId` (or the newest ones if
+ * beforeId is not set), oldest first, from a list sorted by id.
+ * Returns { messages, hasMore }.
+ */
+function pageBefore(messages, beforeId, limit = HISTORY_PAGE_SIZE) {
+    const older = beforeId ? messages.filter(message => message.id < beforeId) : messages;
+    const page = older.slice(-limit);
+    return { messages: page, hasMore: older.length > page.length };
+}
+
+/**
+ * Read a page from a storage backend (see lib/storage)
+ */
+async function readPage(storage, room, beforeId, limit = HISTORY_PAGE_SIZE) {
+    // One extra message tells us whether there is anything further back
+    const messages = await storage.listBefore(room, beforeId || null, limit + 1);
+    const hasMore = messages.length > limit;
+    return { messages: hasMore ? messages.slice(1) : messages, hasMore };
+}
+
+/**
+ * Add a message to a storage backend and drop what falls out of the
+ * retained window. Every write goes through here, so reads never trim.
+ */
+async function appendMessage(storage, room, message) {
+    await storage.append(room, message);
+    await storage.trim(room, HISTORY_RETENTION);
+}
+
+module.exports = {
+    HISTORY_RETENTION,
+    HISTORY_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    clampLimit,
+    pageBefore,
+    readPage,
+    appendMessage
+};
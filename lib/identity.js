@@ -0,0 +1,79 @@
+/**
+ * BURN THE WITCH - Player Identity
+ * ================================
+ * Every browser keeps a secret player token in localStorage.
+ * The public player id is derived from it, so the Socket.IO server and
+ * the serverless API agree on who a player is without sharing state,
+ * and the token itself never has to be shown to other players.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+const MAX_NAME_LENGTH = 24;
+
+// Avatar colours that read well on the dark forest theme
+const AVATAR_COLORS = [
+    '#f87171', '#fb923c', '#fbbf24', '#a3e635',
+    '#34d399', '#22d3ee', '#60a5fa', '#a78bfa',
+    '#f472b6', '#e879f9', '#2dd4bf', '#facc15'
+];
+
+/**
+ * Check that a player token is well-formed
+ */
+function isValidToken(token) {
+    return typeof token === 'string' && TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Derive the public player id from a secret token
+ */
+function playerIdFromToken(token) {
+    return 'p_' + crypto.createHash('sha256').update(token).digest('hex').substring(0, 12);
+}
+
+/**
+ * Clean up a display name. Returns null if nothing usable is left.
+ */
+function sanitizeName(name) {
+    if (typeof name !== 'string') return null;
+
+    const clean = name
+        .replace(/[\u0000-\u001f\u007f]/g, '') // Control characters
+        .replace(/\s+/g, ' ')
+        .trim()
+        .substring(0, MAX_NAME_LENGTH)
+        .trim();
+
+    return clean || null;
+}
+
+/**
+ * Pick a stable avatar colour for a player id
+ */
+function avatarColor(playerId) {
+    const hash = crypto.createHash('sha256').update(playerId).digest();
+    return AVATAR_COLORS[hash[0] % AVATAR_COLORS.length];
+}
+
+/**
+ * Build the public profile for a token and requested name
+ */
+function createProfile(token, name) {
+    const id = playerIdFromToken(token);
+    return {
+        id,
+        name: sanitizeName(name) || 'Player ' + id.substring(2, 6),
+        color: avatarColor(id)
+    };
+}
+
+module.exports = {
+    MAX_NAME_LENGTH,
+    isValidToken,
+    playerIdFromToken,
+    sanitizeName,
+    avatarColor,
+    createProfile
+};
@@ -0,0 +1,141 @@
+/**
+ * BURN THE WITCH - Logging
+ * ========================
+ * Structured logs for the Socket.IO server and the serverless API: one
+ * JSON object per line, easy to grep locally and to ship anywhere.
+ *
+ *   {"time":"…","level":"info","msg":"message posted","requestId":"9f2c…","room":"K7QXM","playerId":"…","text":{"length":18,"hmac":"3b1d…"}}
+ *
+ * Environment:
+ *   LOG_LEVEL         debug, info (default), warn, error or silent.
+ *                     Read on every call, so tests can turn it down.
+ *   LOG_MESSAGE_TEXT  true to log what players type. Off by default:
+ *                     redactText() keeps only the length.
+ *   LOG_TEXT_SECRET   Key for a short HMAC of redacted text, enough to tell
+ *                     messages apart without reading them. A plain hash
+ *                     would give short messages away to anyone guessing.
+ *
+ * Child loggers carry fields into every line they write, which is how a
+ * request id and a room follow one request (or socket event) through
+ * the logs: log.child({ requestId, room }).info('…').
+ */
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const DEFAULT_LEVEL = 'info';
+
+function currentLevel() {
+    const level = String(process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase();
+    return LEVELS[level] !== undefined ? LEVELS[level] : LEVELS[DEFAULT_LEVEL];
+}
+
+// ============================================
+// LOGGER
+// ============================================
+
+class Logger {
+    /**
+     * @param {object} fields Added to every line this logger writes
+     */
+    constructor(fields = {}) {
+        this.fields = fields;
+    }
+
+    /**
+     * A logger that adds `fields` to ours
+     */
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields });
+    }
+
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+
+    write(level, msg, fields = {}) {
+        if (LEVELS[level] < currentLevel()) return;
+
+        const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) entry[key] = value instanceof Error ? serializeError(value) : value;
+        }
+
+        const line = JSON.stringify(entry);
+        if (LEVELS[level] >= LEVELS.warn) {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+function serializeError(error) {
+    return { message: error.message, code: error.code, stack: error.stack };
+}
+
+// ============================================
+// PRIVACY AND CORRELATION
+// ============================================
+
+/**
+ * What a log may say about text a player typed: its length (and a short
+ * HMAC with LOG_TEXT_SECRET set), or the text itself when LOG_MESSAGE_TEXT=true
+ */
+function redactText(text) {
+    const value = String(text);
+    if (process.env.LOG_MESSAGE_TEXT === 'true') {
+        return value;
+    }
+    if (!process.env.LOG_TEXT_SECRET) {
+        return { length: value.length };
+    }
+    return {
+        length: value.length,
+        hmac: crypto.createHmac('sha256', process.env.LOG_TEXT_SECRET).update(value).digest('hex').slice(0, 12)
+    };
+}
+
+/**
+ * A fresh id for one request or socket event
+ */
+function createRequestId() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * A logger for one API request. Keeps the id a proxy gave the request
+ * (X-Request-Id, or Vercel's X-Vercel-Id) and echoes it back, so a
+ * client's error report leads to the matching lines.
+ */
+function requestLogger(req, res, fields = {}) {
+    const given = req.headers && (req.headers['x-request-id'] || req.headers['x-vercel-id']);
+    const requestId = given ? String(given).slice(0, 128) : createRequestId();
+
+    res.setHeader('X-Request-Id', requestId);
+    return logger.child({ requestId, ...fields });
+}
+
+// The root logger; everything else is a child of it
+const logger = new Logger();
+
+module.exports = {
+    LEVELS,
+    Logger,
+    logger,
+    redactText,
+    createRequestId,
+    requestLogger
+};
@@ -0,0 +1,130 @@
+/**
+ * BURN THE WITCH - Message Factory
+ * ================================
+ * Builds the message objects sent to clients, so the Socket.IO server
+ * and the serverless API produce exactly the same shape.
+ *
+ * Message ids are a per-room sequence (1, 2, 3, ...) assigned when the
+ * message is stored, so they never collide and clients can spot gaps.
+ * Clients may attach a nonce to match their optimistic copy to the echo.
+ * It also makes resends safe: a nonce the sender already used gets the
+ * stored message back instead of posting it twice (see findByNonce).
+ *
+ * Whispers are only for their sender and recipient. Everyone else gets
+ * a { type: 'hidden' } placeholder in their place (see visibleTo), so
+ * the id sequence stays whole and clients don't chase it as a gap. That
+ * tells the room a whisper was sent, and when - by design: the sequence
+ * gives that away anyway, and whispering is a visible move in the game.
+ * Who whispered to whom, and what, stays with the two of them.
+ *
+ * Chat messages list the players they @mention (see findMentions), so
+ * clients can highlight them and let those players know.
+ */
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Accept a client nonce only if it is well-formed
+ */
+function cleanNonce(nonce) {
+    return typeof nonce === 'string' && NONCE_PATTERN.test(nonce) ? nonce : null;
+}
+
+/**
+ * The players a text @mentions, as [{ id, name }]. Names may contain
+ * spaces, so each @ takes the longest name it starts with.
+ *
+ * @param {string} text     The message text
+ * @param {Array} players   [{ id, name }] who are in the room
+ */
+function findMentions(text, players) {
+    const byLength = [...players].sort((a, b) => b.name.length - a.name.length);
+    const mentioned = new Map();
+    const lower = text.toLowerCase();
+
+    for (let at = lower.indexOf('@'); at !== -1; at = lower.indexOf('@', at + 1)) {
+        // Only at the start of a word, so emails don't count
+        if (at > 0 && !/\s/.test(lower[at - 1])) continue;
+
+        const player = byLength.find(candidate => {
+            const name = candidate.name.toLowerCase();
+            const after = lower[at + 1 + name.length];
+            return lower.startsWith(name, at + 1) && (after === undefined || !/[\p{L}\p{N}_]/u.test(after));
+        });
+        if (player) mentioned.set(player.id, { id: player.id, name: player.name });
+    }
+
+    return [...mentioned.values()];
+}
+
+/**
+ * A chat message from a player, mentioning `mentions` (see findMentions)
+ */
+function createChatMessage(room, player, text, nonce = null, mentions = []) {
+    return {
+        id: null,                           // Sequence number, assigned when stored
+        type: 'chat',
+        text,                               // The actual message content
+        senderId: player.id,                // Who sent it
+        senderName: player.name,            // Their display name
+        senderColor: player.color,          // Their avatar colour
+        room,                               // Which room it belongs to
+        nonce: cleanNonce(nonce),           // Sender's own id for this message
+        mentions,                           // [{ id, name }] of players it @mentions
+        timestamp: new Date().toISOString() // When it was sent
+    };
+}
+
+/**
+ * A private message from one player to another
+ */
+function createWhisperMessage(room, sender, recipient, text, nonce = null) {
+    return {
+        ...createChatMessage(room, sender, text, nonce),
+        type: 'whisper',
+        recipientId: recipient.id,
+        recipientName: recipient.name
+    };
+}
+
+/**
+ * What a player (or null for an anonymous reader) may see of a message
+ */
+function visibleTo(message, playerId) {
+    if (message.type !== 'whisper' || playerId === message.senderId || playerId === message.recipientId) {
+        return message;
+    }
+    return { id: message.id, type: 'hidden', room: message.room, timestamp: message.timestamp };
+}
+
+/**
+ * The message this player already sent with this nonce, if it is among
+ * `messages` (clients resend whatever wasn't confirmed after a reconnect)
+ */
+function findByNonce(messages, senderId, nonce) {
+    if (!nonce) return null;
+    return messages.find(message => message.nonce === nonce && message.senderId === senderId) || null;
+}
+
+/**
+ * A notice from the game itself, e.g. "Alice joined"
+ */
+function createSystemMessage(room, text) {
+    return {
+        id: null,
+        type: 'system',
+        text,
+        room,
+        timestamp: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    cleanNonce,
+    createChatMessage,
+    createWhisperMessage,
+    createSystemMessage,
+    findByNonce,
+    findMentions,
+    visibleTo
+};
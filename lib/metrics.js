@@ -0,0 +1,144 @@
+/**
+ * BURN THE WITCH - Metrics
+ * ========================
+ * Just enough of a metrics library for the admin endpoints: counters,
+ * gauges read when scraped, and a rendering in the Prometheus text format
+ * (https://prometheus.io/docs/instrumenting/exposition_formats/).
+ *
+ * Also a throughput meter that counts events over the last minute, for
+ * numbers a person reads rather than Prometheus (which computes rates
+ * from the counters itself).
+ */
+
+// ============================================
+// COUNTERS AND GAUGES
+// ============================================
+
+class Counter {
+    /**
+     * @param {string} name  Metric name, e.g. btw_messages_total
+     * @param {string} help  One-line description
+     */
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        // Label set as JSON -> value
+        this.values = new Map();
+    }
+
+    inc(labels = {}, by = 1) {
+        const key = JSON.stringify(labels);
+        this.values.set(key, (this.values.get(key) || 0) + by);
+    }
+
+    /**
+     * Sum over every label set (or those matching `labels`)
+     */
+    total(labels = {}) {
+        let sum = 0;
+        for (const [key, value] of this.values) {
+            const sample = JSON.parse(key);
+            if (Object.entries(labels).every(([name, wanted]) => sample[name] === wanted)) {
+                sum += value;
+            }
+        }
+        return sum;
+    }
+
+    samples() {
+        return [...this.values].map(([key, value]) => ({ labels: JSON.parse(key), value }));
+    }
+}
+
+class Gauge {
+    /**
+     * @param {string} name     Metric name
+     * @param {string} help     One-line description
+     * @param {function} collect Returns the current value, or [{ labels, value }]
+     */
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.type = 'gauge';
+        this.collect = collect;
+    }
+
+    samples() {
+        const value = this.collect();
+        return Array.isArray(value) ? value : [{ labels: {}, value }];
+    }
+}
+
+// ============================================
+// PROMETHEUS TEXT FORMAT
+// ============================================
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render metrics for a Prometheus scrape
+ */
+function renderMetrics(metrics) {
+    const lines = [];
+
+    for (const metric of metrics) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+        for (const { labels, value } of metric.samples()) {
+            const pairs = Object.entries(labels).map(([name, label]) => `${name}="${escapeLabel(label)}"`);
+            lines.push(`${metric.name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${value}`);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// ============================================
+// THROUGHPUT
+// ============================================
+
+class ThroughputMeter {
+    /**
+     * Counts events in one-second buckets over a sliding window
+     *
+     * @param {number} windowMs How far back count() looks
+     */
+    constructor(windowMs = 60 * 1000) {
+        this.windowMs = windowMs;
+        this.buckets = new Map(); // second -> events
+    }
+
+    mark(now = Date.now()) {
+        const second = Math.floor(now / 1000);
+        this.buckets.set(second, (this.buckets.get(second) || 0) + 1);
+        this.prune(now);
+    }
+
+    /**
+     * Events within the window
+     */
+    count(now = Date.now()) {
+        this.prune(now);
+        let sum = 0;
+        this.buckets.forEach(events => { sum += events; });
+        return sum;
+    }
+
+    prune(now) {
+        const oldest = Math.floor((now - this.windowMs) / 1000);
+        for (const second of this.buckets.keys()) {
+            if (second <= oldest) this.buckets.delete(second);
+        }
+    }
+}
+
+module.exports = {
+    Counter,
+    Gauge,
+    ThroughputMeter,
+    renderMetrics
+};
@@ -0,0 +1,209 @@
+/**
+ * BURN THE WITCH - Host Moderation
+ * ================================
+ * The first player in a room is its host. The host can hand the role
+ * on, kick or mute players, delete messages and lock the room against
+ * new joiners. Shared by the Socket.IO server and the serverless API,
+ * which both keep this moderation state per room:
+ *
+ *   { hostId, locked, muted: [playerId], banned: [playerId] }
+ *
+ * Deleted messages are replaced by a { type: 'deleted' } placeholder so
+ * the id sequence has no holes, and a { type: 'delete', targetId } event
+ * goes out so clients remove the message they already show.
+ *
+ * Spectators (joined through a watch link) are not members: they can't
+ * be host, post or vote, and a locked room still lets them watch.
+ */
+
+const { ERROR_CODES, createError } = require('./validation');
+
+const MODERATION_ERRORS = {
+    NOT_HOST: 'NOT_HOST',
+    MUTED: 'MUTED',
+    ROOM_LOCKED: 'ROOM_LOCKED',
+    BANNED: 'BANNED',
+    SPECTATOR: 'SPECTATOR',
+    NOT_FOUND: ERROR_CODES.NOT_FOUND
+};
+
+const ACTIONS = ['kick', 'mute', 'unmute', 'deleteMessage', 'lock', 'unlock', 'transferHost'];
+
+// Actions that need a target player
+const PLAYER_ACTIONS = ['kick', 'mute', 'unmute', 'transferHost'];
+
+function createModerationState() {
+    return { hostId: null, locked: false, muted: [], banned: [] };
+}
+
+/**
+ * Make sure the room has a host: keep the current one if they are still
+ * among `candidates` (in join order), otherwise promote the first.
+ * Returns the new host id if it changed, otherwise null.
+ */
+function ensureHost(moderation, candidates) {
+    if (moderation.hostId && candidates.includes(moderation.hostId)) {
+        return null;
+    }
+
+    const nextHost = candidates[0] || null;
+    if (nextHost === moderation.hostId) return null;
+
+    moderation.hostId = nextHost;
+    return nextHost;
+}
+
+/**
+ * Check whether a player may (re)join. Existing members may always come
+ * back to a locked room; kicked players never can.
+ */
+function checkJoin(moderation, playerId, isMember) {
+    if (moderation.banned.includes(playerId)) {
+        return createError(MODERATION_ERRORS.BANNED, 'You were removed from this room');
+    }
+    if (moderation.locked && !isMember) {
+        return createError(MODERATION_ERRORS.ROOM_LOCKED, 'This room is locked');
+    }
+    return null;
+}
+
+/**
+ * Check whether a player is the host, for actions only the host may take
+ * (moderation, pinning clues)
+ */
+function checkHost(moderation, playerId) {
+    if (moderation.hostId !== playerId) {
+        return createError(MODERATION_ERRORS.NOT_HOST, 'Only the host can do that');
+    }
+    return null;
+}
+
+/**
+ * Check whether a player may post
+ */
+function checkPost(moderation, playerId) {
+    if (moderation.muted.includes(playerId)) {
+        return createError(MODERATION_ERRORS.MUTED, 'The host has muted you');
+    }
+    return null;
+}
+
+/**
+ * Refusal for anything a spectator tries beyond watching
+ */
+function createSpectatorError() {
+    return createError(MODERATION_ERRORS.SPECTATOR, 'Spectators can only watch');
+}
+
+/**
+ * Apply a host action to the moderation state.
+ *
+ * @param {object}   moderation Room moderation state (mutated)
+ * @param {string}   actorId    Who is asking
+ * @param {object}   request    { action, playerId?, messageId? }
+ * @param {function} isMember   (playerId) => boolean
+ * @returns {{ error }|{ action, playerId?, messageId? }} What the caller must
+ *          carry out (remove a kicked player, delete a message, post a notice)
+ */
+function applyModeration(moderation, actorId, { action, playerId, messageId }, isMember) {
+    if (!ACTIONS.includes(action)) {
+        return { error: createError(ERROR_CODES.INVALID_PAYLOAD, `Unknown action "${action}"`, { field: 'action' }) };
+    }
+    const hostError = checkHost(moderation, actorId);
+    if (hostError) {
+        return { error: hostError };
+    }
+
+    if (PLAYER_ACTIONS.includes(action)) {
+        if (!playerId || !isMember(playerId)) {
+            return { error: createError(MODERATION_ERRORS.NOT_FOUND, 'That player is not in the room') };
+        }
+        if (playerId === actorId) {
+            return { error: createError(ERROR_CODES.INVALID_PAYLOAD, 'You cannot do that to yourself') };
+        }
+    }
+
+    switch (action) {
+        case 'kick':
+            moderation.banned = addOnce(moderation.banned, playerId);
+            moderation.muted = moderation.muted.filter(id => id !== playerId);
+            return { action, playerId };
+        case 'mute':
+            moderation.muted = addOnce(moderation.muted, playerId);
+            return { action, playerId };
+        case 'unmute':
+            moderation.muted = moderation.muted.filter(id => id !== playerId);
+            return { action, playerId };
+        case 'transferHost':
+            moderation.hostId = playerId;
+            moderation.muted = moderation.muted.filter(id => id !== playerId);
+            return { action, playerId };
+        case 'lock':
+        case 'unlock':
+            moderation.locked = action === 'lock';
+            return { action };
+        case 'deleteMessage':
+            if (!Number.isInteger(messageId) || messageId < 1) {
+                return { error: createError(ERROR_CODES.INVALID_PAYLOAD, 'messageId is required', { field: 'messageId' }) };
+            }
+            return { action, messageId };
+        default:
+            return { error: createError(ERROR_CODES.INVALID_PAYLOAD, `Unknown action "${action}"`) };
+    }
+}
+
+/**
+ * Notice posted to the room after an action
+ */
+function describeModeration(result, nameOf) {
+    switch (result.action) {
+        case 'kick': return `${nameOf(result.playerId)} was removed by the host`;
+        case 'mute': return `${nameOf(result.playerId)} was muted`;
+        case 'unmute': return `${nameOf(result.playerId)} can talk again`;
+        case 'transferHost': return `${nameOf(result.playerId)} is now the host`;
+        case 'lock': return 'The room is now locked';
+        case 'unlock': return 'The room is open again';
+        default: return null;
+    }
+}
+
+/**
+ * Placeholder kept in history where a deleted message used to be
+ */
+function createDeletedPlaceholder(message) {
+    return { id: message.id, type: 'deleted', room: message.room, timestamp: message.timestamp };
+}
+
+/**
+ * Feed event telling clients to remove a message they already show
+ */
+function createDeleteEvent(room, targetId) {
+    return { id: null, type: 'delete', targetId, room, timestamp: new Date().toISOString() };
+}
+
+/**
+ * Public view of the moderation state
+ */
+function getRoomInfo(moderation) {
+    return { hostId: moderation.hostId, locked: moderation.locked, muted: moderation.muted };
+}
+
+function addOnce(list, item) {
+    return list.includes(item) ? list : [...list, item];
+}
+
+module.exports = {
+    MODERATION_ERRORS,
+    ACTIONS,
+    createModerationState,
+    ensureHost,
+    checkJoin,
+    checkHost,
+    checkPost,
+    createSpectatorError,
+    applyModeration,
+    describeModeration,
+    createDeletedPlaceholder,
+    createDeleteEvent,
+    getRoomInfo
+};
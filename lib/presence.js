@@ -0,0 +1,205 @@
+/**
+ * BURN THE WITCH - Presence (serverless API)
+ * ==========================================
+ * Tracks who is online in a room without a persistent connection.
+ * Every poll or heartbeat refreshes the player's last-seen time; players
+ * not seen for PRESENCE_TIMEOUT are considered gone. Joins and leaves are
+ * posted to the room's feed as system messages.
+ *
+ * Presence lives in the room state of the storage backend, next to the
+ * host moderation state (see lib/moderation.js):
+ *   { players: { [id]: { id, name, color, lastSeen, online, spectator } }, moderation, typing, clues, reactions }
+ * Every change goes through storage.updateRoomState, so heartbeats from
+ * concurrent requests (and instances) never undo each other's writes.
+ *
+ * The longest-present online player is host; when the host goes offline
+ * the role passes to the next one.
+ *
+ * Spectators are kept with the players but flagged: they come and go
+ * without notices, don't count as online players and can't be host.
+ * Polls and heartbeats say which role they are in; anything else keeps
+ * the role a player already has.
+ */
+
+const { createSystemMessage } = require('./messages');
+const { createModerationState, ensureHost, checkJoin, getRoomInfo } = require('./moderation');
+const { setTyping, listTyping } = require('./typing');
+const { createClueBoard } = require('./clues');
+const { createReactions } = require('./reactions');
+const { appendMessage } = require('./history');
+
+const PRESENCE_TIMEOUT = 15 * 1000;
+
+/**
+ * Public profiles of every player currently online (not spectators)
+ */
+function listOnline(state) {
+    return Object.values(state.players)
+        .filter(player => player.online && !player.spectator)
+        .map(({ id, name, color }) => ({ id, name, color }));
+}
+
+/**
+ * How many spectators are watching
+ */
+function countSpectators(state) {
+    return Object.values(state.players).filter(player => player.online && player.spectator).length;
+}
+
+/**
+ * Read a room's state, filling in anything older rooms are missing
+ */
+async function loadRoomState(storage, room) {
+    return fillRoomState((await storage.getRoomState(room)) || {});
+}
+
+/**
+ * Fill in the parts of a room state object that are missing (in place)
+ */
+function fillRoomState(state) {
+    state.players = state.players || {};
+    state.moderation = state.moderation || createModerationState();
+    state.clues = state.clues || createClueBoard();
+    state.reactions = state.reactions || createReactions();
+    return state;
+}
+
+/**
+ * Refresh a room's presence: mark `profile` (if given) as seen now,
+ * expire everyone who went quiet, and post join/leave notices.
+ * `profile.spectator`, when given, switches the player's role.
+ *
+ * Returns { online, spectatorCount, roomInfo, typing, cluesVersion,
+ * reactionsVersion, spectator, error?, result }, where `spectator` says
+ * whether `profile` is watching. A profile that may not join (kicked, or
+ * new to a locked room) is not marked online and gets the reason back as
+ * `error`.
+ *
+ * @param {object}   [options]
+ * @param {number}   [options.now]
+ * @param {function} [options.update] (state, { spectator, error }) => result:
+ *        whatever the request does to the room, applied in the same atomic
+ *        update as the presence refresh (see storage.updateRoomState, it
+ *        may run more than once). Its return value comes back as `result`.
+ */
+async function refreshPresence(storage, room, profile = null, { now = Date.now(), update } = {}) {
+    const { state, notices, spectator, error, result } = await storage.updateRoomState(room, (stored) => {
+        const state = fillRoomState(stored);
+        const presence = markPresence(state, profile, now);
+        return {
+            state,
+            ...presence,
+            result: update ? update(state, presence) : undefined
+        };
+    });
+
+    for (const text of notices) {
+        await appendMessage(storage, room, createSystemMessage(room, text));
+    }
+
+    return {
+        online: listOnline(state),
+        spectatorCount: countSpectators(state),
+        roomInfo: getRoomInfo(state.moderation),
+        typing: listTyping(state, now),
+        cluesVersion: state.clues.version,
+        reactionsVersion: state.reactions.version,
+        spectator,
+        error,
+        result
+    };
+}
+
+/**
+ * The presence refresh itself, on a room state object (changed in place).
+ * Returns { notices, spectator, error }.
+ */
+function markPresence(state, profile, now) {
+    const { moderation } = state;
+
+    const notices = [];
+    let error = null;
+    let spectator = false;
+
+    if (profile) {
+        const previous = state.players[profile.id];
+        spectator = profile.spectator !== undefined ? profile.spectator : Boolean(previous && previous.spectator);
+        // Spectators may watch a locked room, and members may come back to it
+        error = checkJoin(moderation, profile.id, spectator || Boolean(previous && !previous.spectator));
+
+        if (!error) {
+            const wasPlaying = Boolean(previous && previous.online && !previous.spectator);
+            if (!spectator && !wasPlaying) {
+                notices.push(`${profile.name} joined`);
+            } else if (spectator && wasPlaying) {
+                notices.push(`${profile.name} is watching now`);
+                setTyping(state, previous, false, now);
+            }
+            state.players[profile.id] = { ...previous, ...profile, spectator, lastSeen: now, online: true };
+        }
+    }
+
+    for (const player of Object.values(state.players)) {
+        if (player.online && now - player.lastSeen > PRESENCE_TIMEOUT) {
+            player.online = false;
+            setTyping(state, player, false, now);
+            if (!player.spectator) notices.push(`${player.name} left`);
+        }
+    }
+
+    const hadHost = Boolean(moderation.hostId);
+    const newHost = ensureHost(moderation, listOnline(state).map(player => player.id));
+    if (newHost && hadHost) {
+        notices.push(`${state.players[newHost].name} is now the host`);
+    }
+
+    return { notices, spectator, error };
+}
+
+/**
+ * Start or stop showing a player as typing. Only online players who
+ * may talk count.
+ */
+async function updateTyping(storage, room, profile, isTyping, now = Date.now()) {
+    await storage.updateRoomState(room, (stored) => {
+        const state = fillRoomState(stored);
+        const player = state.players[profile.id];
+        if (!player || !player.online || player.spectator || state.moderation.muted.includes(profile.id)) return;
+
+        setTyping(state, player, isTyping, now);
+    });
+}
+
+/**
+ * Mark a player as gone right away (e.g. they closed the tab)
+ */
+async function removePresence(storage, room, playerId) {
+    const notices = await storage.updateRoomState(room, (stored) => {
+        const state = fillRoomState(stored);
+        const player = state.players[playerId];
+        if (!player || !player.online) return [];
+
+        player.online = false;
+        setTyping(state, player, false);
+        if (player.spectator) return [];
+
+        const newHost = ensureHost(state.moderation, listOnline(state).map(online => online.id));
+        return newHost
+            ? [`${player.name} left`, `${state.players[newHost].name} is now the host`]
+            : [`${player.name} left`];
+    });
+
+    for (const text of notices) {
+        await appendMessage(storage, room, createSystemMessage(room, text));
+    }
+}
+
+module.exports = {
+    PRESENCE_TIMEOUT,
+    loadRoomState,
+    fillRoomState,
+    listOnline,
+    refreshPresence,
+    removePresence,
+    updateTyping
+};
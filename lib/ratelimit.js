@@ -0,0 +1,174 @@
+/**
+ * BURN THE WITCH - Rate Limiting & Flood Protection
+ * =================================================
+ * Shared by the Socket.IO handlers and the serverless API.
+ *
+ * - Token buckets per player and per IP: a burst of messages is fine,
+ *   a steady stream faster than the refill rate is not
+ * - A duplicate check that rejects the same text from the same player
+ *   within a short window
+ *
+ * State is kept in memory, so on the serverless API each instance counts
+ * on its own. That still stops a single client hammering one instance.
+ */
+
+const { ERROR_CODES, createError } = require('./validation');
+
+// Drop idle buckets once a limiter tracks this many keys
+const MAX_TRACKED_KEYS = 10000;
+
+// ============================================
+// TOKEN BUCKET
+// ============================================
+
+class RateLimiter {
+    /**
+     * @param {object} options
+     * @param {number} options.capacity     Burst size (tokens in a full bucket)
+     * @param {number} options.refillPerSecond Tokens added back per second
+     */
+    constructor({ capacity, refillPerSecond }) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        // key -> { tokens, updatedAt }
+        this.buckets = new Map();
+    }
+
+    /**
+     * Take one token for a key.
+     * Returns { allowed: true } or { allowed: false, retryAfter } (seconds).
+     */
+    take(key, now = Date.now()) {
+        const bucket = this.refill(key, now);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return { allowed: true };
+        }
+
+        const retryAfter = Math.ceil((1 - bucket.tokens) / this.refillPerSecond);
+        return { allowed: false, retryAfter };
+    }
+
+    refill(key, now) {
+        let bucket = this.buckets.get(key);
+
+        if (!bucket) {
+            if (this.buckets.size >= MAX_TRACKED_KEYS) {
+                this.prune(now);
+            }
+            bucket = { tokens: this.capacity, updatedAt: now };
+            this.buckets.set(key, bucket);
+            return bucket;
+        }
+
+        const elapsed = (now - bucket.updatedAt) / 1000;
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + elapsed * this.refillPerSecond);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    /**
+     * Forget buckets that have refilled completely (their owner went quiet)
+     */
+    prune(now) {
+        const fullAfter = (this.capacity / this.refillPerSecond) * 1000;
+        for (const [key, bucket] of this.buckets) {
+            if (now - bucket.updatedAt >= fullAfter) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+// ============================================
+// DUPLICATE CHECK
+// ============================================
+
+class DuplicateGuard {
+    /**
+     * @param {number} windowMs How long the same text is considered spam
+     */
+    constructor(windowMs) {
+        this.windowMs = windowMs;
+        // key -> { text, at }
+        this.lastMessages = new Map();
+    }
+
+    /**
+     * Returns true if this key sent the same text within the window
+     */
+    isDuplicate(key, text, now = Date.now()) {
+        const normalized = text.toLowerCase().replace(/\s+/g, ' ');
+        const last = this.lastMessages.get(key);
+        const duplicate = Boolean(last) && last.text === normalized && now - last.at < this.windowMs;
+
+        if (this.lastMessages.size >= MAX_TRACKED_KEYS) {
+            for (const [oldKey, entry] of this.lastMessages) {
+                if (now - entry.at >= this.windowMs) this.lastMessages.delete(oldKey);
+            }
+        }
+        this.lastMessages.set(key, { text: normalized, at: now });
+
+        return duplicate;
+    }
+}
+
+// ============================================
+// MESSAGE GUARD
+// ============================================
+
+/**
+ * Everything a chat message has to pass before it is accepted
+ */
+function createMessageGuard({
+    perPlayer = { capacity: 5, refillPerSecond: 1 },
+    perIp = { capacity: 20, refillPerSecond: 4 },
+    duplicateWindowMs = 10 * 1000
+} = {}) {
+    const playerLimiter = new RateLimiter(perPlayer);
+    const ipLimiter = new RateLimiter(perIp);
+    const duplicates = new DuplicateGuard(duplicateWindowMs);
+
+    /**
+     * Returns a structured error, or null if the message may be sent
+     */
+    return function checkMessage({ playerId, ip, text }, now = Date.now()) {
+        for (const [limiter, key] of [[playerLimiter, playerId], [ipLimiter, ip]]) {
+            if (!key) continue;
+
+            const result = limiter.take(key, now);
+            if (!result.allowed) {
+                return createError(ERROR_CODES.RATE_LIMITED, 'You are sending messages too fast', {
+                    retryAfter: result.retryAfter
+                });
+            }
+        }
+
+        if (duplicates.isDuplicate(playerId, text, now)) {
+            return createError(ERROR_CODES.DUPLICATE_MESSAGE, 'You just sent that message');
+        }
+
+        return null;
+    };
+}
+
+/**
+ * Best guess at the client's IP address. Behind a trusted proxy
+ * (e.g. Vercel) the first X-Forwarded-For entry is the original client;
+ * without one the header could be forged, so only the socket address counts.
+ */
+function getClientIp(headers, remoteAddress, trustProxy = false) {
+    const forwarded = trustProxy && headers && headers['x-forwarded-for'];
+    if (forwarded) {
+        return String(forwarded).split(',')[0].trim();
+    }
+    return remoteAddress || null;
+}
+
+module.exports = {
+    RateLimiter,
+    DuplicateGuard,
+    createMessageGuard,
+    getClientIp
+};
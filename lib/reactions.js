@@ -0,0 +1,102 @@
+/**
+ * BURN THE WITCH - Message Reactions
+ * ==================================
+ * Players react to a chat message with an emoji instead of replying
+ * (🔥 to burn, 🤔 for suspicion). Reacting again with the same emoji
+ * takes it back.
+ *
+ * Shared by the Socket.IO server and the serverless API, which keep the
+ * reactions of a room together:
+ *   { version, messages: { [messageId]: { version, emojis: { [emoji]: [{ id, name }] } } } }
+ *
+ * Every change bumps `version` and stamps the message with it, so
+ * clients only get the messages that changed since the version they saw:
+ *   { version, changes: [{ messageId, reactions: [{ emoji, count, players }] }] }
+ */
+
+const { ERROR_CODES, createError } = require('./validation');
+const { HISTORY_RETENTION } = require('./history');
+
+// The reactions on offer, in the order chips are shown
+const REACTION_EMOJIS = ['🔥', '🤔', '👍', '😂', '😱', '👀'];
+
+function createReactions() {
+    return { version: 0, messages: {} };
+}
+
+/**
+ * Add a player's reaction to a message, or take it back if they already
+ * reacted with that emoji. Returns an error or null.
+ *
+ * @param {object} reactions  Reactions of the room (mutated)
+ * @param {object} player     Public profile of who reacted
+ * @param {object} message    The message, or null if it is not in history
+ * @param {string} emoji      One of REACTION_EMOJIS
+ */
+function toggleReaction(reactions, player, message, emoji) {
+    if (!REACTION_EMOJIS.includes(emoji)) {
+        return createError(ERROR_CODES.INVALID_PAYLOAD, 'That reaction is not available', { field: 'emoji' });
+    }
+    // Only chat: whispers are private and notices aren't anyone's
+    if (!message || message.type !== 'chat') {
+        return createError(ERROR_CODES.NOT_FOUND, 'That message is gone', { field: 'messageId' });
+    }
+
+    const entry = reactions.messages[message.id] || { version: 0, emojis: {} };
+    const players = entry.emojis[emoji] || [];
+    const reacted = players.some(existing => existing.id === player.id);
+
+    entry.emojis[emoji] = reacted
+        ? players.filter(existing => existing.id !== player.id)
+        : [...players, { id: player.id, name: player.name }];
+    if (entry.emojis[emoji].length === 0) {
+        delete entry.emojis[emoji];
+    }
+
+    entry.version = ++reactions.version;
+    reactions.messages[message.id] = entry;
+    forgetOldMessages(reactions, message.id);
+    return null;
+}
+
+/**
+ * What changed since `since` (0 for everything), as sent to clients
+ */
+function getReactionChanges(reactions, since = 0) {
+    const changes = Object.entries(reactions.messages)
+        .filter(([, entry]) => entry.version > since)
+        .map(([messageId, entry]) => ({
+            messageId: Number(messageId),
+            reactions: summarize(entry)
+        }))
+        .sort((a, b) => a.messageId - b.messageId);
+
+    return { version: reactions.version, changes };
+}
+
+/**
+ * Chips for one message: [{ emoji, count, players: [{ id, name }] }]
+ */
+function summarize(entry) {
+    return REACTION_EMOJIS
+        .filter(emoji => entry.emojis[emoji])
+        .map(emoji => ({ emoji, count: entry.emojis[emoji].length, players: entry.emojis[emoji] }));
+}
+
+/**
+ * Messages this far behind have been trimmed from history; so go their reactions
+ */
+function forgetOldMessages(reactions, newestId) {
+    for (const messageId of Object.keys(reactions.messages)) {
+        if (Number(messageId) <= newestId - HISTORY_RETENTION) {
+            delete reactions.messages[messageId];
+        }
+    }
+}
+
+module.exports = {
+    REACTION_EMOJIS,
+    createReactions,
+    toggleReaction,
+    getReactionChanges
+};
@@ -0,0 +1,41 @@
+/**
+ * BURN THE WITCH - Room Codes
+ * ===========================
+ * Short, shareable join codes shared by the Socket.IO server
+ * and the serverless API.
+ */
+
+const crypto = require('crypto');
+
+// No 0/O or 1/I so codes can be read out loud without confusion
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+const ROOM_CODE_PATTERN = new RegExp(`^[${ROOM_CODE_ALPHABET}]{${ROOM_CODE_LENGTH}}$`);
+
+/**
+ * Generate a random room code, e.g. "K7QXM"
+ */
+function generateRoomCode() {
+    let code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        code += ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+/**
+ * Normalize user input into a room code.
+ * Returns null if the input is not a valid code.
+ */
+function normalizeRoomCode(input) {
+    if (typeof input !== 'string') return null;
+
+    const code = input.trim().toUpperCase();
+    return ROOM_CODE_PATTERN.test(code) ? code : null;
+}
+
+module.exports = {
+    ROOM_CODE_LENGTH,
+    generateRoomCode,
+    normalizeRoomCode
+};
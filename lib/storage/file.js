@@ -0,0 +1,127 @@
+/**
+ * BURN THE WITCH - File Storage
+ * =============================
+ * Works like the in-memory store but mirrors every change to a JSON file,
+ * so history survives restarts of a single server. Writes go to a temp
+ * file first and are renamed into place, so a crash never leaves half a file.
+ *
+ * Not safe for several processes writing the same file - use Redis for that.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryStorage } = require('./memory');
+const { logger } = require('../logger');
+
+class FileStorage extends MemoryStorage {
+    /**
+     * @param {string} filePath Where to keep the data
+     */
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.loaded = null;
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * Load the file once, on first use
+     */
+    load() {
+        if (!this.loaded) {
+            this.loaded = fs.promises.readFile(this.filePath, 'utf8')
+                .then((contents) => {
+                    const data = JSON.parse(contents);
+                    this.rooms = new Map(Object.entries(data.rooms || {}));
+                })
+                .catch((error) => {
+                    // No file yet is fine; anything else is worth knowing about
+                    if (error.code !== 'ENOENT') {
+                        logger.error('storage file unreadable', { file: this.filePath, error: error.message });
+                    }
+                });
+        }
+        return this.loaded;
+    }
+
+    /**
+     * Queue a write of the current data (writes never overlap)
+     */
+    save() {
+        const contents = JSON.stringify({ rooms: Object.fromEntries(this.rooms) });
+        const tempPath = `${this.filePath}.tmp`;
+
+        this.saving = this.saving
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.writeFile(tempPath, contents);
+                await fs.promises.rename(tempPath, this.filePath);
+            })
+            .catch((error) => {
+                logger.error('storage file not written', { file: this.filePath, error: error.message });
+            });
+        return this.saving;
+    }
+
+    async append(room, message) {
+        await this.load();
+        await super.append(room, message);
+        await this.save();
+        return message;
+    }
+
+    async listSince(room, sinceId) {
+        await this.load();
+        return super.listSince(room, sinceId);
+    }
+
+    async listBefore(room, beforeId, limit) {
+        await this.load();
+        return super.listBefore(room, beforeId, limit);
+    }
+
+    async replace(room, id, message) {
+        await this.load();
+        const replaced = await super.replace(room, id, message);
+        if (replaced) await this.save();
+        return replaced;
+    }
+
+    async trim(room, max) {
+        await this.load();
+        await super.trim(room, max);
+        await this.save();
+    }
+
+    async count(room) {
+        await this.load();
+        return super.count(room);
+    }
+
+    async getRoomState(room) {
+        await this.load();
+        return super.getRoomState(room);
+    }
+
+    async updateRoomState(room, update) {
+        await this.load();
+        const result = await super.updateRoomState(room, update);
+        await this.save();
+        return result;
+    }
+
+    /**
+     * The file has to be readable and its directory writable
+     */
+    async ping() {
+        await this.load();
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.access(path.dirname(this.filePath), fs.constants.W_OK);
+    }
+
+    async close() {
+        await this.saving;
+    }
+}
+
+module.exports = { FileStorage };
@@ -0,0 +1,83 @@
+/**
+ * BURN THE WITCH - Storage
+ * ========================
+ * Pluggable storage for message history and room state.
+ *
+ * Pick a backend with the STORAGE_BACKEND environment variable:
+ *   memory (default) In-process only, resets on restart / cold start
+ *   file             JSON file at STORAGE_FILE (single server only)
+ *   redis            Redis at REDIS_URL, shared by every instance
+ *
+ * Every backend implements the same async interface:
+ *   append(room, message)       Give a message the room's next sequence id
+ *                               and add it to the history
+ *   listSince(room, sinceId)    Messages with an id greater than sinceId
+ *   listBefore(room, beforeId, limit)
+ *                               The newest `limit` messages with an id below
+ *                               beforeId (null for no bound), oldest first
+ *   replace(room, id, message)  Swap a stored message for another with the
+ *                               same id (false if it is no longer stored)
+ *   trim(room, max)             Keep only the newest max messages
+ *   count(room)                 Number of stored messages
+ *   getRoomState(room)          Stored room state object (or null)
+ *   updateRoomState(room, update)
+ *                               Change the room state atomically: update(state)
+ *                               gets the current state ({} for a new room),
+ *                               changes it in place and returns anything the
+ *                               caller needs. Concurrent updates (from this or
+ *                               any other instance) never overwrite each other.
+ *                               `update` must be synchronous and free of side
+ *                               effects: it may run again when another write
+ *                               got there first. Resolves to what it returned.
+ *   ping()                      Resolve if the backend can be used right
+ *                               now, reject otherwise (readiness checks)
+ *   close()                     Flush and release connections
+ */
+
+const os = require('os');
+const path = require('path');
+const { MemoryStorage } = require('./memory');
+
+/**
+ * Create a storage backend from options (defaulting to the environment)
+ */
+function createStorage({
+    backend = process.env.STORAGE_BACKEND || 'memory',
+    file = process.env.STORAGE_FILE || path.join(os.tmpdir(), 'burn-the-witch.json'),
+    redisUrl = process.env.REDIS_URL || 'redis://localhost:6379',
+    redisPrefix = process.env.REDIS_PREFIX || 'btw:'
+} = {}) {
+    switch (backend) {
+        case 'memory':
+            return new MemoryStorage();
+        case 'file': {
+            const { FileStorage } = require('./file');
+            return new FileStorage(file);
+        }
+        case 'redis': {
+            // Only load the Redis client when it is actually used
+            const { RedisStorage } = require('./redis');
+            return new RedisStorage(redisUrl, redisPrefix);
+        }
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use memory, file or redis)`);
+    }
+}
+
+// One shared instance per process
+let sharedStorage = null;
+
+/**
+ * Get the storage backend configured for this process
+ */
+function getStorage() {
+    if (!sharedStorage) {
+        sharedStorage = createStorage();
+    }
+    return sharedStorage;
+}
+
+module.exports = {
+    createStorage,
+    getStorage
+};
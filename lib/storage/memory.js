@@ -0,0 +1,79 @@
+/**
+ * BURN THE WITCH - In-Memory Storage
+ * ==================================
+ * Keeps everything in the current process. Fast and dependency-free,
+ * but lost whenever the process (or serverless instance) restarts.
+ */
+
+class MemoryStorage {
+    constructor() {
+        // room code -> { messages: [], state: null, lastId: 0 }
+        this.rooms = new Map();
+    }
+
+    getRoom(room) {
+        if (!this.rooms.has(room)) {
+            this.rooms.set(room, { messages: [], state: null, lastId: 0 });
+        }
+        return this.rooms.get(room);
+    }
+
+    async append(room, message) {
+        const data = this.getRoom(room);
+        data.lastId = (data.lastId || 0) + 1;
+        message.id = data.lastId;
+        data.messages.push(message);
+        return message;
+    }
+
+    async listSince(room, sinceId) {
+        return this.getRoom(room).messages.filter(message => message.id > sinceId);
+    }
+
+    async listBefore(room, beforeId, limit) {
+        const messages = this.getRoom(room).messages;
+        const older = beforeId ? messages.filter(message => message.id < beforeId) : messages;
+        return older.slice(-limit);
+    }
+
+    async replace(room, id, message) {
+        const messages = this.getRoom(room).messages;
+        const index = messages.findIndex(stored => stored.id === id);
+        if (index === -1) return false;
+
+        messages[index] = message;
+        return true;
+    }
+
+    async trim(room, max) {
+        const data = this.getRoom(room);
+        data.messages = data.messages.slice(-max);
+    }
+
+    async count(room) {
+        return this.getRoom(room).messages.length;
+    }
+
+    async getRoomState(room) {
+        return this.getRoom(room).state;
+    }
+
+    /**
+     * Read, change and store in one synchronous step, so no other update
+     * of this process can come in between. `update` works on a copy: if it
+     * throws, nothing changes.
+     */
+    async updateRoomState(room, update) {
+        const data = this.getRoom(room);
+        const state = structuredClone(data.state || {});
+        const result = update(state);
+        data.state = state;
+        return result;
+    }
+
+    async ping() { }
+
+    async close() { }
+}
+
+module.exports = { MemoryStorage };
@@ -0,0 +1,185 @@
+/**
+ * BURN THE WITCH - Redis Storage
+ * ==============================
+ * Keeps history and room state in Redis (or anything that speaks the
+ * Redis protocol, such as Upstash), so it is shared by every serverless
+ * instance and survives cold starts.
+ *
+ * Keys per room:
+ *   <prefix>room:<code>:history   Sorted set of JSON messages, scored by id
+ *   <prefix>room:<code>:seq       Last message id handed out
+ *   <prefix>room:<code>:parts     Hash of room state parts (players,
+ *                                 moderation, clues, ...), each as JSON
+ *
+ * History is indexed by id, so polls and streams read only the messages
+ * they ask for (ZRANGEBYSCORE) instead of the whole room, and a message
+ * is replaced without scanning for it.
+ *
+ * Room state is written with compare-and-set (see UPDATE_PARTS): an update
+ * stores only the parts it changed, and only if nobody changed them since
+ * it read them; otherwise it reads again and retries. Writers of different
+ * parts (a heartbeat and a mute, say) never get in each other's way.
+ *
+ * Rooms expire after ROOM_TTL_SECONDS without writes.
+ */
+
+const Redis = require('ioredis');
+const { logger } = require('../logger');
+
+const ROOM_TTL_SECONDS = 24 * 60 * 60;
+
+// Tries before an update of a very busy room gives up
+const MAX_UPDATE_ATTEMPTS = 20;
+
+// KEYS[1] history, ARGV[1] id, ARGV[2] message JSON. 0 if it is gone (trimmed).
+const REPLACE_MESSAGE = `
+if redis.call('ZREMRANGEBYSCORE', KEYS[1], ARGV[1], ARGV[1]) == 0 then
+    return 0
+end
+redis.call('ZADD', KEYS[1], ARGV[1], ARGV[2])
+return 1
+`;
+
+// KEYS[1] parts hash, ARGV[1] TTL, then (part, JSON as read, new JSON) triples.
+// Writes nothing and returns 0 if any part changed since it was read.
+const UPDATE_PARTS = `
+for i = 2, #ARGV, 3 do
+    if (redis.call('HGET', KEYS[1], ARGV[i]) or '') ~= ARGV[i + 1] then
+        return 0
+    end
+end
+for i = 2, #ARGV, 3 do
+    redis.call('HSET', KEYS[1], ARGV[i], ARGV[i + 2])
+end
+redis.call('EXPIRE', KEYS[1], ARGV[1])
+return 1
+`;
+
+class RedisStorage {
+    /**
+     * @param {string} url    Redis connection URL, e.g. redis://localhost:6379
+     * @param {string} prefix Prefix for every key
+     */
+    constructor(url, prefix = 'btw:') {
+        this.prefix = prefix;
+        this.redis = new Redis(url, {
+            // Fail fast instead of queueing requests while Redis is down
+            maxRetriesPerRequest: 2
+        });
+        this.redis.on('error', (error) => {
+            logger.error('redis storage error', { error: error.message });
+        });
+        this.redis.defineCommand('replaceMessage', { numberOfKeys: 1, lua: REPLACE_MESSAGE });
+        this.redis.defineCommand('updateParts', { numberOfKeys: 1, lua: UPDATE_PARTS });
+    }
+
+    historyKey(room) {
+        return `${this.prefix}room:${room}:history`;
+    }
+
+    stateKey(room) {
+        return `${this.prefix}room:${room}:parts`;
+    }
+
+    seqKey(room) {
+        return `${this.prefix}room:${room}:seq`;
+    }
+
+    /**
+     * INCR hands out ids atomically across instances; the sorted set keeps
+     * messages in id order however the appends interleave
+     */
+    async append(room, message) {
+        const key = this.historyKey(room);
+        const seqKey = this.seqKey(room);
+
+        message.id = await this.redis.incr(seqKey);
+        await this.redis.multi()
+            .zadd(key, message.id, JSON.stringify(message))
+            .expire(key, ROOM_TTL_SECONDS)
+            .expire(seqKey, ROOM_TTL_SECONDS)
+            .exec();
+        return message;
+    }
+
+    async listSince(room, sinceId) {
+        const items = await this.redis.zrangebyscore(this.historyKey(room), `(${sinceId || 0}`, '+inf');
+        return items.map(item => JSON.parse(item));
+    }
+
+    async listBefore(room, beforeId, limit) {
+        const items = await this.redis.zrevrangebyscore(
+            this.historyKey(room), beforeId ? `(${beforeId}` : '+inf', '-inf', 'LIMIT', 0, limit
+        );
+        return items.map(item => JSON.parse(item)).reverse();
+    }
+
+    /**
+     * Swap the message scored `id` for the new one, atomically (see
+     * REPLACE_MESSAGE), so no reader ever sees it missing
+     */
+    async replace(room, id, message) {
+        const replaced = await this.redis.replaceMessage(this.historyKey(room), id, JSON.stringify(message));
+        return replaced === 1;
+    }
+
+    async trim(room, max) {
+        await this.redis.zremrangebyrank(this.historyKey(room), 0, -(max + 1));
+    }
+
+    async count(room) {
+        return this.redis.zcard(this.historyKey(room));
+    }
+
+    async getRoomState(room) {
+        const parts = await this.redis.hgetall(this.stateKey(room));
+        return Object.keys(parts).length > 0 ? parseParts(parts) : null;
+    }
+
+    async updateRoomState(room, update) {
+        const key = this.stateKey(room);
+
+        for (let attempt = 1; ; attempt++) {
+            const stored = await this.redis.hgetall(key);
+            const state = parseParts(stored);
+            const result = update(state);
+
+            const changes = [];
+            for (const [part, json] of Object.entries(serializeParts(state))) {
+                if (json !== stored[part]) changes.push(part, stored[part] || '', json);
+            }
+            if (changes.length === 0) return result;
+
+            if (await this.redis.updateParts(key, ROOM_TTL_SECONDS, ...changes) === 1) {
+                return result;
+            }
+            if (attempt >= MAX_UPDATE_ATTEMPTS) {
+                throw new Error(`Room ${room} is too busy to update`);
+            }
+            // Someone else wrote first: back off a little and read again
+            await new Promise(resolve => setTimeout(resolve, Math.random() * 10 * attempt));
+        }
+    }
+
+    async ping() {
+        await this.redis.ping();
+    }
+
+    async close() {
+        await this.redis.quit();
+    }
+}
+
+function parseParts(parts) {
+    return Object.fromEntries(Object.entries(parts).map(([part, json]) => [part, JSON.parse(json)]));
+}
+
+function serializeParts(state) {
+    const parts = {};
+    for (const [part, value] of Object.entries(state)) {
+        if (value !== undefined) parts[part] = JSON.stringify(value);
+    }
+    return parts;
+}
+
+module.exports = { RedisStorage };
@@ -0,0 +1,49 @@
+/**
+ * BURN THE WITCH - Typing Indicators
+ * ==================================
+ * Clients say "typing" every few seconds while the input is busy and
+ * "stopped" when they send or go idle. The server forgets a typist on
+ * its own after TYPING_TIMEOUT, so a closed tab never leaves a
+ * "Bob is typing…" behind.
+ *
+ * The serverless API keeps typists in the room state:
+ *   { typing: { [id]: { id, name, expiresAt } } }
+ */
+
+// Clients refresh well within this while they keep typing
+const TYPING_TIMEOUT = 5 * 1000;
+
+/**
+ * Mark a player as typing (or not) in a room state object
+ */
+function setTyping(state, profile, isTyping, now = Date.now()) {
+    state.typing = pruneTyping(state.typing, now);
+
+    if (isTyping) {
+        state.typing[profile.id] = { id: profile.id, name: profile.name, expiresAt: now + TYPING_TIMEOUT };
+    } else {
+        delete state.typing[profile.id];
+    }
+}
+
+/**
+ * Who is typing right now: [{ id, name }]
+ */
+function listTyping(state, now = Date.now()) {
+    return Object.values(pruneTyping(state && state.typing, now))
+        .map(({ id, name }) => ({ id, name }));
+}
+
+function pruneTyping(typing, now) {
+    const current = {};
+    for (const [id, entry] of Object.entries(typing || {})) {
+        if (entry.expiresAt > now) current[id] = entry;
+    }
+    return current;
+}
+
+module.exports = {
+    TYPING_TIMEOUT,
+    setTyping,
+    listTyping
+};
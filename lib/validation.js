@@ -0,0 +1,182 @@
+/**
+ * BURN THE WITCH - Payload Validation
+ * ===================================
+ * Schemas for everything clients send, shared by the Socket.IO handlers
+ * and the serverless API. Anything not in a schema is dropped, so
+ * handlers only ever see fields they expect.
+ *
+ * Errors are plain objects so they can go straight into a socket event
+ * or a JSON response:
+ *   { code: 'INVALID_PAYLOAD', message: 'text is required', field: 'text' }
+ */
+
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_CLUE_LENGTH = 200;
+
+const ERROR_CODES = {
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+    RATE_LIMITED: 'RATE_LIMITED',
+    DUPLICATE_MESSAGE: 'DUPLICATE_MESSAGE',
+    NOT_FOUND: 'NOT_FOUND',
+    UNAUTHORIZED: 'UNAUTHORIZED'
+};
+
+// Field rules: type (string, number or boolean), required,
+// minLength/maxLength (strings), min/max (numbers), pattern
+const SCHEMAS = {
+    sendText: {
+        text: { type: 'string', required: true, minLength: 1, maxLength: MAX_MESSAGE_LENGTH },
+        nonce: { type: 'string', maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/ },
+        to: { type: 'string', maxLength: 32 } // Player id, for a whisper
+    },
+    joinRoom: {
+        code: { type: 'string', required: true, maxLength: 16 },
+        spectate: { type: 'boolean' }, // Watch only (see lib/moderation.js)
+        invite: { type: 'string', maxLength: 64 } // See lib/access.js
+    },
+    setName: {
+        name: { type: 'string', required: true, minLength: 1, maxLength: 64 }
+    },
+    castVote: {
+        targetId: { type: 'string', required: true, maxLength: 32 }
+    },
+    resync: {
+        since: { type: 'number', min: 0 }
+    },
+    history: {
+        before: { type: 'number', min: 1 },
+        limit: { type: 'number', min: 1, max: 100 }
+    },
+    moderate: {
+        action: { type: 'string', required: true, maxLength: 32 },
+        playerId: { type: 'string', maxLength: 32 },
+        messageId: { type: 'number', min: 1 }
+    },
+    postClue: {
+        text: { type: 'string', required: true, minLength: 1, maxLength: MAX_CLUE_LENGTH },
+        suspectId: { type: 'string', maxLength: 32 }
+    },
+    voteClue: {
+        clueId: { type: 'number', required: true, min: 1 },
+        vote: { type: 'string', required: true, pattern: /^(up|dispute|none)$/ }
+    },
+    command: {
+        text: { type: 'string', required: true, minLength: 2, maxLength: MAX_MESSAGE_LENGTH, pattern: /^\// }
+    },
+    react: {
+        messageId: { type: 'number', required: true, min: 1 },
+        emoji: { type: 'string', required: true, maxLength: 16 }
+    },
+    pinClue: {
+        clueId: { type: 'number', required: true, min: 1 },
+        pinned: { type: 'boolean', required: true }
+    },
+    postMessage: {
+        text: { type: 'string', required: true, minLength: 1, maxLength: MAX_MESSAGE_LENGTH },
+        token: { type: 'string', required: true, maxLength: 64 },
+        name: { type: 'string', maxLength: 64 },
+        nonce: { type: 'string', maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/ },
+        to: { type: 'string', maxLength: 32 }
+    },
+    postCommand: {
+        command: { type: 'string', required: true, minLength: 2, maxLength: MAX_MESSAGE_LENGTH, pattern: /^\// },
+        token: { type: 'string', required: true, maxLength: 64 },
+        name: { type: 'string', maxLength: 64 }
+    },
+    postReaction: {
+        messageId: { type: 'number', required: true, min: 1 },
+        emoji: { type: 'string', required: true, maxLength: 16 },
+        token: { type: 'string', required: true, maxLength: 64 },
+        name: { type: 'string', maxLength: 64 }
+    },
+    postModeration: {
+        action: { type: 'string', required: true, maxLength: 32 },
+        token: { type: 'string', required: true, maxLength: 64 },
+        playerId: { type: 'string', maxLength: 32 },
+        messageId: { type: 'number', min: 1 }
+    }
+};
+
+/**
+ * Build a structured error
+ */
+function createError(code, message, extra = {}) {
+    return { code, message, ...extra };
+}
+
+/**
+ * Check a payload against a named schema.
+ * Returns { value } with only the known (trimmed) fields, or { error }.
+ */
+function validate(schemaName, payload) {
+    const schema = SCHEMAS[schemaName];
+    if (!schema) {
+        throw new Error(`Unknown schema "${schemaName}"`);
+    }
+
+    if (payload === undefined || payload === null) {
+        payload = {};
+    }
+    if (typeof payload !== 'object' || Array.isArray(payload)) {
+        return { error: createError(ERROR_CODES.INVALID_PAYLOAD, 'Payload must be an object') };
+    }
+
+    const value = {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+        let fieldValue = payload[field];
+
+        if (typeof fieldValue === 'string') {
+            fieldValue = fieldValue.trim();
+        }
+
+        const isMissing = fieldValue === undefined || fieldValue === null || fieldValue === '';
+        if (isMissing) {
+            if (rule.required) {
+                return { error: createError(ERROR_CODES.INVALID_PAYLOAD, `${field} is required`, { field }) };
+            }
+            continue;
+        }
+
+        const fieldError = checkRule(field, rule, fieldValue);
+        if (fieldError) {
+            return { error: createError(ERROR_CODES.INVALID_PAYLOAD, fieldError, { field }) };
+        }
+
+        value[field] = fieldValue;
+    }
+
+    return { value };
+}
+
+/**
+ * Check one field against its rule. Returns an error message or null.
+ */
+function checkRule(field, rule, value) {
+    if (rule.type === 'boolean') {
+        return typeof value === 'boolean' ? null : `${field} must be true or false`;
+    }
+
+    if (rule.type === 'number') {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return `${field} must be a number`;
+        if (rule.min !== undefined && value < rule.min) return `${field} must be at least ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `${field} must be at most ${rule.max}`;
+        return null;
+    }
+
+    if (typeof value !== 'string') return `${field} must be a string`;
+    if (rule.minLength !== undefined && value.length < rule.minLength) return `${field} is too short`;
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `${field} must be at most ${rule.maxLength} characters`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) return `${field} has an invalid format`;
+    return null;
+}
+
+module.exports = {
+    MAX_MESSAGE_LENGTH,
+    MAX_CLUE_LENGTH,
+    ERROR_CODES,
+    createError,
+    validate
+};
@@ -0,0 +1,145 @@
+/**
+ * BURN THE WITCH - Clue Board
+ * ===========================
+ * Side panel next to the chat with the room's clues (see lib/clues.js).
+ * Clues can name a suspect, collect upvotes and disputes, and be pinned
+ * to the top by the host. The server sends the whole board whenever it changes.
+ */
+
+// ============================================
+// DOM ELEMENTS
+// ============================================
+const clueList = document.getElementById('clue-list');
+const clueForm = document.getElementById('clue-form');
+const clueInput = document.getElementById('clue-input');
+const clueSuspect = document.getElementById('clue-suspect');
+
+// State
+let clueTransport = null;
+let clues = [];
+let suspects = []; // Players in the room, for the suspect picker
+
+// ============================================
+// SETUP
+// ============================================
+
+/**
+ * Wire the clue board to a transport
+ */
+function setupClueBoard(transport) {
+    clueTransport = transport;
+
+    transport.on('clueBoard', (board) => {
+        clues = board.clues;
+        renderClues();
+    });
+    transport.on('room', () => {
+        clues = [];
+        renderClues();
+    });
+    transport.on('roster', (players) => {
+        suspects = players;
+        renderSuspects();
+    });
+    // The pin buttons come and go with the host role
+    transport.on('roomInfo', renderClues);
+
+    clueForm.addEventListener('submit', submitClue);
+
+    clueList.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-clue-action]');
+        if (!button) return;
+
+        const clueId = Number(button.closest('.clue').getAttribute('data-clue-id'));
+        const clue = clues.find(existing => existing.id === clueId);
+        if (!clue) return;
+
+        const me = transport.clientId;
+        switch (button.dataset.clueAction) {
+            case 'up':
+                transport.voteClue(clueId, clue.upvotes.includes(me) ? 'none' : 'up');
+                break;
+            case 'dispute':
+                transport.voteClue(clueId, clue.disputes.includes(me) ? 'none' : 'dispute');
+                break;
+            case 'pin':
+                transport.pinClue(clueId, !clue.pinned);
+                break;
+        }
+    });
+}
+
+/**
+ * Post the clue from the form
+ */
+function submitClue(event) {
+    event.preventDefault();
+
+    const text = clueInput.value.trim();
+    if (!text) return;
+
+    clueTransport.postClue(text, clueSuspect.value || undefined);
+    clueInput.value = '';
+    clueSuspect.value = '';
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Render the board in the order the server sent it (pinned first)
+ */
+function renderClues() {
+    if (clues.length === 0) {
+        clueList.innerHTML = '<li class="clue-empty">No clues yet. Spotted something odd? Add it here.</li>';
+        return;
+    }
+
+    const me = clueTransport.clientId;
+    const canPin = isHost();
+    clueList.innerHTML = '';
+
+    clues.forEach(clue => {
+        const item = document.createElement('li');
+        item.className = 'clue';
+        item.classList.toggle('pinned', clue.pinned);
+        item.setAttribute('data-clue-id', clue.id);
+
+        item.innerHTML = `
+            <p class="clue-text">${escapeHtml(clue.text)}</p>
+            ${clue.suspectName ? `<span class="clue-suspect-tag">🎯 ${escapeHtml(clue.suspectName)}</span>` : ''}
+            <div class="clue-meta">
+                <span class="clue-author">by ${escapeHtml(clue.authorId === me ? 'you' : clue.authorName)}</span>
+                <span class="clue-actions">
+                    <button data-clue-action="up" title="This checks out">👍 ${clue.upvotes.length}</button>
+                    <button data-clue-action="dispute" title="I doubt it">❓ ${clue.disputes.length}</button>
+                    ${canPin ? `<button data-clue-action="pin" title="${clue.pinned ? 'Unpin' : 'Pin to the top'}">📌</button>` : ''}
+                </span>
+            </div>
+        `;
+
+        item.querySelector('[data-clue-action="up"]').classList.toggle('active', clue.upvotes.includes(me));
+        item.querySelector('[data-clue-action="dispute"]').classList.toggle('active', clue.disputes.includes(me));
+        if (canPin) item.querySelector('[data-clue-action="pin"]').classList.toggle('active', clue.pinned);
+
+        clueList.appendChild(item);
+    });
+}
+
+/**
+ * Fill the suspect picker with the players in the room
+ */
+function renderSuspects() {
+    const selected = clueSuspect.value;
+
+    clueSuspect.innerHTML = '<option value="">No suspect</option>';
+    suspects.forEach(player => {
+        const option = document.createElement('option');
+        option.value = player.id;
+        option.textContent = player.name;
+        clueSuspect.appendChild(option);
+    });
+
+    clueSuspect.value = suspects.some(player => player.id === selected) ? selected : '';
+}
@@ -0,0 +1,185 @@
+/**
+ * BURN THE WITCH - Message Formatting
+ * ===================================
+ * Turns message text into HTML with a small, safe subset of markdown:
+ *
+ *   **bold**  *italic*  _italic_  `code`  ||spoiler||  https://links  @mentions
+ *
+ * The text is never handed to the browser as HTML. It is split into
+ * pieces; plain pieces are escaped (quotes included) and the markup is
+ * ours, so nothing a player types can open a tag or an attribute. Links
+ * are only made from http(s) URLs.
+ *
+ * Mentions are highlighted only for the players the server found in the
+ * message (message.mentions, see lib/messages.js). Being mentioned marks
+ * the message and, while the tab is in the background, shows a count in
+ * the title and a desktop notification if allowed.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// Messages older than this (history on join) don't notify anyone
+const MENTION_NOTIFY_WINDOW = 60 * 1000;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Markup, tried left to right; the first to match at a position wins
+const FORMAT_RULES = [
+    { name: 'code', pattern: /`([^`\n]+)`/ },
+    { name: 'spoiler', pattern: /\|\|(.+?)\|\|/ },
+    { name: 'bold', pattern: /\*\*(?=\S)(.+?)\*\*/ },
+    { name: 'italic', pattern: /(?<![\p{L}\p{N}_])\*(?=[^\s*])([^*]*?[^\s*])\*(?![\p{L}\p{N}_])/u },
+    { name: 'italic', pattern: /(?<![\p{L}\p{N}_])_(?=\S)([^_]*?\S)_(?![\p{L}\p{N}_])/u },
+    { name: 'link', pattern: /https?:\/\/[^\s<>"']*[^\s<>"'.,:;!?)\]]/ }
+];
+
+// State
+let unreadMentions = 0;
+const baseTitle = document.title;
+const notifiedMentions = new Set();
+
+// ============================================
+// FORMATTING
+// ============================================
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ */
+function escapeText(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Message text as safe HTML
+ *
+ * @param {string} text      What the player typed
+ * @param {Array} mentions   [{ id, name }] the message mentions
+ */
+function formatMessageText(text, mentions = []) {
+    const rules = [...FORMAT_RULES];
+    if (mentions.length > 0) {
+        // Longest names first, so "@Ann Lee" isn't cut short by "@Ann"
+        const names = mentions
+            .map(mention => mention.name)
+            .sort((a, b) => b.length - a.length)
+            .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        rules.push({ name: 'mention', pattern: new RegExp(`(?<!\\S)@(${names.join('|')})(?![\\p{L}\\p{N}_])`, 'iu') });
+    }
+
+    return formatPieces(text, rules, mentions);
+}
+
+/**
+ * Find the earliest markup in `text`, format it, and carry on after it
+ */
+function formatPieces(text, rules, mentions) {
+    let html = '';
+    let rest = text;
+
+    while (rest) {
+        let first = null;
+        for (const rule of rules) {
+            const match = rule.pattern.exec(rest);
+            if (match && (!first || match.index < first.match.index)) {
+                first = { rule, match };
+            }
+        }
+        if (!first) break;
+
+        const { rule, match } = first;
+        html += escapeText(rest.slice(0, match.index)) + renderPiece(rule.name, match, rules, mentions);
+        rest = rest.slice(match.index + match[0].length);
+    }
+
+    return html + escapeText(rest);
+}
+
+/**
+ * The HTML for one piece of markup
+ */
+function renderPiece(name, match, rules, mentions) {
+    const inner = () => formatPieces(match[1], rules, mentions);
+
+    switch (name) {
+        case 'code':
+            return `<code>${escapeText(match[1])}</code>`;
+        case 'spoiler':
+            return `<span class="spoiler" title="Click to reveal">${inner()}</span>`;
+        case 'bold':
+            return `<strong>${inner()}</strong>`;
+        case 'italic':
+            return `<em>${inner()}</em>`;
+        case 'link':
+            return `<a href="${escapeText(match[0])}" target="_blank" rel="noopener noreferrer">${escapeText(match[0])}</a>`;
+        case 'mention': {
+            const player = mentions.find(mention => mention.name.toLowerCase() === match[1].toLowerCase());
+            const own = Boolean(player) && player.id === transport.clientId;
+            return `<span class="mention${own ? ' own' : ''}">@${escapeText(match[1])}</span>`;
+        }
+    }
+}
+
+// ============================================
+// MENTIONS
+// ============================================
+
+/**
+ * Whether a message mentions us (our own messages don't count)
+ */
+function mentionsMe(message) {
+    return message.senderId !== transport.clientId &&
+        (message.mentions || []).some(mention => mention.id === transport.clientId);
+}
+
+/**
+ * Let us know someone mentioned us, if we are looking elsewhere
+ */
+function notifyMention(message) {
+    if (notifiedMentions.has(message.id)) return;
+    notifiedMentions.add(message.id);
+
+    if (!document.hidden || Date.now() - Date.parse(message.timestamp) > MENTION_NOTIFY_WINDOW) return;
+
+    unreadMentions++;
+    document.title = `(${unreadMentions}) ${baseTitle}`;
+
+    if ('Notification' in window && Notification.permission === 'granted') {
+        new Notification(`${message.senderName} mentioned you`, { body: message.text, tag: `mention-${message.id}` });
+    }
+}
+
+/**
+ * Ask for desktop notifications. Browsers only allow asking after a
+ * click or key press, so this runs when we send our first message.
+ */
+function requestMentionNotifications() {
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission().catch(() => {});
+    }
+}
+
+// ============================================
+// SETUP
+// ============================================
+
+/**
+ * Reveal spoilers on click and reset the title when we come back
+ */
+function setupFormatting() {
+    messageArea.addEventListener('click', (event) => {
+        const spoiler = event.target.closest('.spoiler:not(.revealed)');
+        if (!spoiler) return;
+
+        // The first click only reveals, even on a link inside
+        event.preventDefault();
+        spoiler.classList.add('revealed');
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) return;
+        unreadMentions = 0;
+        document.title = baseTitle;
+    });
+}
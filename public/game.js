@@ -0,0 +1,263 @@
+/**
+ * BURN THE WITCH - Game Panel
+ * ===========================
+ * Renders the game state the server sends for the current room:
+ * phase, countdown, your secret role, the players and the vote.
+ *
+ * The game runs on the Socket.IO server only. In polling mode the
+ * server never sends a game state, so the panel stays hidden.
+ *
+ * Once a game is over its replay can be downloaded from the server and
+ * watched in the replay viewer (replay.html).
+ */
+
+// ============================================
+// DOM ELEMENTS
+// ============================================
+const gamePanel = document.getElementById('game-panel');
+const gamePhase = document.getElementById('game-phase');
+const gameTimer = document.getElementById('game-timer');
+const gameInfo = document.getElementById('game-info');
+const roleCard = document.getElementById('role-card');
+const playerList = document.getElementById('player-list');
+const startGameButton = document.getElementById('start-game-button');
+const replayLinks = document.getElementById('replay-links');
+const replayDownload = document.getElementById('replay-download');
+const replayView = document.getElementById('replay-view');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const PHASE_LABELS = {
+    lobby: 'Lobby',
+    roles: 'Roles',
+    discussion: 'Discussion',
+    vote: 'Vote',
+    reveal: 'Reveal',
+    ended: 'Game Over'
+};
+
+const ROLE_DESCRIPTIONS = {
+    witch: '🧙 You are the <strong>Witch</strong>. Blend in and avoid the fire.',
+    villager: '🏡 You are a <strong>Villager</strong>. Find the witch and burn them.'
+};
+
+// State
+let gameTransport = null;
+let gameState = null;
+let roster = new Map(); // playerId -> { id, name, color, connected }
+let myRole = null;
+let timerInterval = null;
+
+// ============================================
+// SETUP
+// ============================================
+
+/**
+ * Wire the game panel to a transport
+ */
+function setupGamePanel(transport) {
+    gameTransport = transport;
+
+    transport.on('gameState', renderGameState);
+    transport.on('roster', (players) => {
+        roster = new Map(players.map(player => [player.id, player]));
+        if (gameState) renderGameState(gameState);
+    });
+    transport.on('role', (data) => {
+        myRole = data;
+        renderRole();
+    });
+    transport.on('gameError', ({ message }) => showGameInfo(message, true));
+    transport.on('room', () => {
+        myRole = null;
+        renderRole();
+    });
+
+    startGameButton.addEventListener('click', () => transport.startGame());
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Render a game state sent by the server
+ */
+function renderGameState(state) {
+    gameState = state;
+    gamePanel.hidden = false;
+
+    // A new game starts with new roles
+    if (state.phase === 'lobby') {
+        myRole = null;
+    }
+
+    gamePhase.textContent = state.round > 0 && state.phase !== 'ended'
+        ? `${PHASE_LABELS[state.phase]} · Round ${state.round}`
+        : PHASE_LABELS[state.phase];
+
+    const me = getMe();
+    const canStart = Boolean(me) && (state.phase === 'lobby' || state.phase === 'ended');
+    startGameButton.hidden = !canStart;
+    startGameButton.textContent = state.phase === 'ended' ? 'Play again' : 'Start game';
+
+    replayLinks.hidden = state.phase !== 'ended';
+    // Servers that require invites want one for the replay too (see lib/access.js)
+    const invite = gameTransport.invite ? encodeURIComponent(gameTransport.invite) : null;
+    replayDownload.href = `/rooms/${gameTransport.room}/replay${invite ? `?invite=${invite}` : ''}`;
+    replayView.href = `replay.html?room=${gameTransport.room}${invite ? `&invite=${invite}` : ''}`;
+
+    showGameInfo(describePhase(state, me));
+    renderRole();
+    renderPlayers(state, me);
+    startCountdown(state.phaseEndsAt);
+}
+
+/**
+ * Describe what is happening in the current phase
+ */
+function describePhase(state, me) {
+    switch (state.phase) {
+        case 'lobby':
+            if (!me) return 'A game is about to start. You will join the next one.';
+            return state.players.length < state.minPlayers
+                ? `Waiting for players (${state.players.length}/${state.minPlayers})`
+                : 'Ready when you are!';
+        case 'roles':
+            return 'Roles are being handed out in secret...';
+        case 'discussion':
+            return 'Share your clues and find the witch.';
+        case 'vote':
+            return me && me.alive ? 'Vote for who to burn.' : 'The living are voting...';
+        case 'reveal':
+            if (!state.lastBurned) return 'The vote was tied. Nobody burns this round.';
+            return `${playerLabel(state.lastBurned.id)} burned. They were ${state.lastBurned.role === 'witch' ? 'the witch! 🔥' : 'a villager.'}`;
+        case 'ended':
+            return state.winner === 'witch' ? '🧙 The witch wins!' : '🏡 The villagers win!';
+        default:
+            return '';
+    }
+}
+
+/**
+ * Show our secret role while a game is running
+ */
+function renderRole() {
+    const inGame = gameState && gameState.phase !== 'lobby';
+
+    if (!myRole || !inGame) {
+        roleCard.hidden = true;
+        return;
+    }
+
+    roleCard.hidden = false;
+    roleCard.className = `role-card ${myRole.role}`;
+    roleCard.innerHTML = ROLE_DESCRIPTIONS[myRole.role];
+
+    const otherWitches = myRole.witches.filter(id => id !== gameTransport.clientId);
+    if (otherWitches.length > 0) {
+        roleCard.innerHTML += `<br><small>Fellow witches: ${otherWitches.map(id => escapeHtml(playerLabel(id))).join(', ')}</small>`;
+    }
+}
+
+/**
+ * Render the player list, with vote buttons during the vote
+ */
+function renderPlayers(state, me) {
+    playerList.innerHTML = '';
+
+    const canVote = state.phase === 'vote' && me && me.alive;
+
+    state.players.forEach(player => {
+        const item = document.createElement('li');
+        item.className = 'player';
+        item.classList.toggle('dead', !player.alive);
+        item.classList.toggle('self', player.id === gameTransport.clientId);
+
+        const profile = roster.get(player.id);
+        item.classList.toggle('away', Boolean(profile) && !profile.connected);
+        if (profile) item.style.setProperty('--avatar-color', profile.color);
+
+        const name = document.createElement('span');
+        name.className = 'player-name';
+        name.textContent = playerLabel(player.id);
+        item.appendChild(name);
+
+        const status = document.createElement('span');
+        status.className = 'player-status';
+        status.textContent = describePlayer(state, player);
+        item.appendChild(status);
+
+        if (canVote && player.alive && player.id !== me.id) {
+            const voteButton = document.createElement('button');
+            voteButton.className = 'vote-button';
+            voteButton.textContent = '🔥 Burn';
+            voteButton.addEventListener('click', () => gameTransport.castVote(player.id));
+            item.appendChild(voteButton);
+        }
+
+        playerList.appendChild(item);
+    });
+}
+
+/**
+ * Short status shown next to a player's name
+ */
+function describePlayer(state, player) {
+    if (player.left) return player.role ? `left · ${player.role}` : 'left';
+    if (!player.alive) return player.role ? `burned · ${player.role}` : 'burned';
+    if (state.phase === 'ended' && player.role) return player.role;
+    if (state.phase === 'vote') return player.hasVoted ? 'voted' : '';
+    if (state.phase === 'reveal' && state.tally && state.tally[player.id]) {
+        const votes = state.tally[player.id];
+        return `${votes} vote${votes !== 1 ? 's' : ''}`;
+    }
+    return '';
+}
+
+function showGameInfo(text, isError = false) {
+    gameInfo.textContent = text;
+    gameInfo.classList.toggle('error', isError);
+}
+
+// ============================================
+// COUNTDOWN
+// ============================================
+
+/**
+ * Count down to the end of the phase. The server decides when the phase
+ * actually ends; this is only a display.
+ */
+function startCountdown(endsAt) {
+    if (timerInterval) clearInterval(timerInterval);
+    timerInterval = null;
+
+    if (!endsAt) {
+        gameTimer.textContent = '';
+        return;
+    }
+
+    const update = () => {
+        const seconds = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+        gameTimer.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+
+    update();
+    timerInterval = setInterval(update, 250);
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function getMe() {
+    return gameState && gameState.players.find(player => player.id === gameTransport.clientId);
+}
+
+function playerLabel(id) {
+    if (id === gameTransport.clientId) return 'You';
+
+    const profile = roster.get(id);
+    return profile ? profile.name : 'Player ' + id.substring(2, 6);
+}
@@ -0,0 +1,222 @@
+/**
+ * BURN THE WITCH - Outbox
+ * =======================
+ * Messages we sent that the server hasn't confirmed yet. They are kept
+ * in localStorage, so nothing typed while the connection is down (or the
+ * tab is reloaded) is lost: the outbox sends them, in order, as soon as
+ * we are back in the room.
+ *
+ * Resending is safe: the server recognises a nonce it has already posted
+ * and just sends that message back (see findByNonce in lib/messages.js).
+ *
+ * The server rate-limits each player (see lib/ratelimit.js), so a long
+ * backlog goes out at its pace: a burst, then one message at a time. A
+ * message refused for the rate limit anyway waits in the outbox and is
+ * sent again once the server's retryAfter has passed.
+ *
+ * Each entry: { nonce, room, text, to, toName, state, createdAt }
+ *   state 'queued'  Waiting to be sent, or to be confirmed
+ *         'failed'  The server refused it; retry or discard
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const OUTBOX_CONFIG = {
+    storageKey: 'burnTheWitch.outbox',
+    maxEntries: 50,
+    maxAge: 24 * 60 * 60 * 1000, // Don't send day-old messages out of the blue
+    flushBurst: 4,      // Sent back-to-back; the server allows a burst of 5...
+    flushSpacing: 1100  // ...and one more per second after that
+};
+
+// State
+let outboxTransport = null;
+let outbox = loadOutbox();
+let flushing = false;
+let flushAgain = false; // Something was queued while a flush was running
+let retryTimer = null;  // Flush again once a rate limit has passed
+const sentOnThisConnection = new Set(); // Nonces not worth resending until we reconnect
+
+// ============================================
+// SETUP
+// ============================================
+
+/**
+ * Wire the outbox to a transport
+ */
+function setupOutbox(transport) {
+    outboxTransport = transport;
+
+    // Back in a room (first join or after a reconnect): show what is waiting and send it
+    transport.on('room', ({ code }) => {
+        sentOnThisConnection.clear();
+        outbox.filter(entry => entry.room === code).forEach(entry => {
+            if (!messageArea.querySelector(`[data-nonce="${entry.nonce}"]`)) {
+                displayPendingMessage(entry.text, entry.nonce, entry.to ? { id: entry.to, name: entry.toName } : null);
+            }
+            setPendingState(entry.nonce, entry.state);
+        });
+        flushOutbox();
+    });
+
+    // The server's copy is the confirmation
+    transport.on('message', (message) => {
+        if (message.nonce && message.senderId === transport.clientId) {
+            removeFromOutbox(message.nonce);
+        }
+    });
+
+    transport.on('actionError', (error) => {
+        if (error.event !== 'sendText' || !error.nonce) return;
+
+        // Too fast, not wrong: keep it queued and try again when the server says
+        if (error.code === 'RATE_LIMITED') {
+            sentOnThisConnection.delete(error.nonce);
+            updateEntry(error.nonce, { state: 'queued' });
+            scheduleRetry((error.retryAfter || 1) * 1000);
+            return;
+        }
+        updateEntry(error.nonce, { state: 'failed' });
+    });
+
+    transport.on('status', (status) => {
+        if (status !== 'connected') {
+            outbox.filter(entry => entry.state === 'queued')
+                .forEach(entry => setPendingState(entry.nonce, 'queued'));
+        }
+    });
+
+    messageArea.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-outbox-action]');
+        if (!button) return;
+
+        const nonce = button.closest('.message').getAttribute('data-nonce');
+        if (button.dataset.outboxAction === 'retry') {
+            sentOnThisConnection.delete(nonce);
+            updateEntry(nonce, { state: 'queued' });
+            flushOutbox();
+        } else {
+            removeFromOutbox(nonce);
+            button.closest('.message').remove();
+        }
+    });
+}
+
+// ============================================
+// SENDING
+// ============================================
+
+/**
+ * Put a message in the outbox and send it if we can
+ */
+function queueMessage(text, nonce, recipient = null) {
+    outbox.push({
+        nonce,
+        room: outboxTransport.room,
+        text,
+        to: recipient ? recipient.id : null,
+        toName: recipient ? recipient.name : null,
+        state: 'queued',
+        createdAt: Date.now()
+    });
+    saveOutbox();
+
+    if (outboxTransport.isConnected) {
+        flushOutbox();
+    } else {
+        setPendingState(nonce, 'queued');
+    }
+}
+
+/**
+ * Send everything queued for the current room, oldest first, paced to
+ * stay under the rate limit. Stops at the first network failure; the
+ * next reconnect picks it up.
+ */
+async function flushOutbox() {
+    if (flushing) {
+        flushAgain = true;
+        return;
+    }
+    flushing = true;
+    flushAgain = false;
+    let sent = 0;
+
+    try {
+        for (const entry of outbox.filter(item => item.state === 'queued')) {
+            if (sentOnThisConnection.has(entry.nonce)) continue;
+            if (sent >= OUTBOX_CONFIG.flushBurst) {
+                await new Promise(resolve => setTimeout(resolve, OUTBOX_CONFIG.flushSpacing));
+            }
+
+            // Things may have changed while we waited
+            const room = outboxTransport.room;
+            if (!outboxTransport.isConnected || entry.room !== room || entry.state !== 'queued' ||
+                !outbox.includes(entry) || sentOnThisConnection.has(entry.nonce)) continue;
+
+            sent++;
+            sentOnThisConnection.add(entry.nonce);
+            setPendingState(entry.nonce, 'sending');
+            try {
+                await outboxTransport.send(entry.text, entry.nonce, entry.to || undefined);
+            } catch (error) {
+                // A refusal already marked it failed; anything else means we are offline
+                if (entry.state === 'queued') {
+                    sentOnThisConnection.delete(entry.nonce);
+                    console.warn('Message stays in the outbox:', error.message);
+                    setPendingState(entry.nonce, 'queued');
+                    break;
+                }
+            }
+        }
+    } finally {
+        flushing = false;
+    }
+
+    if (flushAgain) flushOutbox();
+}
+
+/**
+ * Flush again after a rate limit has passed (once, however many were refused)
+ */
+function scheduleRetry(delay) {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => {
+        retryTimer = null;
+        if (outboxTransport.isConnected) flushOutbox();
+    }, delay);
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+function updateEntry(nonce, changes) {
+    const entry = outbox.find(item => item.nonce === nonce);
+    if (!entry) return;
+
+    Object.assign(entry, changes);
+    saveOutbox();
+    setPendingState(nonce, entry.state);
+}
+
+function removeFromOutbox(nonce) {
+    const before = outbox.length;
+    outbox = outbox.filter(entry => entry.nonce !== nonce);
+    if (outbox.length !== before) saveOutbox();
+}
+
+function loadOutbox() {
+    try {
+        const entries = JSON.parse(localStorage.getItem(OUTBOX_CONFIG.storageKey)) || [];
+        return entries.filter(entry => Date.now() - entry.createdAt < OUTBOX_CONFIG.maxAge);
+    } catch {
+        return [];
+    }
+}
+
+function saveOutbox() {
+    outbox = outbox.slice(-OUTBOX_CONFIG.maxEntries);
+    localStorage.setItem(OUTBOX_CONFIG.storageKey, JSON.stringify(outbox));
+}
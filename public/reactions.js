@@ -0,0 +1,91 @@
+/**
+ * BURN THE WITCH - Reactions
+ * ==========================
+ * Emoji chips under chat messages (see lib/reactions.js). Clicking a chip
+ * adds our reaction or takes it back; hovering shows who reacted. The
+ * server sends only the messages whose reactions changed.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// Same set and order as the server (lib/reactions.js)
+const REACTION_EMOJIS = ['🔥', '🤔', '👍', '😂', '😱', '👀'];
+
+// State
+let reactionTransport = null;
+let reactionsRoom = null;
+const messageReactions = new Map(); // messageId -> [{ emoji, count, players }]
+
+// ============================================
+// SETUP
+// ============================================
+
+/**
+ * Wire reactions to a transport and the message area
+ */
+function setupReactions(transport) {
+    reactionTransport = transport;
+
+    transport.on('room', ({ code }) => {
+        if (code !== reactionsRoom) messageReactions.clear();
+        reactionsRoom = code;
+    });
+
+    transport.on('reactions', ({ changes }) => {
+        changes.forEach(({ messageId, reactions }) => {
+            messageReactions.set(messageId, reactions);
+            renderReactions(messageId);
+        });
+    });
+
+    messageArea.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-reaction], .reaction-add');
+        if (!button || transport.spectating) return;
+
+        const messageElement = button.closest('.message');
+        const picker = messageElement.querySelector('.reaction-picker');
+        if (button.classList.contains('reaction-add')) {
+            picker.hidden = !picker.hidden;
+            return;
+        }
+
+        picker.hidden = true;
+        transport.react(Number(messageElement.getAttribute('data-message-id')), button.dataset.reaction);
+    });
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Draw the chips (and the picker) of a message, if it is on screen
+ */
+function renderReactions(messageId) {
+    const container = messageArea.querySelector(`[data-message-id="${messageId}"] .message-reactions`);
+    if (!container) return;
+
+    const reactions = messageReactions.get(messageId) || [];
+    const pickerOpen = container.querySelector('.reaction-picker:not([hidden])') !== null;
+
+    const chips = reactions.map(({ emoji, count, players }) => {
+        const mine = players.some(player => player.id === reactionTransport.clientId);
+        const names = players.map(player => player.id === reactionTransport.clientId ? 'You' : player.name);
+        return `
+            <button class="reaction-chip${mine ? ' mine' : ''}" data-reaction="${emoji}" title="${escapeHtml(names.join(', '))}">
+                ${emoji} <span class="reaction-count">${count}</span>
+            </button>`;
+    }).join('');
+
+    const picker = REACTION_EMOJIS
+        .map(emoji => `<button class="reaction-option" data-reaction="${emoji}">${emoji}</button>`)
+        .join('');
+
+    container.innerHTML = `
+        ${chips}
+        <button class="reaction-add" title="React">☺+</button>
+        <span class="reaction-picker"${pickerOpen ? '' : ' hidden'}>${picker}</span>
+    `;
+}
@@ -0,0 +1,374 @@
+/**
+ * BURN THE WITCH - Replay Viewer
+ * ==============================
+ * Plays back a game transcript (see server/replay.js for the format):
+ * the chat and game events appear as they happened, with the phase and
+ * the players as they were at that moment. Play, pause, seek and speed
+ * up with the controls under the game panel.
+ *
+ * Open it with a downloaded file, or as replay.html?room=CODE to fetch
+ * the last game of a room from the server (add &invite=TOKEN on servers
+ * that require invites, see lib/access.js).
+ */
+
+// ============================================
+// DOM ELEMENTS
+// ============================================
+const replayTitle = document.getElementById('replay-title');
+const replayFile = document.getElementById('replay-file');
+const errorText = document.getElementById('error-text');
+const gamePanel = document.getElementById('game-panel');
+const gamePhase = document.getElementById('game-phase');
+const gameInfo = document.getElementById('game-info');
+const playerList = document.getElementById('player-list');
+const replayTime = document.getElementById('replay-time');
+const replayControls = document.getElementById('replay-controls');
+const playButton = document.getElementById('play-button');
+const replaySeek = document.getElementById('replay-seek');
+const replaySpeed = document.getElementById('replay-speed');
+const messageArea = document.getElementById('message-area');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// Must match server/replay.js
+const REPLAY_FORMAT = 'burn-the-witch-replay';
+const REPLAY_VERSION = 1;
+
+// How often the clock moves while playing
+const TICK_INTERVAL = 100;
+
+const PHASE_LABELS = {
+    lobby: 'Lobby',
+    roles: 'Roles',
+    discussion: 'Discussion',
+    vote: 'Vote',
+    reveal: 'Reveal',
+    ended: 'Game Over'
+};
+
+// format.js marks our own mentions; in a replay nobody is us
+const transport = { clientId: null };
+
+// State
+let replay = null;
+let events = [];        // Transcript events, with `time` in ms from the start
+let duration = 0;
+let position = 0;       // Current time, ms from the start
+let applied = 0;        // How many events are on screen
+let view = null;        // { phase, round, alive, votes, info }
+let playTimer = null;
+
+// ============================================
+// LOADING
+// ============================================
+
+/**
+ * Check a parsed file and show it from the start
+ */
+function loadReplay(data) {
+    if (!data || data.format !== REPLAY_FORMAT || !Array.isArray(data.events)) {
+        showError('That file is not a Burn the Witch replay.');
+        return;
+    }
+    if (data.version > REPLAY_VERSION) {
+        showError('This replay was made by a newer version of the game.');
+        return;
+    }
+
+    pause();
+    showError(null);
+    replay = data;
+
+    const startedAt = Date.parse(data.startedAt);
+    events = data.events
+        .map((event, index) => ({ ...event, index, time: Math.max(0, Date.parse(event.at) - startedAt) }))
+        .sort((a, b) => a.time - b.time || a.index - b.index);
+    duration = Math.max(events.length > 0 ? events[events.length - 1].time : 0, Date.parse(data.endedAt) - startedAt || 0);
+
+    const date = new Date(startedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    replayTitle.textContent = `Room ${data.room} · ${date} · ${data.players.length} players${data.truncated ? ' · chat cut short' : ''}`;
+
+    replaySeek.max = duration;
+    view = null;
+    gamePanel.hidden = false;
+    replayControls.hidden = false;
+    seek(0);
+}
+
+/**
+ * Fetch the last game of a room from the server
+ */
+async function loadFromRoom(code, invite) {
+    const query = invite ? `?invite=${encodeURIComponent(invite)}` : '';
+    try {
+        const response = await fetch(`/rooms/${encodeURIComponent(code)}/replay${query}`);
+        if (response.status === 403) {
+            showError((await response.json()).error);
+            return;
+        }
+        if (!response.ok) {
+            showError(`Room ${code} has no finished game to replay.`);
+            return;
+        }
+        loadReplay(await response.json());
+    } catch (error) {
+        showError('Could not reach the server.');
+    }
+}
+
+function loadFromFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            loadReplay(JSON.parse(reader.result));
+        } catch (error) {
+            showError('That file is not a Burn the Witch replay.');
+        }
+    };
+    reader.readAsText(file);
+}
+
+// ============================================
+// PLAYBACK
+// ============================================
+
+function play() {
+    if (!replay) return;
+    if (position >= duration) seek(0);
+
+    playButton.textContent = '⏸ Pause';
+    playTimer = setInterval(() => {
+        seek(Math.min(duration, position + TICK_INTERVAL * Number(replaySpeed.value)));
+        if (position >= duration) pause();
+    }, TICK_INTERVAL);
+}
+
+function pause() {
+    clearInterval(playTimer);
+    playTimer = null;
+    playButton.textContent = '▶ Play';
+}
+
+/**
+ * Move to a time. Going forward adds the events in between; going back
+ * starts over from the beginning.
+ */
+function seek(time) {
+    if (time < position || !view) {
+        resetView();
+    }
+    position = time;
+
+    const start = applied;
+    while (applied < events.length && events[applied].time <= position) {
+        applyEvent(events[applied]);
+        applied++;
+    }
+
+    if (applied > start) {
+        messageArea.scrollTop = messageArea.scrollHeight;
+    }
+    renderPanel();
+}
+
+// ============================================
+// EVENTS
+// ============================================
+
+function resetView() {
+    applied = 0;
+    view = {
+        phase: 'roles',
+        round: 0,
+        alive: new Set(replay.players.map(player => player.id)),
+        left: new Set(),
+        votes: new Map(), // voterId -> targetId, this round
+        info: 'Roles are being handed out in secret...'
+    };
+    messageArea.innerHTML = '';
+}
+
+/**
+ * Update the view with one event and add it to the feed
+ */
+function applyEvent(event) {
+    switch (event.type) {
+        case 'phase':
+            view.phase = event.phase;
+            view.round = event.round;
+            if (event.phase === 'vote') view.votes.clear();
+            view.info = describePhase(event.phase);
+            if (event.phase !== 'ended') {
+                addEventLine(event, event.round > 0 ? `${PHASE_LABELS[event.phase]} · Round ${event.round}` : PHASE_LABELS[event.phase]);
+            }
+            break;
+        case 'vote':
+            view.votes.set(event.voterId, event.targetId);
+            addEventLine(event, `🗳️ ${playerName(event.voterId)} votes to burn ${playerName(event.targetId)}`);
+            break;
+        case 'burn':
+            if (event.playerId) {
+                view.alive.delete(event.playerId);
+                view.info = `${playerName(event.playerId)} burned. They were ${event.role === 'witch' ? 'the witch! 🔥' : 'a villager.'}`;
+            } else {
+                view.info = 'The vote was tied. Nobody burns this round.';
+            }
+            addEventLine(event, event.playerId ? `🔥 ${view.info}` : view.info);
+            break;
+        case 'leave':
+            view.alive.delete(event.playerId);
+            view.left.add(event.playerId);
+            addEventLine(event, `${playerName(event.playerId)} left the game. They were ${event.role === 'witch' ? 'the witch.' : 'a villager.'}`);
+            break;
+        case 'end':
+            view.info = event.winner === 'witch' ? '🧙 The witch wins!' : '🏡 The villagers win!';
+            addEventLine(event, view.info);
+            break;
+        case 'message':
+            addMessage(event.message, event.at);
+            break;
+    }
+}
+
+function describePhase(phase) {
+    switch (phase) {
+        case 'roles':
+            return 'Roles are being handed out in secret...';
+        case 'discussion':
+            return 'Sharing clues and looking for the witch.';
+        case 'vote':
+            return 'The living are voting...';
+        default:
+            return view.info;
+    }
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Phase, clock and players as they are at the current time
+ */
+function renderPanel() {
+    gamePhase.textContent = view.round > 0 && view.phase !== 'ended'
+        ? `${PHASE_LABELS[view.phase]} · Round ${view.round}`
+        : PHASE_LABELS[view.phase];
+    gameInfo.textContent = view.info;
+    replayTime.textContent = `${formatTime(position)} / ${formatTime(duration)}`;
+    replaySeek.value = position;
+
+    playerList.innerHTML = '';
+    replay.players.forEach(player => {
+        const item = document.createElement('li');
+        item.className = 'player';
+        item.classList.toggle('dead', !view.alive.has(player.id));
+        item.style.setProperty('--avatar-color', player.color);
+
+        const name = document.createElement('span');
+        name.className = 'player-name';
+        name.textContent = player.name;
+        item.appendChild(name);
+
+        const status = document.createElement('span');
+        status.className = 'player-status';
+        status.textContent = describePlayer(player);
+        item.appendChild(status);
+
+        playerList.appendChild(item);
+    });
+}
+
+/**
+ * A player's role, and what happened to them or how they voted
+ */
+function describePlayer(player) {
+    const details = [player.role];
+    if (view.left.has(player.id)) {
+        details.push('left');
+    } else if (!view.alive.has(player.id)) {
+        details.push('burned');
+    } else if (view.phase === 'vote' && view.votes.has(player.id)) {
+        details.push(`→ ${playerName(view.votes.get(player.id))}`);
+    }
+    return details.join(' · ');
+}
+
+/**
+ * A game event in the feed, shown like a notice
+ */
+function addEventLine(event, text) {
+    const element = document.createElement('div');
+    element.className = 'message system replay-event';
+    element.textContent = text;
+    element.title = formatTime(event.time);
+    messageArea.appendChild(element);
+}
+
+/**
+ * A chat message or notice, as the room saw it at `at` (an ISO time)
+ */
+function addMessage(message, at) {
+    const element = document.createElement('div');
+    element.className = 'message';
+
+    if (message.type === 'system') {
+        element.classList.add('system');
+        element.textContent = message.text;
+        messageArea.appendChild(element);
+        return;
+    }
+
+    element.classList.add('other');
+    const time = new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    element.innerHTML = `
+        <p class="message-text">${formatMessageText(message.text, message.mentions || [])}</p>
+        <div class="message-meta">
+            <span class="message-sender">
+                <span class="message-avatar">${escapeText(message.senderName.charAt(0).toUpperCase())}</span>
+                ${escapeText(message.senderName)}
+            </span>
+            <span class="message-time">${time}</span>
+        </div>
+    `;
+    element.querySelector('.message-avatar').style.background = message.senderColor;
+    messageArea.appendChild(element);
+}
+
+function playerName(id) {
+    const player = replay.players.find(candidate => candidate.id === id);
+    return player ? player.name : 'Someone';
+}
+
+/**
+ * m:ss
+ */
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function showError(text) {
+    errorText.textContent = text || '';
+    errorText.hidden = !text;
+}
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+playButton.addEventListener('click', () => (playTimer ? pause() : play()));
+replaySeek.addEventListener('input', () => seek(Number(replaySeek.value)));
+
+replayFile.addEventListener('change', () => {
+    if (replayFile.files[0]) loadFromFile(replayFile.files[0]);
+});
+
+setupFormatting();
+
+const params = new URLSearchParams(window.location.search);
+if (params.get('room')) {
+    loadFromRoom(params.get('room'), params.get('invite'));
+}
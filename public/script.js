@@ -1,12 +1,25 @@
 /**
- * TEXT SYNC GAME - Client Script (Vercel Compatible)
- * ===================================================
- * Uses polling API instead of WebSockets for Vercel compatibility.
+ * TEXT SYNC GAME - Client Script
+ * ==============================
+ * Works against both the Socket.IO server and the Vercel polling API
+ * through the transport layer in transport.js.
  * 
  * Features:
- * - Real-time message sending and receiving via polling
+ * - Real-time message sending and receiving
  * - Connection status indicator
  * - User count display
+ * - Nicknames and a stable player token kept in localStorage
+ * - Rooms with shareable join codes (?room=CODE)
+ * - Read-only watch links for spectators (?room=CODE&watch=1, plus a
+ *   watch-only invite when the server requires invites)
+ * - The Burn the Witch game panel, with replays once a game ends (see game.js, replay.html)
+ * - Room members and host moderation tools (see moderation.js)
+ * - "X is typing…" indicator (see typing.js)
+ * - The clue board side panel (see clues.js)
+ * - Emoji reactions under chat messages (see reactions.js)
+ * - Safe markdown, @mentions and ||spoilers|| in messages (see format.js)
+ * - Recent history on join, older pages when scrolling to the top
+ * - Messages typed while offline wait in an outbox (see outbox.js)
  * - Auto-scroll on new messages
  * - Enter key support for sending
  */
@@ -20,47 +33,222 @@ const messageArea = document.getElementById('message-area');
 const statusIndicator = document.getElementById('status-indicator');
 const statusText = document.getElementById('status-text');
 const userCount = document.getElementById('user-count');
+const roomCodeButton = document.getElementById('room-code');
+const watchLinkButton = document.getElementById('watch-link');
+const spectatorBanner = document.getElementById('spectator-banner');
+const newRoomButton = document.getElementById('new-room-button');
+const ownNameButton = document.getElementById('own-name');
+const nameDialog = document.getElementById('name-dialog');
+const nameForm = document.getElementById('name-form');
+const nameInput = document.getElementById('name-input');
+const errorText = document.getElementById('error-text');
 
 // ============================================
 // CONFIGURATION
 // ============================================
-const API_BASE = '/api';
-const POLL_INTERVAL = 1000; // Poll every 1 second
-const CLIENT_ID = 'user_' + Math.random().toString(36).substring(2, 10);
+const STORAGE_KEYS = {
+    token: 'burnTheWitch.playerToken',
+    name: 'burnTheWitch.nickname'
+};
 
 // State
-let lastMessageId = 0;
-let isConnected = false;
-let pollTimer = null;
+let transport = null;
+const identity = loadIdentity();
+let cooldownTimer = null;
+let errorTimer = null;
+let playerCount = 0;
+let spectatorCount = 0;
+
+// History paging
+let oldestLoadedId = null;
+let loadingOlder = false;
+let historyExhausted = false;
 
 // ============================================
-// API FUNCTIONS
+// PLAYER IDENTITY
 // ============================================
 
 /**
- * Check API status and establish "connection"
+ * Load our player token and nickname, creating the token on first visit.
+ * The token is secret: it is what lets us take our seat back after a refresh.
+ */
+function loadIdentity() {
+    let token = localStorage.getItem(STORAGE_KEYS.token);
+
+    if (!token) {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        token = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem(STORAGE_KEYS.token, token);
+    }
+
+    return {
+        token,
+        name: localStorage.getItem(STORAGE_KEYS.name) || ''
+    };
+}
+
+/**
+ * Ask for a nickname
+ */
+function openNameDialog() {
+    nameInput.value = identity.name;
+    nameDialog.hidden = false;
+    nameInput.focus();
+}
+
+/**
+ * Save the chosen nickname, then connect (first visit) or rename
+ */
+function submitName(event) {
+    event.preventDefault();
+
+    const name = nameInput.value.trim();
+    if (!name) return;
+
+    nameDialog.hidden = true;
+    saveName(name);
+    textInput.focus();
+}
+
+/**
+ * Remember a nickname and tell the server (or connect, on the first visit)
+ */
+function saveName(name) {
+    identity.name = name;
+    localStorage.setItem(STORAGE_KEYS.name, name);
+
+    if (transport) {
+        transport.setName(name);
+    } else {
+        connect();
+    }
+}
+
+// ============================================
+// TRANSPORT FUNCTIONS
+// ============================================
+
+/**
+ * Pick a transport and wire its events to the UI
  */
 async function connect() {
-    try {
-        const response = await fetch(`${API_BASE}/status`);
-        if (response.ok) {
-            setConnected(true);
-            startPolling();
-        } else {
-            throw new Error('API not available');
+    transport = await createTransport(identity);
+
+    // A watch link joins its room as a spectator
+    const params = new URLSearchParams(window.location.search);
+    setSpectating(params.has('room') && params.get('watch') === '1');
+    // Servers that require invites want the token from the invite link
+    transport.invite = params.get('invite');
+
+    transport.on('status', (status) => {
+        setConnected(status === 'connected');
+        if (status === 'connected') {
+            enterRoom();
+        } else if (status === 'replaced') {
+            statusText.textContent = 'Opened in another tab';
         }
+    });
+    // The server won't have this page at all (see lib/access.js)
+    transport.on('refused', (error) => {
+        statusText.textContent = 'Not allowed';
+        showError(error);
+    });
+    transport.on('profile', (profile) => {
+        ownNameButton.textContent = profile.name;
+        ownNameButton.style.setProperty('--avatar-color', profile.color);
+        ownNameButton.hidden = false;
+    });
+    transport.on('room', ({ code, invite }) => showRoom(code, invite));
+    transport.on('olderMessages', prependOlderMessages);
+    transport.on('roomError', (error) => {
+        // The room from the link is gone (e.g. server restarted), locked, or
+        // needs an invite we don't have, so start a new one
+        console.warn(`Could not join room ${error.code}: ${error.message}`);
+        if (error.reason) showError(error);
+
+        setSpectating(false);
+        openNewRoom();
+    });
+    transport.on('kicked', () => {
+        showError({ message: 'The host removed you from the room' });
+        setSpectating(false);
+        openNewRoom();
+    });
+    transport.on('message', displayMessage);
+    transport.on('actionError', showError);
+    transport.on('userCount', (count) => {
+        playerCount = count;
+        renderUserCount();
+    });
+    transport.on('spectatorCount', (count) => {
+        spectatorCount = count;
+        renderUserCount();
+    });
+    setupGamePanel(transport);
+    setupModeration(transport);
+    setupTypingIndicator(transport);
+    setupClueBoard(transport);
+    setupReactions(transport);
+    setupFormatting();
+    setupChatCommands(transport);
+    setupOutbox(transport);
+
+    console.log('Transport:', transport.mode);
+    transport.connect();
+}
+
+/**
+ * Join the room from the URL (or the one we were in before a reconnect),
+ * or create a new one if there is none
+ */
+function enterRoom() {
+    const code = transport.room || new URLSearchParams(window.location.search).get('room');
+
+    if (code) {
+        transport.joinRoom(code);
+    } else {
+        openNewRoom();
+    }
+}
+
+/**
+ * Ask for a fresh room and join it, showing an error if that fails
+ */
+async function openNewRoom() {
+    try {
+        await transport.createRoom();
     } catch (error) {
-        console.error('Connection error:', error);
-        setConnected(false);
-        // Retry connection after 3 seconds
-        setTimeout(connect, 3000);
+        console.error('Could not create a room:', error);
+        showError({ message: 'Could not create a room. Try again in a moment.' });
     }
 }
 
 /**
- * Send a message to the server
+ * Leave the current room and start a fresh one
+ */
+function startNewRoom() {
+    transport.leaveRoom();
+    setSpectating(false);
+    openNewRoom();
+}
+
+/**
+ * Switch between playing and only watching. Spectators keep the chat
+ * and the game in view, without the controls (the server refuses them anyway).
+ */
+function setSpectating(spectating) {
+    transport.spectating = spectating;
+    document.body.classList.toggle('spectating', spectating);
+    spectatorBanner.hidden = !spectating;
+}
+
+/**
+ * Send what is in the input: a chat message or a command
  */
-async function sendMessage() {
+function sendMessage() {
+    // Disabled while offline or cooling down after a rate limit
+    if (sendButton.disabled) return;
+
     const text = textInput.value.trim();
 
     // Don't send empty messages
@@ -70,94 +258,124 @@ async function sendMessage() {
         return;
     }
 
-    console.log('📤 Sending message:', text);
+    // Messages belong to a room, so wait until we have one
+    if (!transport || !transport.room) {
+        showError({ message: 'Still joining a room...' });
+        return;
+    }
 
-    try {
-        const response = await fetch(`${API_BASE}/messages`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                text: text,
-                senderId: CLIENT_ID
-            })
-        });
-
-        if (response.ok) {
-            const data = await response.json();
-            // Display our own message immediately
-            displayMessage(data.message);
-            textInput.value = '';
-            textInput.focus();
-        } else {
-            console.error('Failed to send message');
+    // "/roll 2d6" and friends are commands (see commands.js)
+    if (text.startsWith('/')) {
+        const error = runChatCommand(text);
+        if (error) {
+            showError({ message: error });
+            return;
         }
-    } catch (error) {
-        console.error('Error sending message:', error);
+        textInput.value = '';
+        textInput.focus();
+        hideSuggestions();
+        return;
     }
+
+    textInput.value = '';
+    textInput.focus();
+    requestMentionNotifications();
+    postChat(text);
 }
 
 /**
- * Poll for new messages
+ * Post a chat message, or whisper it to `recipient`. It goes through
+ * the outbox, so it is sent once we are connected (see outbox.js).
  */
-async function pollMessages() {
-    if (!isConnected) return;
+function postChat(text, recipient = null) {
+    console.log('📤 Sending message:', text);
 
-    try {
-        const response = await fetch(`${API_BASE}/messages?since=${lastMessageId}`);
-
-        if (response.ok) {
-            const data = await response.json();
-
-            // Display new messages (excluding our own - we show those immediately)
-            data.messages.forEach(message => {
-                if (message.senderId !== CLIENT_ID) {
-                    displayMessage(message);
-                }
-                if (message.id > lastMessageId) {
-                    lastMessageId = message.id;
-                }
-            });
-
-            // Update user count
-            userCount.textContent = `${data.userCount} user${data.userCount !== 1 ? 's' : ''} online`;
-        }
-    } catch (error) {
-        console.error('Polling error:', error);
-        setConnected(false);
-        setTimeout(connect, 3000);
+    // Show it right away; the server's copy replaces it (matched by nonce)
+    const nonce = createNonce();
+    displayPendingMessage(text, nonce, recipient);
+    stopOwnTyping();
+    queueMessage(text, nonce, recipient);
+}
+
+/**
+ * Show where an optimistic message is: 'sending', 'queued' (waiting
+ * for the connection) or 'failed' (refused, with retry and discard)
+ */
+function setPendingState(nonce, state) {
+    const pending = messageArea.querySelector(`[data-nonce="${nonce}"]`);
+    if (!pending) return;
+
+    pending.classList.toggle('queued', state === 'queued');
+    pending.classList.toggle('failed', state === 'failed');
+
+    const status = pending.querySelector('.message-time');
+    if (state === 'failed') {
+        status.innerHTML = `
+            Not sent
+            <button class="outbox-action" data-outbox-action="retry">Retry</button>
+            <button class="outbox-action" data-outbox-action="discard">Discard</button>
+        `;
+    } else {
+        status.textContent = state === 'queued' ? 'Waiting for connection' : 'Sending...';
     }
 }
 
 /**
- * Start polling for messages
+ * Show why the server rejected something. Rate limits also lock the
+ * send button until the server says we may try again.
  */
-function startPolling() {
-    if (pollTimer) clearInterval(pollTimer);
-    pollTimer = setInterval(pollMessages, POLL_INTERVAL);
-    pollMessages(); // Initial poll
+function showError(error) {
+    errorText.textContent = error.message;
+    errorText.hidden = false;
+
+    clearTimeout(errorTimer);
+    clearInterval(cooldownTimer);
+
+    if (!error.retryAfter) {
+        errorTimer = setTimeout(() => {
+            errorText.hidden = true;
+        }, 4000);
+        return;
+    }
+
+    const until = Date.now() + error.retryAfter * 1000;
+    const update = () => {
+        const seconds = Math.ceil((until - Date.now()) / 1000);
+        if (seconds <= 0) {
+            clearInterval(cooldownTimer);
+            sendButton.disabled = textInput.disabled;
+            errorText.hidden = true;
+            return;
+        }
+        sendButton.disabled = true;
+        errorText.textContent = `${error.message}. Try again in ${seconds}s`;
+    };
+
+    update();
+    cooldownTimer = setInterval(update, 250);
+}
+
+/**
+ * Random id for an outgoing message, echoed back by the server
+ */
+function createNonce() {
+    const bytes = crypto.getRandomValues(new Uint8Array(8));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
 }
 
 /**
  * Set connection status
  */
 function setConnected(connected) {
-    isConnected = connected;
-
     if (connected) {
         statusIndicator.classList.remove('offline');
         statusIndicator.classList.add('online');
         statusText.textContent = 'Connected';
-        textInput.disabled = false;
-        sendButton.disabled = false;
     } else {
         statusIndicator.classList.remove('online');
         statusIndicator.classList.add('offline');
+        // Keep the input open: new messages wait in the outbox
         statusText.textContent = 'Reconnecting...';
-        textInput.disabled = true;
-        sendButton.disabled = true;
-        if (pollTimer) clearInterval(pollTimer);
     }
 }
 
@@ -167,6 +385,28 @@ function setConnected(connected) {
 
 sendButton.addEventListener('click', sendMessage);
 
+newRoomButton.addEventListener('click', startNewRoom);
+
+roomCodeButton.addEventListener('click', () => copyInviteLink());
+
+watchLinkButton.addEventListener('click', () => copyInviteLink({ watch: true }));
+
+// Scrolling to the top pages in older history
+messageArea.addEventListener('scroll', () => {
+    if (messageArea.scrollTop < 40) loadOlderMessages();
+});
+
+// Let the others know right away when we close the tab
+window.addEventListener('pagehide', () => {
+    if (transport && transport.mode === 'polling') {
+        transport.leaveRoom();
+    }
+});
+
+ownNameButton.addEventListener('click', openNameDialog);
+
+nameForm.addEventListener('submit', submitName);
+
 textInput.addEventListener('keypress', (event) => {
     if (event.key === 'Enter') {
         event.preventDefault();
@@ -181,7 +421,23 @@ textInput.addEventListener('keypress', (event) => {
 /**
  * Display a message in the message area
  */
-function displayMessage(message) {
+function displayMessage(message, { scroll = true } = {}) {
+    if (oldestLoadedId === null || message.id < oldestLoadedId) {
+        oldestLoadedId = message.id;
+    }
+
+    // The host deleted a message: take it off the screen
+    if (message.type === 'delete') {
+        const deleted = messageArea.querySelector(`[data-message-id="${message.targetId}"]`);
+        if (deleted) deleted.remove();
+        return;
+    }
+
+    // What is left of a deleted message in history, or someone else's whisper
+    if (message.type === 'deleted' || message.type === 'hidden') {
+        return;
+    }
+
     // Remove welcome message if it exists
     const welcomeMessage = messageArea.querySelector('.welcome-message');
     if (welcomeMessage) {
@@ -193,13 +449,28 @@ function displayMessage(message) {
         return;
     }
 
+    // Our own message is back from the server: drop the optimistic copy
+    if (message.nonce && message.senderId === transport.clientId) {
+        const pending = messageArea.querySelector(`[data-nonce="${message.nonce}"]`);
+        if (pending) pending.remove();
+    }
+
     // Create message element
     const messageElement = document.createElement('div');
     messageElement.className = 'message';
     messageElement.setAttribute('data-message-id', message.id);
 
+    // Notices like "Alice joined" have no sender
+    if (message.type === 'system') {
+        messageElement.classList.add('system');
+        messageElement.textContent = message.text;
+        insertMessageElement(messageElement, message.id, scroll);
+        return;
+    }
+
     // Check if this is our own message
-    if (message.senderId === CLIENT_ID) {
+    const isOwn = message.senderId === transport.clientId;
+    if (isOwn) {
         messageElement.classList.add('own');
     } else {
         messageElement.classList.add('other');
@@ -212,25 +483,191 @@ function displayMessage(message) {
         minute: '2-digit'
     });
 
-    // Create shortened sender ID for display
-    const shortId = message.senderId.substring(0, 8);
+    let senderName = message.senderId === transport.clientId ? 'You' : message.senderName;
+
+    // Whispers say who they are for
+    const isWhisper = message.type === 'whisper';
+    if (isWhisper) {
+        messageElement.classList.add('whisper');
+        senderName += ` → ${message.recipientId === transport.clientId ? 'you' : message.recipientName}`;
+    }
 
     // Build the message HTML
     messageElement.innerHTML = `
-        <p class="message-text">${escapeHtml(message.text)}</p>
+        <p class="message-text">${formatMessageText(message.text, message.mentions)}</p>
         <div class="message-meta">
-            <span class="message-sender">${message.senderId === CLIENT_ID ? 'You' : 'User ' + shortId}</span>
-            <span class="message-time">${timeString}</span>
+            <span class="message-sender">
+                <span class="message-avatar">${escapeHtml(message.senderName.charAt(0).toUpperCase())}</span>
+                ${escapeHtml(senderName)}
+            </span>
+            <span class="message-time">${timeString}${isOwn ? ' <span class="message-sent" title="Sent">✓</span>' : ''}</span>
+            ${isWhisper ? '' : '<button class="delete-message" title="Delete message">🗑</button>'}
         </div>
+        ${isWhisper ? '' : '<div class="message-reactions"></div>'}
     `;
+    messageElement.querySelector('.message-avatar').style.background = message.senderColor;
+
+    if (mentionsMe(message)) {
+        messageElement.classList.add('mentioned');
+        notifyMention(message);
+    }
 
     // Add to message area
-    messageArea.appendChild(messageElement);
+    insertMessageElement(messageElement, message.id, scroll);
+    renderReactions(message.id);
+}
+
+/**
+ * Insert a message in sequence order. Late arrivals (e.g. a refetched gap)
+ * slot in where they belong; pending messages always stay at the bottom.
+ */
+function insertMessageElement(messageElement, id, scroll = true) {
+    const next = Array.from(messageArea.querySelectorAll('.message'))
+        .find(element => element.classList.contains('pending') ||
+            Number(element.getAttribute('data-message-id')) > id);
+
+    if (next) {
+        messageArea.insertBefore(messageElement, next);
+    } else {
+        messageArea.appendChild(messageElement);
+    }
 
     // Auto-scroll to bottom
+    if (scroll) scrollToBottom();
+}
+
+/**
+ * Ask for the page before the oldest message we have
+ */
+function loadOlderMessages() {
+    if (loadingOlder || historyExhausted || oldestLoadedId === null || oldestLoadedId <= 1) return;
+
+    loadingOlder = true;
+    transport.fetchOlder(oldestLoadedId);
+}
+
+/**
+ * Put a page of older messages above the current ones without moving
+ * what the reader is looking at
+ */
+function prependOlderMessages({ messages, hasMore }) {
+    const previousHeight = messageArea.scrollHeight;
+
+    messages.forEach(message => displayMessage(message, { scroll: false }));
+    messageArea.scrollTop += messageArea.scrollHeight - previousHeight;
+
+    loadingOlder = false;
+    historyExhausted = !hasMore;
+}
+
+/**
+ * Show a notice only we can see, like /help or a command's reply
+ */
+function displayLocalNotice(text) {
+    const messageElement = document.createElement('div');
+    messageElement.className = 'message system local';
+    messageElement.textContent = text;
+
+    messageArea.appendChild(messageElement);
     scrollToBottom();
 }
 
+/**
+ * Show a message we just sent until the server's copy arrives
+ */
+function displayPendingMessage(text, nonce, recipient = null) {
+    const welcomeMessage = messageArea.querySelector('.welcome-message');
+    if (welcomeMessage) {
+        welcomeMessage.remove();
+    }
+
+    const messageElement = document.createElement('div');
+    messageElement.className = 'message own pending';
+    messageElement.classList.toggle('whisper', Boolean(recipient));
+    messageElement.setAttribute('data-nonce', nonce);
+    messageElement.innerHTML = `
+        <p class="message-text">${formatMessageText(text)}</p>
+        <div class="message-meta">
+            <span class="message-sender">${recipient ? `You → ${escapeHtml(recipient.name)}` : 'You'}</span>
+            <span class="message-time">Sending...</span>
+        </div>
+    `;
+
+    messageArea.appendChild(messageElement);
+    scrollToBottom();
+}
+
+/**
+ * Show the current room code, put it in the URL so it can be shared
+ * (with watch=1 while spectating, and the room's invite if it has one),
+ * and clear messages from the previous room
+ */
+function showRoom(code, invite) {
+    roomCodeButton.textContent = `Room ${code}`;
+    roomCodeButton.hidden = false;
+    watchLinkButton.hidden = false;
+
+    const url = new URL(window.location.href);
+    const isNewRoom = url.searchParams.get('room') !== code;
+    url.searchParams.set('room', code);
+    if (invite) {
+        url.searchParams.set('invite', invite);
+    } else {
+        url.searchParams.delete('invite');
+    }
+    if (transport.spectating) {
+        url.searchParams.set('watch', '1');
+    } else {
+        url.searchParams.delete('watch');
+    }
+    window.history.replaceState(null, '', url);
+
+    if (isNewRoom) {
+        messageArea.querySelectorAll('.message').forEach(element => element.remove());
+
+        oldestLoadedId = null;
+        loadingOlder = false;
+        historyExhausted = false;
+    }
+}
+
+/**
+ * Copy a link to the current room to the clipboard: an invite to play,
+ * or with `watch` a read-only link for spectators
+ */
+async function copyInviteLink({ watch = false } = {}) {
+    const button = watch ? watchLinkButton : roomCodeButton;
+    const url = new URL(window.location.href);
+    // Watch links carry the watch-only invite (see lib/access.js)
+    const invite = watch ? transport.watchInvite : transport.invite;
+    if (invite) {
+        url.searchParams.set('invite', invite);
+    } else {
+        url.searchParams.delete('invite');
+    }
+    if (watch) {
+        url.searchParams.set('watch', '1');
+    } else {
+        url.searchParams.delete('watch');
+    }
+
+    try {
+        await navigator.clipboard.writeText(url.href);
+        button.classList.add('copied');
+        setTimeout(() => button.classList.remove('copied'), 1500);
+    } catch (error) {
+        console.error('Could not copy invite link:', error);
+    }
+}
+
+/**
+ * Show how many players are online, and how many watch
+ */
+function renderUserCount() {
+    const players = `${playerCount} player${playerCount !== 1 ? 's' : ''} online`;
+    userCount.textContent = spectatorCount > 0 ? `${players} · ${spectatorCount} watching` : players;
+}
+
 /**
  * Scroll the message area to the bottom
  */
@@ -271,7 +708,10 @@ document.head.appendChild(style);
 // Focus on input when page loads
 textInput.focus();
 
-// Start connection
+// Start connection (after picking a nickname on the first visit)
 console.log('🎮 Text Sync Game - Client Ready');
-console.log('Client ID:', CLIENT_ID);
-connect();
+if (identity.name) {
+    connect();
+} else {
+    openNameDialog();
+}
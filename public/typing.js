@@ -0,0 +1,130 @@
+/**
+ * BURN THE WITCH - Typing Indicator
+ * =================================
+ * Tells the room while we type, and shows who else is typing.
+ *
+ * Typing events are debounced: one "typing" when we start, repeated
+ * every refreshInterval while we keep going (the server forgets us after
+ * a few quiet seconds, see lib/typing.js), and one "stopped" when we
+ * send, clear the input or pause.
+ */
+
+// ============================================
+// DOM ELEMENTS
+// ============================================
+const typingIndicator = document.getElementById('typing-indicator');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const TYPING_CONFIG = {
+    refreshInterval: 3000, // Re-announce while typing (server timeout is 5s)
+    idleTimeout: 2000,     // Stop after this long without a keystroke
+    maxNames: 2            // Names shown before "and N others"
+};
+
+// State
+let typingTransport = null;
+let typists = new Map(); // playerId -> name
+let ownTyping = false;
+let lastTypingSent = 0;
+let typingIdleTimer = null;
+
+// ============================================
+// SETUP
+// ============================================
+
+/**
+ * Wire the typing indicator to a transport and the message input
+ */
+function setupTypingIndicator(transport) {
+    typingTransport = transport;
+
+    transport.on('typing', ({ id, name, isTyping }) => {
+        if (isTyping) {
+            typists.set(id, name);
+        } else {
+            typists.delete(id);
+        }
+        renderTypists();
+    });
+
+    // Typists belong to a room, and a dropped connection loses track of them
+    transport.on('room', clearTypists);
+    transport.on('status', (status) => {
+        if (status !== 'connected') clearTypists();
+    });
+
+    textInput.addEventListener('input', handleTypingInput);
+}
+
+// ============================================
+// OUR OWN TYPING
+// ============================================
+
+/**
+ * Announce typing on the first keystroke, then at most every refreshInterval
+ */
+function handleTypingInput() {
+    // Nothing to announce while the input is empty or holds a command
+    const text = textInput.value.trim();
+    if (!text || text.startsWith('/')) {
+        stopOwnTyping();
+        return;
+    }
+
+    const now = Date.now();
+    if (!ownTyping || now - lastTypingSent >= TYPING_CONFIG.refreshInterval) {
+        ownTyping = true;
+        lastTypingSent = now;
+        typingTransport.startTyping();
+    }
+
+    clearTimeout(typingIdleTimer);
+    typingIdleTimer = setTimeout(stopOwnTyping, TYPING_CONFIG.idleTimeout);
+}
+
+/**
+ * Tell the room we stopped (sent the message, or paused)
+ */
+function stopOwnTyping() {
+    clearTimeout(typingIdleTimer);
+    if (!ownTyping) return;
+
+    ownTyping = false;
+    typingTransport.stopTyping();
+}
+
+// ============================================
+// OTHER TYPISTS
+// ============================================
+
+function clearTypists() {
+    typists.clear();
+    renderTypists();
+}
+
+/**
+ * "Alice is typing…", "Alice and Bob are typing…",
+ * "Alice, Bob and 3 others are typing…"
+ */
+function renderTypists() {
+    const names = [...typists.values()];
+
+    if (names.length === 0) {
+        typingIndicator.textContent = '';
+        return;
+    }
+
+    let who;
+    if (names.length === 1) {
+        who = `${names[0]} is`;
+    } else if (names.length <= TYPING_CONFIG.maxNames + 1) {
+        who = `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} are`;
+    } else {
+        const others = names.length - TYPING_CONFIG.maxNames;
+        who = `${names.slice(0, TYPING_CONFIG.maxNames).join(', ')} and ${others} others are`;
+    }
+
+    typingIndicator.textContent = `${who} typing…`;
+}
@@ -0,0 +1,44 @@
+/**
+ * BURN THE WITCH - Command List Generator
+ * =======================================
+ * Writes client/command-list.js (and its copy in public/) from the
+ * server's command registry in lib/commands.js, so the client's /help,
+ * suggestions and argument checks can't drift from what the server runs.
+ *
+ *   npm run build
+ *
+ * test/commands.test.js fails when the checked-in file is out of date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describeCommands } = require('../lib/commands');
+
+const OUTPUTS = [
+    path.join(__dirname, '../client/command-list.js'),
+    path.join(__dirname, '../public/command-list.js')
+];
+
+/**
+ * The contents of client/command-list.js
+ */
+function renderCommandList() {
+    return `/**
+ * BURN THE WITCH - Server Commands
+ * ================================
+ * GENERATED from lib/commands.js by scripts/build-commands.js - don't edit
+ * by hand, run \`npm run build\` instead. client/commands.js adds the
+ * commands that only need the client.
+ */
+
+const SERVER_COMMANDS = ${JSON.stringify(describeCommands(), null, 4)};
+`;
+}
+
+if (require.main === module) {
+    const contents = renderCommandList();
+    OUTPUTS.forEach(file => fs.writeFileSync(file, contents));
+    console.log(`Wrote ${OUTPUTS.map(file => path.relative(process.cwd(), file)).join(', ')}`);
+}
+
+module.exports = { renderCommandList };
@@ -0,0 +1,69 @@
+/**
+ * TEXT SYNC GAME - Cluster Adapter
+ * =================================
+ * A Socket.IO adapter that shares broadcasts, room joins/leaves and
+ * disconnects with the other server instances, over any backend from
+ * lib/cluster (in-process or Redis pub/sub).
+ *
+ * socket.io-adapter's ClusterAdapterWithHeartbeat does the bookkeeping;
+ * this class only moves its messages around. They travel as JSON, so
+ * binary payloads are not supported (the game never sends any).
+ */
+
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const { logger } = require('../lib/logger');
+
+/**
+ * Channel every instance listens on for a namespace
+ */
+function namespaceChannel(nsp) {
+    return `socket.io:${nsp}`;
+}
+
+/**
+ * Channel for answers to requests one instance made (fetchSockets, serverCount...)
+ */
+function responseChannel(nsp, uid) {
+    return `socket.io:${nsp}:${uid}`;
+}
+
+class PubSubAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, cluster, options) {
+        super(nsp, options);
+        this.cluster = cluster;
+        this.subscriptions = Promise.all([
+            cluster.subscribe(namespaceChannel(nsp.name), message => this.onMessage(message)),
+            cluster.subscribe(responseChannel(nsp.name, this.uid), response => this.onResponse(response))
+        ]);
+    }
+
+    async doPublish(message) {
+        await this.cluster.publish(namespaceChannel(this.nsp.name), message);
+        return ''; // No offsets: connection state recovery is not supported
+    }
+
+    async doPublishResponse(requesterUid, response) {
+        await this.cluster.publish(responseChannel(this.nsp.name, requesterUid), response);
+    }
+
+    close() {
+        super.close();
+        // Runs during shutdown, when the backend may already be gone
+        this.subscriptions
+            .then(unsubscribes => Promise.all(unsubscribes.map(unsubscribe => unsubscribe())))
+            .catch(error => logger.error('cluster adapter unsubscribe failed', { namespace: this.nsp.name, error }));
+    }
+}
+
+/**
+ * Adapter constructor for io.adapter(), bound to a cluster backend
+ */
+function createClusterAdapter(cluster, options = {}) {
+    return function (nsp) {
+        return new PubSubAdapter(nsp, cluster, options);
+    };
+}
+
+module.exports = {
+    createClusterAdapter
+};
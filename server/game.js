@@ -0,0 +1,418 @@
+/**
+ * BURN THE WITCH - Game Engine
+ * ============================
+ * Server-side state machine for one room's game.
+ *
+ * Phases:
+ *   lobby → roles → discussion → vote → reveal → (discussion | ended)
+ *
+ * - lobby:      Players gather; anyone can start once there are enough
+ * - roles:      Everyone is secretly told if they are the witch or a villager
+ * - discussion: Players talk and look for clues
+ * - vote:       Each living player votes for who to burn
+ * - reveal:     The most-voted player burns and their role is revealed
+ * - ended:      One side won; a new game can be started from here
+ *
+ * The server owns every phase timer. Clients only get the time a phase
+ * ends so they can show a countdown.
+ *
+ * Everything that happens in a game also goes to an optional `record`
+ * callback, which the server turns into a replay (see replay.js).
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const PHASES = {
+    LOBBY: 'lobby',
+    ROLES: 'roles',
+    DISCUSSION: 'discussion',
+    VOTE: 'vote',
+    REVEAL: 'reveal',
+    ENDED: 'ended'
+};
+
+const ROLES = {
+    WITCH: 'witch',
+    VILLAGER: 'villager'
+};
+
+// How long each timed phase lasts (ms)
+const DEFAULT_DURATIONS = {
+    roles: 10 * 1000,
+    discussion: 2 * 60 * 1000,
+    vote: 30 * 1000,
+    reveal: 8 * 1000
+};
+
+const MIN_PLAYERS = 3;
+const PLAYERS_PER_WITCH = 5; // One witch per 5 players (at least one)
+
+// ============================================
+// GAME
+// ============================================
+
+class Game {
+    /**
+     * @param {object} options
+     * @param {function} options.broadcast  (event, payload) sent to the whole room
+     * @param {function} options.sendTo     (playerId, event, payload) sent to one player
+     * @param {function} [options.record] (type, details) for every game event:
+     *                                      start, phase, vote, burn, leave, end
+     * @param {object}   [options.durations] Override phase durations (ms)
+     */
+    constructor({ broadcast, sendTo, record = () => {}, durations = {} }) {
+        this.broadcast = broadcast;
+        this.sendTo = sendTo;
+        this.record = record;
+        this.durations = { ...DEFAULT_DURATIONS, ...durations };
+
+        // playerId -> { id, role, alive }
+        this.players = new Map();
+        this.phase = PHASES.LOBBY;
+        this.round = 0;
+        this.phaseEndsAt = null;
+        this.timer = null;
+
+        // voterId -> targetId for the current vote
+        this.votes = new Map();
+        this.lastBurned = null;
+        this.lastTally = null;
+        this.winner = null;
+    }
+
+    // -------------------------------------------
+    // Players
+    // -------------------------------------------
+
+    /**
+     * Seat a player. Only possible in the lobby or after a game has ended.
+     * Returns false if the player has to wait for the next game.
+     */
+    addPlayer(id) {
+        if (this.players.has(id)) return true;
+        if (!this.isJoinable()) return false;
+
+        this.players.set(id, { id, role: null, alive: true });
+        this.emitState();
+        return true;
+    }
+
+    /**
+     * Remove a player. A living player leaving mid-game counts as out,
+     * which can decide the game (or the vote, when everyone left has voted).
+     * Votes for them no longer count; their role stays secret until the end.
+     */
+    removePlayer(id) {
+        const player = this.players.get(id);
+        if (!player) return;
+
+        if (this.isJoinable()) {
+            this.players.delete(id);
+        } else {
+            if (player.alive) this.record('leave', { playerId: id, role: player.role });
+            player.alive = false;
+            player.left = true;
+            this.votes.delete(id);
+            for (const [voterId, targetId] of this.votes) {
+                if (targetId === id) this.votes.delete(voterId);
+            }
+            if (this.checkWin()) return;
+
+            if (this.phase === PHASES.VOTE && this.votes.size > 0 &&
+                this.votes.size >= this.getLivingPlayers().length) {
+                this.resolveVote();
+                return;
+            }
+        }
+
+        this.emitState();
+    }
+
+    isJoinable() {
+        return this.phase === PHASES.LOBBY || this.phase === PHASES.ENDED;
+    }
+
+    getLivingPlayers() {
+        return [...this.players.values()].filter(player => player.alive);
+    }
+
+    /**
+     * Get a player's secret role (null if they are not playing)
+     */
+    getRole(id) {
+        const player = this.players.get(id);
+        return player ? player.role : null;
+    }
+
+    // -------------------------------------------
+    // Phase transitions
+    // -------------------------------------------
+
+    /**
+     * Start a game from the lobby.
+     * Returns an error message, or null on success.
+     */
+    start(requestedBy) {
+        if (!this.isJoinable()) {
+            return 'A game is already in progress';
+        }
+        if (!this.players.has(requestedBy)) {
+            return 'Only seated players can start the game';
+        }
+
+        // Players who left during the last game give up their seat
+        for (const player of this.players.values()) {
+            if (player.left) this.players.delete(player.id);
+        }
+
+        if (this.players.size < MIN_PLAYERS) {
+            return `At least ${MIN_PLAYERS} players are needed to start`;
+        }
+
+        this.round = 0;
+        this.winner = null;
+        this.lastBurned = null;
+        this.lastTally = null;
+        this.assignRoles();
+        this.setPhase(PHASES.ROLES, () => this.startDiscussion());
+        return null;
+    }
+
+    /**
+     * Secretly pick the witches and tell each player their role
+     */
+    assignRoles() {
+        const ids = shuffle([...this.players.keys()]);
+        const witchCount = Math.max(1, Math.floor(ids.length / PLAYERS_PER_WITCH));
+
+        ids.forEach((id, index) => {
+            const player = this.players.get(id);
+            player.role = index < witchCount ? ROLES.WITCH : ROLES.VILLAGER;
+            player.alive = true;
+            player.burned = false;
+        });
+
+        this.record('start', {
+            players: [...this.players.values()].map(({ id, role }) => ({ id, role }))
+        });
+        for (const player of this.players.values()) {
+            this.sendRole(player.id);
+        }
+    }
+
+    /**
+     * Tell one player their role (e.g. again after they reconnect)
+     */
+    sendRole(id) {
+        const player = this.players.get(id);
+        if (!player || !player.role) return;
+
+        this.sendTo(id, 'yourRole', {
+            role: player.role,
+            // Witches know who the other witches are
+            witches: player.role === ROLES.WITCH
+                ? [...this.players.values()].filter(p => p.role === ROLES.WITCH).map(p => p.id)
+                : []
+        });
+    }
+
+    startDiscussion() {
+        this.round++;
+        this.votes.clear();
+        this.setPhase(PHASES.DISCUSSION, () => this.startVote());
+    }
+
+    startVote() {
+        this.votes.clear();
+        this.setPhase(PHASES.VOTE, () => this.resolveVote());
+    }
+
+    /**
+     * Record a vote. Returns an error message, or null on success.
+     * The vote ends early once every living player has voted.
+     */
+    castVote(voterId, targetId) {
+        if (this.phase !== PHASES.VOTE) {
+            return 'Voting is not open';
+        }
+
+        const voter = this.players.get(voterId);
+        const target = this.players.get(targetId);
+
+        if (!voter || !voter.alive) {
+            return 'Only living players can vote';
+        }
+        if (!target || !target.alive) {
+            return 'You can only vote for a living player';
+        }
+
+        this.votes.set(voterId, targetId);
+        this.record('vote', { round: this.round, voterId, targetId });
+
+        if (this.votes.size >= this.getLivingPlayers().length) {
+            this.resolveVote();
+        } else {
+            this.emitState();
+        }
+        return null;
+    }
+
+    /**
+     * Burn the player with the most votes. A tie burns nobody.
+     */
+    resolveVote() {
+        // Only votes for players still in the game count
+        const tally = {};
+        for (const targetId of this.votes.values()) {
+            const target = this.players.get(targetId);
+            if (!target || !target.alive) continue;
+            tally[targetId] = (tally[targetId] || 0) + 1;
+        }
+
+        const ranked = Object.entries(tally).sort((a, b) => b[1] - a[1]);
+        const isTie = ranked.length > 1 && ranked[0][1] === ranked[1][1];
+
+        this.lastTally = tally;
+        this.lastBurned = null;
+
+        if (ranked.length > 0 && !isTie) {
+            const burned = this.players.get(ranked[0][0]);
+            burned.alive = false;
+            burned.burned = true;
+            this.lastBurned = { id: burned.id, role: burned.role };
+        }
+        this.record('burn', {
+            round: this.round,
+            playerId: this.lastBurned ? this.lastBurned.id : null,
+            role: this.lastBurned ? this.lastBurned.role : null,
+            tally
+        });
+
+        this.setPhase(PHASES.REVEAL, () => {
+            if (!this.checkWin()) {
+                this.startDiscussion();
+            }
+        });
+    }
+
+    /**
+     * End the game if one side has won. Returns true if it ended.
+     *
+     * - Villagers win once every witch has burned
+     * - Witches win once they are at least as many as the living villagers
+     */
+    checkWin() {
+        const living = this.getLivingPlayers();
+        const witches = living.filter(player => player.role === ROLES.WITCH).length;
+        const villagers = living.length - witches;
+
+        if (witches === 0) {
+            this.endGame(ROLES.VILLAGER);
+            return true;
+        }
+        if (witches >= villagers) {
+            this.endGame(ROLES.WITCH);
+            return true;
+        }
+        return false;
+    }
+
+    endGame(winner) {
+        this.winner = winner;
+        this.setPhase(PHASES.ENDED, null);
+        this.record('end', { winner });
+    }
+
+    /**
+     * Switch phase and schedule the next transition (if the phase is timed)
+     */
+    setPhase(phase, next) {
+        this.clearTimer();
+        this.phase = phase;
+
+        const duration = this.durations[phase];
+        if (next && duration) {
+            this.phaseEndsAt = Date.now() + duration;
+            this.timer = setTimeout(next, duration);
+        } else {
+            this.phaseEndsAt = null;
+        }
+
+        this.record('phase', {
+            phase,
+            round: this.round,
+            endsAt: this.phaseEndsAt ? new Date(this.phaseEndsAt).toISOString() : null
+        });
+        this.emitState();
+    }
+
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Stop all timers (the room is going away)
+     */
+    destroy() {
+        this.clearTimer();
+    }
+
+    // -------------------------------------------
+    // State
+    // -------------------------------------------
+
+    /**
+     * The state everyone in the room may see. Roles stay secret
+     * until a player burns or the game ends (leaving doesn't reveal one).
+     */
+    getPublicState() {
+        const revealAll = this.phase === PHASES.ENDED;
+
+        return {
+            phase: this.phase,
+            round: this.round,
+            phaseEndsAt: this.phaseEndsAt,
+            minPlayers: MIN_PLAYERS,
+            players: [...this.players.values()].map(player => ({
+                id: player.id,
+                alive: player.alive,
+                left: Boolean(player.left),
+                hasVoted: this.votes.has(player.id),
+                role: revealAll || player.burned ? player.role : null
+            })),
+            tally: this.phase === PHASES.REVEAL ? this.lastTally : null,
+            lastBurned: this.lastBurned,
+            winner: this.winner
+        };
+    }
+
+    emitState() {
+        this.broadcast('gameState', this.getPublicState());
+    }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Fisher-Yates shuffle (in place)
+ */
+function shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+module.exports = {
+    Game,
+    PHASES,
+    ROLES,
+    MIN_PLAYERS
+};
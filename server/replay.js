@@ -0,0 +1,112 @@
+/**
+ * BURN THE WITCH - Game Replays
+ * =============================
+ * Records one game as a JSON transcript that can be downloaded once the
+ * game is over and played back in the replay viewer (client/replay.html).
+ *
+ * Transcript (version 1):
+ *   {
+ *     format: 'burn-the-witch-replay', version: 1,
+ *     room, startedAt, endedAt, winner,     Winner is 'witch' or 'villager'
+ *     players: [{ id, name, color, role }],
+ *     events: [{ at, type, ...details }],   Oldest first, `at` is an ISO time
+ *     truncated                             True if events hit MAX_EVENTS
+ *   }
+ *
+ * Event types (see Game in game.js for where they come from):
+ *   phase    { phase, round, endsAt }
+ *   vote     { round, voterId, targetId }   Changing a vote records it again
+ *   burn     { round, playerId, role, tally } playerId is null on a tie
+ *   leave    { playerId, role }             A living player left mid-game
+ *   end      { winner }
+ *   message  { message }                    Chat and notices; never whispers
+ *
+ * Roles are in the transcript from the start, so it is only handed out
+ * after the game has ended.
+ */
+
+const REPLAY_FORMAT = 'burn-the-witch-replay';
+const REPLAY_VERSION = 1;
+
+// A long game can't grow the transcript forever; game events still get in
+const MAX_EVENTS = 5000;
+
+// Feed entries that are nobody else's business, or not a message at all
+const SKIPPED_MESSAGES = ['whisper', 'hidden', 'delete', 'deleted'];
+
+/**
+ * A transcript for a game that is starting now
+ *
+ * @param {string} room     Room code
+ * @param {Array} players   [{ id, name, color, role }] seated in the game
+ */
+function createTranscript(room, players, now = Date.now()) {
+    return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        room,
+        startedAt: new Date(now).toISOString(),
+        endedAt: null,
+        winner: null,
+        players: players.map(({ id, name, color, role }) => ({ id, name, color, role })),
+        events: [],
+        truncated: false
+    };
+}
+
+/**
+ * Add a game event (see the list above). The end event closes the transcript.
+ */
+function recordEvent(transcript, type, details = {}, now = Date.now()) {
+    const at = new Date(now).toISOString();
+    transcript.events.push({ at, type, ...details });
+
+    if (type === 'end') {
+        transcript.endedAt = at;
+        transcript.winner = details.winner;
+    }
+}
+
+/**
+ * Add a chat message or notice, as everyone in the room saw it
+ */
+function recordMessage(transcript, message) {
+    if (SKIPPED_MESSAGES.includes(message.type)) return;
+
+    if (transcript.events.length >= MAX_EVENTS) {
+        transcript.truncated = true;
+        return;
+    }
+
+    const { id, type, text, senderId, senderName, senderColor, mentions } = message;
+    transcript.events.push({
+        at: message.timestamp,
+        type: 'message',
+        message: { id, type, text, senderId, senderName, senderColor, mentions }
+    });
+}
+
+/**
+ * Take out a message the host deleted
+ */
+function removeMessage(transcript, messageId) {
+    transcript.events = transcript.events
+        .filter(event => event.type !== 'message' || event.message.id !== messageId);
+}
+
+/**
+ * File name for a download, e.g. burn-the-witch-K7QXM-2025-01-31.json
+ */
+function replayFileName(transcript) {
+    return `burn-the-witch-${transcript.room}-${transcript.startedAt.slice(0, 10)}.json`;
+}
+
+module.exports = {
+    REPLAY_FORMAT,
+    REPLAY_VERSION,
+    createTranscript,
+    recordEvent,
+    recordMessage,
+    removeMessage,
+    replayFileName
+};
@@ -12,135 +12,1418 @@
 // ============================================
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const { Server } = require('socket.io');
 const path = require('path');
+const { generateRoomCode, normalizeRoomCode } = require('../lib/rooms');
+const { isValidToken, createProfile, sanitizeName } = require('../lib/identity');
+const {
+    createChatMessage,
+    createWhisperMessage,
+    createSystemMessage,
+    findByNonce,
+    findMentions,
+    cleanNonce,
+    visibleTo
+} = require('../lib/messages');
+const { validate, createError, ERROR_CODES } = require('../lib/validation');
+const { RateLimiter, createMessageGuard, getClientIp } = require('../lib/ratelimit');
+const {
+    MODERATION_ERRORS,
+    createModerationState,
+    ensureHost,
+    checkJoin,
+    checkHost,
+    checkPost,
+    createSpectatorError,
+    applyModeration,
+    describeModeration,
+    createDeletedPlaceholder,
+    createDeleteEvent,
+    getRoomInfo
+} = require('../lib/moderation');
+const { TYPING_TIMEOUT } = require('../lib/typing');
+const { createClueBoard, addClue, voteClue, pinClue, getPublicBoard } = require('../lib/clues');
+const { createReactions, toggleReaction, getReactionChanges } = require('../lib/reactions');
+const { HISTORY_RETENTION, pageBefore } = require('../lib/history');
+const { runCommand } = require('../lib/commands');
+const { createCluster } = require('../lib/cluster');
+const { createClusterAdapter } = require('./cluster-adapter');
+const { Game } = require('./game');
+const { createTranscript, recordEvent, recordMessage, removeMessage, replayFileName } = require('./replay');
+const { Counter, Gauge, ThroughputMeter, renderMetrics } = require('../lib/metrics');
+const { checkBackends, getProcessStats } = require('../lib/health');
+const { logger, redactText, createRequestId } = require('../lib/logger');
+const { isOriginAllowed, checkOrigin, createInvite, createWatchInvite, isWatchInvite, checkInvite } = require('../lib/access');
 
 // ============================================
-// SERVER INITIALIZATION
+// CONFIGURATION
 // ============================================
-const app = express();
-const server = http.createServer(app);
+const PORT = process.env.PORT || 3000;
 
-// Initialize Socket.IO with CORS configuration
-// This allows connections from any origin (useful for development)
-const io = new Server(server, {
-    cors: {
-        origin: "*",
-        methods: ["GET", "POST"]
-    }
-});
+// Set when running behind a reverse proxy that sets X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
 
-// Server configuration
-const PORT = process.env.PORT || 3000;
+// Bearer token for /admin and /metrics; without one they are switched off
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
 
 // ============================================
-// STATIC FILE SERVING
+// SERVER INITIALIZATION
 // ============================================
-// Serve the client files from the ../client directory
-app.use(express.static(path.join(__dirname, '../client')));
 
-// Route for the main page
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, '../client/index.html'));
-});
+/**
+ * Create a game server: its own Express app, Socket.IO server, rooms and
+ * cluster connection. Several can run side by side in one process; on the
+ * memory cluster they share rooms like separate processes would.
+ *
+ * @param {object} [options]
+ * @param {object} [options.cluster] Cluster backend (default: createCluster())
+ * @param {Function} [options.checkMessage] Flood check for chat messages
+ *   (default: createMessageGuard(), see lib/ratelimit.js)
+ * @returns {{ app, io, cluster, start(port): Promise<number>, stop(): Promise }}
+ */
+function createServer({ cluster = createCluster(), checkMessage = createMessageGuard() } = {}) {
+    const app = express();
+    const server = http.createServer(app);
 
-// ============================================
-// GAME STATE (Prepared for future expansion)
-// ============================================
-// Track connected users (can be expanded for player management)
-const connectedUsers = new Map();
+    // Initialize Socket.IO with CORS configuration: pages from the sites in
+    // ALLOWED_ORIGINS (any site when unset) may connect (see lib/access.js)
+    const io = new Server(server, {
+        cors: {
+            origin: (origin, callback) => callback(null, isOriginAllowed(origin)),
+            methods: ["GET", "POST"]
+        }
+    });
 
-// ============================================
-// SOCKET.IO EVENT HANDLERS
-// ============================================
-io.on('connection', (socket) => {
-    // Log when a new client connects
-    console.log(`✅ User connected: ${socket.id}`);
-
-    // Store the user (can be expanded with player names, rooms, etc.)
-    connectedUsers.set(socket.id, {
-        id: socket.id,
-        connectedAt: new Date().toISOString()
+    // Share rooms and broadcasts with other instances of this server
+    // (CLUSTER_BACKEND, see lib/cluster/index.js)
+    io.adapter(createClusterAdapter(cluster));
+
+    // Structured logs (see lib/logger.js). Socket events log through a child
+    // that adds the event's request id, room and player.
+    const log = logger.child({ instanceId: cluster.instanceId });
+
+    // ============================================
+    // STATIC FILE SERVING
+    // ============================================
+    // Serve the client files from the ../client directory
+    app.use(express.static(path.join(__dirname, '../client')));
+
+    // Route for the main page
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(__dirname, '../client/index.html'));
+    });
+
+    // Transcript of a room's last finished game, for the replay viewer (see replay.js)
+    app.get('/rooms/:code/replay', async (req, res) => {
+        const code = normalizeRoomCode(req.params.code);
+        const accessError = checkOrigin(req.headers) || (code && checkInvite(code, req.query.invite));
+        if (accessError) {
+            return res.status(403).json({ error: accessError.message, code: accessError.code });
+        }
+
+        let replay = null;
+        try {
+            replay = code ? await fetchReplay(code) : null;
+        } catch (error) {
+            log.error('replay fetch failed', { room: code, error });
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+
+        if (!replay) {
+            return res.status(404).json({ error: 'No finished game to replay', code: ERROR_CODES.NOT_FOUND });
+        }
+        res.attachment(replayFileName(replay));
+        res.json(replay);
+    });
+
+    // ============================================
+    // GAME STATE
+    // ============================================
+    // Track players in our rooms by their public id (derived from their secret
+    // token). A player keeps their record - and their seat - across reconnects,
+    // even when they come back through another instance.
+    const connectedUsers = new Map();
+
+    // Rooms owned by this instance, keyed by join code. Each room runs its own
+    // game (see game.js); other instances forward events for it (see CLUSTER ROUTING)
+    const rooms = new Map();
+
+    // How long a disconnected player keeps their seat before they are removed
+    const RECONNECT_GRACE = 60 * 1000;
+
+    // Messages kept per room, for late joiners, paging back and filling gaps
+    const MAX_HISTORY = HISTORY_RETENTION;
+
+    // Flood protection (see lib/ratelimit.js): chat messages per player/IP
+    // (the checkMessage option), and any socket event at all per connection
+    const eventLimiter = new RateLimiter({ capacity: 30, refillPerSecond: 10 });
+    // Commands may repeat (/roll), they just can't flood
+    const checkCommand = createMessageGuard({ duplicateWindowMs: 0 });
+
+    // ============================================
+    // PLAYER IDENTITY
+    // ============================================
+
+    /**
+     * Socket.IO room that reaches every socket of one player, on any instance
+     */
+    function playerChannel(playerId) {
+        return `player:${playerId}`;
+    }
+
+    /**
+     * Cluster channel for events and routes addressed to one instance
+     */
+    function instanceChannel(instanceId) {
+        return `instance:${instanceId}`;
+    }
+
+    /**
+     * Public profile of a player, as sent to other clients
+     */
+    function getProfile(user) {
+        return { id: user.id, name: user.name, color: user.color };
+    }
+
+    // Every connection must come from an allowed site (see lib/access.js)
+    // and present a player token (see lib/identity.js)
+    io.use((socket, next) => {
+        const originError = checkOrigin(socket.handshake.headers);
+        if (originError) {
+            log.warn('connection refused', { code: originError.code, origin: socket.handshake.headers.origin });
+            const error = new Error(originError.message);
+            error.data = { code: originError.code };
+            return next(error);
+        }
+
+        const { token, name } = socket.handshake.auth || {};
+
+        if (!isValidToken(token)) {
+            return next(new Error('Invalid player token'));
+        }
+
+        socket.data.profile = createProfile(token, name);
+        next();
+    });
+
+    // ============================================
+    // ROOM MANAGEMENT
+    // ============================================
+
+    /**
+     * Set up a room under a code this instance has claimed (see claimRoomCode)
+     */
+    function createRoom(code) {
+        const room = {
+            code,
+            createdAt: new Date().toISOString(),
+            members: new Set(),
+            spectators: new Set(), // Watching through a watch link; not members
+            lastMessageId: 0,
+            history: [],
+            // Host, lock, mutes and kicks (see lib/moderation.js)
+            moderation: createModerationState(),
+            clues: createClueBoard(),
+            reactions: createReactions(),
+            // For the admin API (see ADMIN & METRICS)
+            stats: { messages: 0, rateLimitHits: 0, throughput: new ThroughputMeter() },
+            // Transcripts of the game being played and the last one that ended
+            replay: null,
+            lastReplay: null,
+            game: new Game({
+                broadcast: (event, payload) => io.to(code).emit(event, payload),
+                sendTo: (playerId, event, payload) => io.to(playerChannel(playerId)).emit(event, payload),
+                record: (type, details) => recordGameEvent(room, type, details)
+            })
+        };
+        rooms.set(code, room);
+        return room;
+    }
+
+    /**
+     * Add a game event to the room's replay. A new game starts a transcript;
+     * the end of a game makes it the one to download.
+     */
+    function recordGameEvent(room, type, details) {
+        if (type === 'start') {
+            room.replay = createTranscript(room.code, details.players.map(player => ({
+                ...getProfile(connectedUsers.get(player.id)),
+                role: player.role
+            })));
+            return;
+        }
+        if (!room.replay) return;
+
+        recordEvent(room.replay, type, details);
+        if (type === 'end') {
+            room.lastReplay = room.replay;
+            room.replay = null;
+            log.info('replay ready', { room: room.code, winner: details.winner });
+        }
+    }
+
+    /**
+     * Broadcast the number of connected players and spectators, the player
+     * roster and the host/lock state of a room to everyone in it
+     */
+    function emitRoomPresence(room) {
+        const members = [...room.members].map(id => connectedUsers.get(id));
+        const spectators = [...room.spectators].map(id => connectedUsers.get(id));
+
+        io.to(room.code).emit('userCount', members.filter(user => user.connected).length);
+        io.to(room.code).emit('spectatorCount', spectators.filter(user => user.connected).length);
+        io.to(room.code).emit('roster', members.map(user => ({
+            ...getProfile(user),
+            connected: user.connected
+        })));
+        io.to(room.code).emit('roomInfo', getRoomInfo(room.moderation));
+    }
+
+    /**
+     * Send the whole clue board of a room to everyone in it
+     */
+    function emitClueBoard(room) {
+        io.to(room.code).emit('clueBoard', getPublicBoard(room.clues));
+    }
+
+    /**
+     * Give a message the room's next sequence id, remember it,
+     * and send it to everyone in the room. A whisper only reaches its
+     * sender and recipient; the others get a placeholder (see lib/messages.js).
+     */
+    function postMessage(room, message) {
+        message.id = ++room.lastMessageId;
+
+        room.history.push(message);
+        if (room.history.length > MAX_HISTORY) {
+            room.history.shift();
+        }
+        if (room.replay) recordMessage(room.replay, message);
+        countMessage(room, message);
+
+        if (message.type === 'whisper') {
+            const parties = [playerChannel(message.senderId), playerChannel(message.recipientId)];
+            io.to(parties).emit('receiveText', message);
+            io.to(room.code).except(parties).emit('receiveText', visibleTo(message, null));
+        } else {
+            io.to(room.code).emit('receiveText', message);
+        }
+        return message;
+    }
+
+    /**
+     * A page of history as one player may see it
+     */
+    function historyFor(user, messages) {
+        return messages.map(message => visibleTo(message, user.id));
+    }
+
+    /**
+     * Send an event to a player, whichever instance they are connected to
+     */
+    function sendTo(user, event, payload) {
+        io.to(playerChannel(user.id)).emit(event, payload);
+    }
+
+    /**
+     * Tell a client why their action was rejected (see lib/validation.js)
+     */
+    function rejectAction(user, event, error, extra = {}) {
+        const flooding = error.code === ERROR_CODES.RATE_LIMITED || error.code === ERROR_CODES.DUPLICATE_MESSAGE;
+        if (flooding) {
+            countRateLimitHit(user.room, event, error.code);
+        }
+        log[flooding ? 'warn' : 'debug']('action rejected', { room: user.room, playerId: user.id, event, code: error.code });
+        sendTo(user, 'actionError', { event, ...error, ...extra });
+    }
+
+    /**
+     * Get the room a player is currently in (if any)
+     */
+    function getUserRoom(user) {
+        return user && user.room ? rooms.get(user.room) : null;
+    }
+
+    /**
+     * Tell the instance a player is connected to whether they are in a room
+     * here, so it knows where to send their events (see CLUSTER ROUTING)
+     */
+    function sendRoute(user, code, joined) {
+        cluster.publish(instanceChannel(user.gateway), {
+            type: 'route',
+            socketId: user.socketId,
+            room: code,
+            owner: cluster.instanceId,
+            joined
+        });
+    }
+
+    /**
+     * Put a player into a room as a member or a spectator, leaving their
+     * current room first. Rejoining the room they are already in (after a
+     * reconnect) keeps their seat; rejoining it in the other role swaps it.
+     * `watchOnly` players came in on a watch invite and only get that back.
+     */
+    function joinRoom(user, room, spectator = false, watchOnly = false) {
+        const sockets = io.in(playerChannel(user.id));
+
+        if (user.room !== room.code || user.spectator !== spectator) {
+            if (user.room === room.code) {
+                vacateSeat(user, room, `${user.name} is watching now`);
+            } else {
+                leaveRoom(user);
+            }
+            user.room = room.code;
+            user.spectator = spectator;
+
+            if (spectator) {
+                room.spectators.add(user.id);
+                log.info('watching room', { room: room.code, playerId: user.id });
+            } else {
+                room.members.add(user.id);
+                log.info('joined room', { room: room.code, playerId: user.id });
+                postMessage(room, createSystemMessage(room.code, `${user.name} joined`));
+                ensureHost(room.moderation, [...room.members]);
+            }
+        }
+
+        // Once the role is settled; a reconnect brings a socket that isn't in yet
+        user.watchOnly = watchOnly;
+        sockets.socketsJoin(room.code);
+        sendRoute(user, room.code, true);
+        // With INVITE_SECRET set, players get the invites to share (see lib/access.js)
+        sendTo(user, 'roomJoined', {
+            code: room.code,
+            invite: watchOnly ? createWatchInvite(room.code) : createInvite(room.code),
+            watchInvite: createWatchInvite(room.code)
+        });
+        const snapshot = pageBefore(room.history, null);
+        sendTo(user, 'history', {
+            room: room.code,
+            before: null,
+            messages: historyFor(user, snapshot.messages),
+            hasMore: snapshot.hasMore
+        });
+        sendTo(user, 'clueBoard', getPublicBoard(room.clues));
+        sendTo(user, 'reactions', { room: room.code, ...getReactionChanges(room.reactions) });
+        emitRoomPresence(room);
+
+        // Take a seat if the game hasn't started, otherwise watch until the next one.
+        // Spectators only ever get the public state.
+        if (!spectator) room.game.addPlayer(user.id);
+        sendTo(user, 'gameState', room.game.getPublicState());
+        if (!spectator) room.game.sendRole(user.id);
+    }
+
+    /**
+     * Show a player as typing to the rest of their room. Every call restarts
+     * the expiry, so clients keep calling while the input is busy.
+     */
+    function startTyping(user) {
+        const room = getUserRoom(user);
+        if (!room || room.moderation.muted.includes(user.id)) return;
+
+        clearTimeout(user.typingTimer);
+        user.typingTimer = setTimeout(() => stopTyping(user), TYPING_TIMEOUT);
+        user.typing = true;
+
+        io.to(room.code).except(playerChannel(user.id)).emit('userTyping', { id: user.id, name: user.name });
+    }
+
+    /**
+     * Stop showing a player as typing (they sent, went quiet or left)
+     */
+    function stopTyping(user) {
+        clearTimeout(user.typingTimer);
+        user.typingTimer = null;
+        if (!user.typing) return;
+
+        user.typing = false;
+        if (user.room) {
+            io.to(user.room).except(playerChannel(user.id)).emit('userStopTyping', { id: user.id });
+        }
+    }
+
+    /**
+     * Give up a player's place in a room. Spectators go quietly; members
+     * post `notice` and leave the game, and if the host left, the next
+     * member takes over.
+     */
+    function vacateSeat(user, room, notice) {
+        stopTyping(user);
+
+        if (user.spectator) {
+            room.spectators.delete(user.id);
+            return;
+        }
+
+        room.members.delete(user.id);
+        room.game.removePlayer(user.id);
+        if (room.members.size === 0 && room.spectators.size === 0) return;
+
+        postMessage(room, createSystemMessage(room.code, notice));
+        const newHost = ensureHost(room.moderation, [...room.members]);
+        if (newHost) {
+            postMessage(room, createSystemMessage(room.code, `${connectedUsers.get(newHost).name} is now the host`));
+        }
+    }
+
+    /**
+     * Take a player out of their current room (if any), posting `notice`.
+     * Rooms nobody is in, not even spectators, are removed.
+     */
+    function leaveRoom(user, notice = `${user.name} left`) {
+        const room = getUserRoom(user);
+        if (!room) return;
+
+        vacateSeat(user, room, notice);
+        user.room = null;
+        io.in(playerChannel(user.id)).socketsLeave(room.code);
+        sendRoute(user, room.code, false);
+
+        if (room.members.size === 0 && room.spectators.size === 0) {
+            room.game.destroy();
+            rooms.delete(room.code);
+            cluster.releaseRoom(room.code);
+        } else {
+            emitRoomPresence(room);
+        }
+    }
+
+    /**
+     * Drop the record of a player who is no longer in a room here
+     */
+    function forgetUser(user) {
+        clearTimeout(user.leaveTimer);
+        stopTyping(user);
+        connectedUsers.delete(user.id);
+    }
+
+    /**
+     * Carry out a host action in a room. Returns an error or null.
+     */
+    function moderateRoom(room, host, request) {
+        const result = applyModeration(room.moderation, host.id, request, id => room.members.has(id));
+        if (result.error) return result.error;
+
+        const nameOf = id => connectedUsers.get(id).name;
+        const notice = describeModeration(result, nameOf);
+        log.info('moderation', { room: room.code, playerId: host.id, action: result.action, targetId: result.playerId });
+
+        switch (result.action) {
+            case 'kick': {
+                const target = connectedUsers.get(result.playerId);
+                sendTo(target, 'kicked', { room: room.code });
+                leaveRoom(target, notice);
+                forgetUser(target);
+                return null;
+            }
+            case 'deleteMessage': {
+                const index = room.history.findIndex(message => message.id === result.messageId);
+                const target = room.history[index];
+                if (!target || target.type !== 'chat') {
+                    return createError(MODERATION_ERRORS.NOT_FOUND, 'That message is gone');
+                }
+                room.history[index] = createDeletedPlaceholder(target);
+                [room.replay, room.lastReplay].forEach(replay => replay && removeMessage(replay, target.id));
+                postMessage(room, createDeleteEvent(room.code, target.id));
+                return null;
+            }
+            default:
+                if (result.action === 'mute') stopTyping(connectedUsers.get(result.playerId));
+                postMessage(room, createSystemMessage(room.code, notice));
+                emitRoomPresence(room);
+                return null;
+        }
+    }
+
+    // ============================================
+    // ROOM EVENT HANDLERS
+    // ============================================
+    // These run on the instance that owns the player's room, whichever
+    // instance the player is connected to. Each gets the player's record here,
+    // the event payload, and { ip } of their connection.
+    const EVENT_HANDLERS = {
+        // -------------------------------------------
+        // Display name changes (the new name comes with every event)
+        // -------------------------------------------
+        setName: (user) => {
+            const room = getUserRoom(user);
+            if (room) emitRoomPresence(room);
+        },
+
+        // -------------------------------------------
+        // Room creation and joining
+        // -------------------------------------------
+        createRoom: (user, { code }) => {
+            joinRoom(user, createRoom(code));
+        },
+
+        joinRoom: (user, data) => {
+            const { value } = validate('joinRoom', data);
+            const code = normalizeRoomCode(value.code);
+            const room = rooms.get(code);
+
+            if (!room) {
+                sendTo(user, 'roomError', { code: value.code, message: 'Room not found' });
+                return sendRoute(user, code, false);
+            }
+
+            const member = room.members.has(user.id);
+            const watching = room.spectators.has(user.id);
+            // A watch invite only ever lets its holder watch; coming back
+            // without an invite keeps what the last one allowed
+            const watchOnly = value.invite ? isWatchInvite(value.invite) : watching && Boolean(user.watchOnly);
+            const spectate = Boolean(value.spectate) || watchOnly;
+
+            // Anyone not in the room yet needs an invite when invites are on,
+            // and so does a spectator taking a seat
+            const inRoom = member || (spectate && watching);
+            // Members coming back after a reconnect, and spectators, are let in even when locked
+            const joinError = (!inRoom && checkInvite(code, value.invite)) ||
+                checkJoin(room.moderation, user.id, member || spectate);
+            if (joinError) {
+                sendTo(user, 'roomError', { code: value.code, reason: joinError.code, message: joinError.message });
+                // A spectator refused a seat is still watching
+                return sendRoute(user, code, user.room === code);
+            }
+
+            joinRoom(user, room, spectate, watchOnly);
+        },
+
+        leaveRoom: (user) => {
+            leaveRoom(user);
+            sendTo(user, 'roomLeft');
+        },
+
+        // The player went to a room on another instance
+        departRoom: (user) => {
+            leaveRoom(user);
+        },
+
+        // -------------------------------------------
+        // Host moderation
+        // -------------------------------------------
+        moderate: (user, data) => {
+            const room = getUserRoom(user);
+            if (!room) return;
+
+            const { value, error } = validate('moderate', data);
+            if (error) return rejectAction(user, 'moderate', error);
+
+            const moderationError = moderateRoom(room, user, value);
+            if (moderationError) rejectAction(user, 'moderate', moderationError);
+        },
+
+        // -------------------------------------------
+        // Game actions
+        // -------------------------------------------
+        startGame: (user, data, { log }) => {
+            const room = getUserRoom(user);
+            if (!room) return;
+
+            const error = room.game.start(user.id);
+            if (error) {
+                sendTo(user, 'gameError', { message: error });
+            } else {
+                log.info('game started', { players: room.game.players.size });
+            }
+        },
+
+        castVote: (user, data) => {
+            const room = getUserRoom(user);
+            if (!room) return;
+
+            const { value, error: payloadError } = validate('castVote', data);
+            if (payloadError) return rejectAction(user, 'castVote', payloadError);
+
+            const error = room.game.castVote(user.id, value.targetId);
+            if (error) {
+                sendTo(user, 'gameError', { message: error });
+            }
+        },
+
+        // -------------------------------------------
+        // Incoming text messages
+        // -------------------------------------------
+        sendText: (user, data, { ip, log }) => {
+            // Messages only go to the sender's room
+            const room = getUserRoom(user);
+            if (!room) return;
+
+            // Rejections carry the nonce so the client can mark that message as failed
+            const nonce = cleanNonce(data && data.nonce);
+            const { value, error } = validate('sendText', data);
+            if (error) return rejectAction(user, 'sendText', error, { nonce });
+
+            // A resend of something we already posted just gets confirmed again
+            const alreadySent = findByNonce(room.history, user.id, nonce);
+            if (alreadySent) return sendTo(user, 'receiveText', alreadySent);
+
+            const muteError = checkPost(room.moderation, user.id);
+            if (muteError) return rejectAction(user, 'sendText', muteError, { nonce });
+
+            // Whispers go to another player in the same room
+            const recipient = value.to && room.members.has(value.to) ? connectedUsers.get(value.to) : null;
+            if (value.to && (!recipient || recipient.id === user.id)) {
+                return rejectAction(user, 'sendText', createError(ERROR_CODES.NOT_FOUND, 'Nobody by that name is in the room', {
+                    field: 'to'
+                }), { nonce });
+            }
+
+            const limitError = checkMessage({ playerId: user.id, ip, text: value.text });
+            if (limitError) return rejectAction(user, 'sendText', limitError, { nonce });
+
+            stopTyping(user);
+
+            // Create the message object with metadata (see lib/messages.js)
+            let message;
+            if (recipient) {
+                message = createWhisperMessage(room.code, user, getProfile(recipient), value.text, nonce);
+            } else {
+                const players = [...room.members].map(id => connectedUsers.get(id));
+                message = createChatMessage(room.code, user, value.text, nonce, findMentions(value.text, players));
+            }
+
+            // Send the message to the room (including the sender)
+            postMessage(room, message);
+            log.info(recipient ? 'whisper posted' : 'message posted', {
+                messageId: message.id,
+                recipientId: recipient ? recipient.id : undefined,
+                text: redactText(value.text)
+            });
+        },
+
+        // -------------------------------------------
+        // Chat commands (see lib/commands.js)
+        // -------------------------------------------
+        command: async (user, data, { ip, log }) => {
+            const room = getUserRoom(user);
+            if (!room) return;
+
+            const { value, error } = validate('command', data);
+            if (error) return rejectAction(user, 'command', error);
+
+            const limitError = checkCommand({ playerId: user.id, ip, text: value.text });
+            if (limitError) return rejectAction(user, 'command', limitError);
+
+            const result = await runCommand(value.text, {
+                player: getProfile(user),
+                players: [...room.members].map(id => getProfile(connectedUsers.get(id))),
+                moderation: room.moderation,
+                castVote: (targetId) => {
+                    const voteError = room.game.castVote(user.id, targetId);
+                    return voteError ? createError(ERROR_CODES.INVALID_PAYLOAD, voteError) : null;
+                },
+                moderate: (action, playerId) => moderateRoom(room, user, { action, playerId })
+            });
+
+            if (result.error) return rejectAction(user, 'command', result.error);
+
+            log.info('command ran', { command: value.text.split(/\s/)[0].toLowerCase() });
+            if (result.notice) {
+                postMessage(room, createSystemMessage(room.code, result.notice));
+            }
+            if (result.reply) {
+                sendTo(user, 'commandReply', { room: room.code, text: result.reply });
+            }
+        },
+
+        // -------------------------------------------
+        // Emoji reactions (see lib/reactions.js)
+        // -------------------------------------------
+        react: (user, data) => {
+            const room = getUserRoom(user);
+            if (!room) return;
+
+            const { value, error } = validate('react', data);
+            if (error) return rejectAction(user, 'react', error);
+
+            const message = room.history.find(existing => existing.id === value.messageId) || null;
+            const reactionError = checkPost(room.moderation, user.id) ||
+                toggleReaction(room.reactions, getProfile(user), message, value.emoji);
+            if (reactionError) return rejectAction(user, 'react', reactionError);
+
+            // Just the message that changed
+            io.to(room.code).emit('reactions', {
+                room: room.code,
+                ...getReactionChanges(room.reactions, room.reactions.version - 1)
+            });
+        },
+
+        // -------------------------------------------
+        // The clue board (see lib/clues.js)
+        // -------------------------------------------
+        postClue: (user, data, { ip, log }) => {
+            const room = getUserRoom(user);
+            if (!room) return;
+
+            const { value, error } = validate('postClue', data);
+            if (error) return rejectAction(user, 'postClue', error);
+
+            const refusal = checkPost(room.moderation, user.id) ||
+                checkMessage({ playerId: user.id, ip, text: value.text });
+            if (refusal) return rejectAction(user, 'postClue', refusal);
+
+            const findPlayer = id => (room.members.has(id) ? getProfile(connectedUsers.get(id)) : null);
+            const result = addClue(room.clues, getProfile(user), value, findPlayer);
+            if (result.error) return rejectAction(user, 'postClue', result.error);
+
+            log.info('clue posted', { text: redactText(value.text) });
+            emitClueBoard(room);
+        },
+
+        voteClue: (user, data) => {
+            const room = getUserRoom(user);
+            if (!room) return;
+
+            const { value, error } = validate('voteClue', data);
+            if (error) return rejectAction(user, 'voteClue', error);
+
+            const voteError = voteClue(room.clues, user.id, value.clueId, value.vote);
+            if (voteError) return rejectAction(user, 'voteClue', voteError);
+            emitClueBoard(room);
+        },
+
+        pinClue: (user, data) => {
+            const room = getUserRoom(user);
+            if (!room) return;
+
+            const { value, error } = validate('pinClue', data);
+            if (error) return rejectAction(user, 'pinClue', error);
+
+            // Pins are for everyone, so only the host sets them
+            const pinError = checkHost(room.moderation, user.id) || pinClue(room.clues, value.clueId, value.pinned);
+            if (pinError) return rejectAction(user, 'pinClue', pinError);
+            emitClueBoard(room);
+        },
+
+        // -------------------------------------------
+        // Requests for missed messages
+        // -------------------------------------------
+        resync: (user, data) => {
+            const room = getUserRoom(user);
+            if (!room) return;
+
+            const { value, error } = validate('resync', data);
+            if (error) return rejectAction(user, 'resync', error);
+
+            const since = value.since || 0;
+            sendTo(user, 'resync', {
+                room: room.code,
+                messages: historyFor(user, room.history.filter(message => message.id > since))
+            });
+        },
+
+        // -------------------------------------------
+        // Requests for older history (scrolling up)
+        // -------------------------------------------
+        history: (user, data) => {
+            const room = getUserRoom(user);
+            if (!room) return;
+
+            const { value, error } = validate('history', data);
+            if (error) return rejectAction(user, 'history', error);
+
+            const before = value.before || null;
+            const page = pageBefore(room.history, before, value.limit);
+            sendTo(user, 'history', {
+                room: room.code,
+                before,
+                messages: historyFor(user, page.messages),
+                hasMore: page.hasMore
+            });
+        },
+
+        // -------------------------------------------
+        // Typing indicator (expires on its own, see lib/typing.js)
+        // -------------------------------------------
+        typing: (user) => startTyping(user),
+
+        stopTyping: (user) => stopTyping(user),
+
+        // -------------------------------------------
+        // Disconnection
+        // -------------------------------------------
+        disconnect: (user) => {
+            user.connected = false;
+            stopTyping(user);
+
+            const room = getUserRoom(user);
+            if (!room) return;
+
+            // Keep the seat for a while so a refresh or network blip doesn't cost it
+            emitRoomPresence(room);
+            user.leaveTimer = setTimeout(() => {
+                log.info('seat given up', { room: user.room, playerId: user.id });
+                leaveRoom(user);
+                forgetUser(user);
+            }, RECONNECT_GRACE);
+        }
+    };
+
+    // Handled by the owner of a room, but never sent by clients
+    const INTERNAL_EVENTS = new Set(['departRoom', 'disconnect']);
+
+    // All a spectator may do; anything else is refused (see lib/moderation.js)
+    const SPECTATOR_EVENTS = new Set([
+        'setName', 'createRoom', 'joinRoom', 'leaveRoom', 'departRoom',
+        'resync', 'history', 'stopTyping', 'disconnect'
+    ]);
+
+    /**
+     * Run an event forwarded by the instance a player is connected to
+     * (possibly this one). Players only have a record here while they are
+     * in one of our rooms.
+     */
+    async function handleEvent({ event, data, socketId, gateway, profile, ip, requestId }) {
+        if (!Object.prototype.hasOwnProperty.call(EVENT_HANDLERS, event)) return;
+
+        let user = connectedUsers.get(profile.id);
+
+        if (event === 'disconnect') {
+            // Ignore connections that were already replaced by a newer one
+            if (user && user.socketId === socketId) EVENT_HANDLERS.disconnect(user);
+            return;
+        }
+
+        if (!user) {
+            if (event !== 'createRoom' && event !== 'joinRoom') return;
+
+            user = {
+                ...profile,
+                socketId,
+                gateway,
+                room: null,
+                spectator: false,
+                watchOnly: false, // In on a watch invite (see joinRoom)
+                connected: true,
+                leaveTimer: null,
+                typing: false,
+                typingTimer: null,
+                connectedAt: new Date().toISOString()
+            };
+            connectedUsers.set(user.id, user);
+        } else if (user.socketId !== socketId) {
+            // A returning player takes their record (and seat) back
+            log.info('player reconnected', { requestId, room: user.room, playerId: user.id });
+            clearTimeout(user.leaveTimer);
+            user.leaveTimer = null;
+            user.socketId = socketId;
+            user.gateway = gateway;
+            user.connected = true;
+        }
+        user.name = profile.name;
+
+        if (user.spectator && !SPECTATOR_EVENTS.has(event)) {
+            // Carry the nonce so a queued message is marked as failed, not resent
+            const nonce = cleanNonce(data && data.nonce);
+            return rejectAction(user, event, createSpectatorError(), nonce ? { nonce } : {});
+        }
+
+        const eventLog = log.child({ requestId, event, room: user.room || undefined, playerId: user.id });
+        try {
+            await EVENT_HANDLERS[event](user, data, { ip, log: eventLog });
+        } finally {
+            if (!user.room && connectedUsers.get(user.id) === user) forgetUser(user);
+        }
+    }
+
+    // ============================================
+    // CLUSTER ROUTING
+    // ============================================
+    // Any instance accepts connections. Each connection has a session that
+    // remembers which instance owns its room; room events are forwarded there
+    // and broadcasts come back through the cluster adapter. Joins wait for the
+    // owner's answer, so later events never reach the wrong room.
+
+    // Connections to this instance, by socket id
+    const sessions = new Map();
+
+    // How long a join waits for the room's owner to answer
+    const ROUTE_TIMEOUT = 5 * 1000;
+
+    cluster.subscribe(instanceChannel(cluster.instanceId), (message) => {
+        if (message.type === 'event') {
+            handleEvent(message).catch(error => log.error('event failed', {
+                requestId: message.requestId,
+                event: message.event,
+                playerId: message.profile && message.profile.id,
+                error
+            }));
+        } else if (message.type === 'route') {
+            updateRoute(message);
+        } else if (message.type === 'replayRequest') {
+            const room = rooms.get(message.room);
+            cluster.publish(instanceChannel(message.replyTo), {
+                type: 'replayResponse',
+                requestId: message.requestId,
+                replay: room ? room.lastReplay : null
+            }).catch(error => log.error('replay request failed', { room: message.room, error }));
+        } else if (message.type === 'replayResponse') {
+            const answer = replayRequests.get(message.requestId);
+            if (answer) answer(message.replay);
+        }
     });
 
-    // Broadcast the number of connected users to all clients
-    io.emit('userCount', connectedUsers.size);
-
-    // -------------------------------------------
-    // Handle incoming text messages
-    // -------------------------------------------
-    socket.on('sendText', (data) => {
-        console.log(`📨 Message from ${socket.id}: ${data.text}`);
-
-        // Create the message object with metadata
-        const message = {
-            id: Date.now(),                    // Unique message ID
-            text: data.text,                   // The actual message content
-            senderId: socket.id,               // Who sent it
-            timestamp: new Date().toISOString() // When it was sent
+    // Replay downloads waiting on another instance, by request id
+    const replayRequests = new Map();
+    let nextReplayRequest = 1;
+
+    /**
+     * The last finished game of a room, from whichever instance owns it
+     */
+    async function fetchReplay(code) {
+        const room = rooms.get(code);
+        if (room) return room.lastReplay;
+
+        const owner = await cluster.getRoomOwner(code);
+        if (!owner || owner === cluster.instanceId) return null;
+
+        const requestId = nextReplayRequest++;
+        return new Promise((resolve) => {
+            const finish = (replay) => {
+                clearTimeout(timer);
+                replayRequests.delete(requestId);
+                resolve(replay || null);
+            };
+            const timer = setTimeout(() => finish(null), ROUTE_TIMEOUT);
+            replayRequests.set(requestId, finish);
+
+            cluster.publish(instanceChannel(owner), {
+                type: 'replayRequest',
+                room: code,
+                requestId,
+                replyTo: cluster.instanceId
+            }).catch(() => finish(null));
+        });
+    }
+
+    /**
+     * Claim an unused join code for a room on this instance
+     */
+    async function claimRoomCode() {
+        let code = generateRoomCode();
+        while (!(await cluster.claimRoom(code))) {
+            code = generateRoomCode();
+        }
+        return code;
+    }
+
+    /**
+     * Send an event to the instance that owns the player's room
+     */
+    function forwardEvent(session, owner, event, data) {
+        return cluster.publish(instanceChannel(owner), {
+            type: 'event',
+            event,
+            data,
+            socketId: session.socketId,
+            gateway: cluster.instanceId,
+            profile: session.profile,
+            ip: session.ip,
+            requestId: session.requestId
+        });
+    }
+
+    /**
+     * An owner told us whether one of our connections is in a room there
+     */
+    function updateRoute({ socketId, room, owner, joined }) {
+        const session = sessions.get(socketId);
+        if (!session) return;
+
+        if (joined) {
+            session.route = { room, owner };
+        } else if (session.route && session.route.room === room) {
+            session.route = null;
+        }
+
+        if (session.pendingJoin && session.pendingJoin.room === room) {
+            session.pendingJoin.answer();
+        }
+    }
+
+    /**
+     * Create or join a room on its owner and wait for the answer.
+     * Moving to a room on another instance leaves the old one there.
+     */
+    async function enterRoom(socket, session, owner, event, data, code) {
+        const previous = session.route;
+
+        const answered = await new Promise((resolve) => {
+            const timer = setTimeout(() => resolve(false), ROUTE_TIMEOUT);
+            session.pendingJoin = {
+                room: code,
+                answer: () => {
+                    clearTimeout(timer);
+                    resolve(true);
+                }
+            };
+            forwardEvent(session, owner, event, data).catch(() => resolve(false));
+        });
+        session.pendingJoin = null;
+
+        if (!answered) {
+            // The owner went away without releasing the room
+            socket.emit('roomError', { code, message: 'Room not found' });
+            return;
+        }
+
+        const { route } = session;
+        if (previous && route && route.room !== previous.room && route.owner !== previous.owner) {
+            await forwardEvent(session, previous.owner, 'departRoom');
+        }
+    }
+
+    /**
+     * Handle one event from a client: the few that need no room here,
+     * the rest on the owner of the player's room
+     */
+    async function routeEvent(socket, session, event, data) {
+        switch (event) {
+            case 'setName': {
+                const { value, error } = validate('setName', data);
+                if (error) return socket.emit('actionError', { event, ...error });
+
+                const name = sanitizeName(value.name);
+                if (!name) return;
+
+                session.profile = { ...session.profile, name };
+                socket.emit('welcome', session.profile);
+                if (session.route) await forwardEvent(session, session.route.owner, 'setName');
+                return;
+            }
+
+            case 'createRoom': {
+                const code = await claimRoomCode();
+                return enterRoom(socket, session, cluster.instanceId, 'createRoom', { code }, code);
+            }
+
+            case 'joinRoom': {
+                const { value, error } = validate('joinRoom', data);
+                if (error) return socket.emit('actionError', { event, ...error });
+
+                const code = normalizeRoomCode(value.code);
+                const owner = code && await cluster.getRoomOwner(code);
+                if (!owner) {
+                    socket.emit('roomError', { code: value.code, message: 'Room not found' });
+                    return;
+                }
+                return enterRoom(socket, session, owner, 'joinRoom', data, code);
+            }
+
+            case 'leaveRoom':
+                if (!session.route) return socket.emit('roomLeft');
+                return forwardEvent(session, session.route.owner, 'leaveRoom');
+
+            default: {
+                const known = Object.prototype.hasOwnProperty.call(EVENT_HANDLERS, event) && !INTERNAL_EVENTS.has(event);
+                if (known && session.route) {
+                    return forwardEvent(session, session.route.owner, event, data);
+                }
+            }
+        }
+    }
+
+    // ============================================
+    // SOCKET.IO CONNECTIONS
+    // ============================================
+    io.on('connection', (socket) => {
+        const profile = socket.data.profile;
+        log.info('player connected', { playerId: profile.id, socketId: socket.id });
+
+        // Only one tab per player: older connections, on any instance, are closed
+        const previous = io.in(playerChannel(profile.id)).except(socket.id);
+        previous.emit('sessionReplaced');
+        previous.disconnectSockets(true);
+
+        socket.join(playerChannel(profile.id));
+        socket.emit('welcome', profile);
+
+        const session = {
+            socketId: socket.id,
+            profile,
+            ip: getClientIp(socket.handshake.headers, socket.handshake.address, TRUST_PROXY),
+            route: null,       // { room, owner } once in a room
+            pendingJoin: null,
+            requestId: null,   // Of the event being routed (see lib/logger.js)
+            queue: Promise.resolve()
         };
+        sessions.set(socket.id, session);
 
-        // Broadcast the message to ALL connected clients (including sender)
-        // For a game, you might want to use socket.broadcast.emit() 
-        // to exclude the sender
-        io.emit('receiveText', message);
+        // Events run one at a time, in the order they arrived
+        const enqueue = (task) => {
+            session.queue = session.queue.then(task).catch(error => log.error('event routing failed', {
+                requestId: session.requestId,
+                playerId: profile.id,
+                error
+            }));
+        };
+
+        // Drop events from connections that flood the server
+        socket.use(([event], next) => {
+            const result = eventLimiter.take(socket.id);
+            if (!result.allowed) {
+                countRateLimitHit(session.route && session.route.room, event, ERROR_CODES.RATE_LIMITED);
+                socket.emit('actionError', {
+                    event,
+                    ...createError(ERROR_CODES.RATE_LIMITED, 'Slow down', { retryAfter: result.retryAfter })
+                });
+                return;
+            }
+            next();
+        });
+
+        // Each event gets a request id, which goes with it to the room's owner
+        socket.onAny((event, data) => enqueue(() => {
+            session.requestId = createRequestId();
+            return routeEvent(socket, session, event, data);
+        }));
+
+        socket.on('disconnect', () => {
+            log.info('player disconnected', { playerId: profile.id, socketId: socket.id });
+            sessions.delete(socket.id);
+
+            enqueue(() => {
+                session.requestId = createRequestId();
+                return session.route && forwardEvent(session, session.route.owner, 'disconnect');
+            });
+        });
     });
 
-    // -------------------------------------------
-    // Handle typing indicator (optional, game-ready)
-    // -------------------------------------------
-    socket.on('typing', () => {
-        socket.broadcast.emit('userTyping', { id: socket.id });
+    // ============================================
+    // ADMIN & METRICS
+    // ============================================
+    // Liveness and readiness for load balancers, and for whoever runs a game
+    // night: rooms, players, message throughput and rate-limit hits. Each
+    // instance reports on its own rooms and connections, so scrape them all.
+    //
+    //   GET /healthz        The process is up (no auth)
+    //   GET /readyz         The cluster backend answers; 503 if not (no auth)
+    //   GET /metrics        Prometheus text format           (admin token)
+    //   GET /admin/stats    Process and traffic totals       (admin token)
+    //   GET /admin/rooms    Every room on this instance      (admin token)
+    //
+    // Admin routes take `Authorization: Bearer <ADMIN_TOKEN>`.
+
+    // Player messages over the last minute, on this instance
+    const messageThroughput = new ThroughputMeter();
+
+    const messagesTotal = new Counter('btw_messages_total', 'Chat messages and whispers posted');
+    const rateLimitHits = new Counter('btw_rate_limit_hits_total', 'Events refused for flooding or repeating');
+
+    const METRICS = [
+        messagesTotal,
+        rateLimitHits,
+        new Gauge('btw_rooms', 'Rooms owned by this instance', () => rooms.size),
+        new Gauge('btw_connections', 'Socket connections to this instance', () => sessions.size),
+        new Gauge('btw_players', 'Connected players in rooms on this instance', () => {
+            const totals = countPeople();
+            return [
+                { labels: { role: 'player' }, value: totals.players },
+                { labels: { role: 'spectator' }, value: totals.spectators }
+            ];
+        }),
+        new Gauge('btw_games', 'Rooms by game phase', () => {
+            const phases = new Map();
+            rooms.forEach(room => phases.set(room.game.phase, (phases.get(room.game.phase) || 0) + 1));
+            return [...phases].map(([phase, value]) => ({ labels: { phase }, value }));
+        }),
+        new Gauge('process_uptime_seconds', 'Seconds since the process started', () => process.uptime()),
+        new Gauge('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss),
+        new Gauge('nodejs_heap_used_bytes', 'V8 heap in use', () => process.memoryUsage().heapUsed)
+    ];
+
+    /**
+     * Count a message a player posted (notices don't count)
+     */
+    function countMessage(room, message) {
+        if (message.type !== 'chat' && message.type !== 'whisper') return;
+
+        messagesTotal.inc({ type: message.type });
+        messageThroughput.mark();
+        room.stats.messages++;
+        room.stats.throughput.mark();
+    }
+
+    /**
+     * Count an event refused by flood protection, against its room if we own it
+     */
+    function countRateLimitHit(code, event, reason) {
+        rateLimitHits.inc({ event, reason });
+
+        const room = code ? rooms.get(code) : null;
+        if (room) room.stats.rateLimitHits++;
+    }
+
+    /**
+     * Connected players and spectators in a room
+     */
+    function countConnected(ids) {
+        return [...ids].filter(id => {
+            const user = connectedUsers.get(id);
+            return user && user.connected;
+        }).length;
+    }
+
+    function countPeople() {
+        let players = 0;
+        let spectators = 0;
+        rooms.forEach((room) => {
+            players += countConnected(room.members);
+            spectators += countConnected(room.spectators);
+        });
+        return { players, spectators };
+    }
+
+    /**
+     * What the admin API shows about a room
+     */
+    function describeRoom(room) {
+        return {
+            code: room.code,
+            createdAt: room.createdAt,
+            players: countConnected(room.members),
+            seats: room.members.size,
+            spectators: countConnected(room.spectators),
+            hostId: room.moderation.hostId,
+            locked: room.moderation.locked,
+            phase: room.game.phase,
+            round: room.game.round,
+            messages: room.stats.messages,
+            messagesPerMinute: room.stats.throughput.count(),
+            rateLimitHits: room.stats.rateLimitHits
+        };
+    }
+
+    /**
+     * Compare tokens without leaking how much of them matched
+     */
+    function tokensMatch(given, expected) {
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(given), digest(expected));
+    }
+
+    /**
+     * Let a request through only with the admin token
+     */
+    function requireAdmin(req, res, next) {
+        if (!ADMIN_TOKEN) {
+            return res.status(404).json({ error: 'The admin API is off (set ADMIN_TOKEN)', code: ERROR_CODES.NOT_FOUND });
+        }
+
+        const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+        if (!match || !tokensMatch(match[1], ADMIN_TOKEN)) {
+            res.set('WWW-Authenticate', 'Bearer realm="admin"');
+            return res.status(401).json({ error: 'Admin token required', code: ERROR_CODES.UNAUTHORIZED });
+        }
+        next();
+    }
+
+    app.get('/healthz', (req, res) => {
+        res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
     });
 
-    socket.on('stopTyping', () => {
-        socket.broadcast.emit('userStopTyping', { id: socket.id });
+    app.get('/readyz', async (req, res) => {
+        const { ready, checks } = await checkBackends({ cluster });
+        res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', checks });
     });
 
-    // -------------------------------------------
-    // Handle disconnection
-    // -------------------------------------------
-    socket.on('disconnect', () => {
-        console.log(`❌ User disconnected: ${socket.id}`);
+    app.get('/metrics', requireAdmin, (req, res) => {
+        res.type('text/plain; version=0.0.4').send(renderMetrics(METRICS));
+    });
 
-        // Remove user from tracking
-        connectedUsers.delete(socket.id);
+    app.get('/admin/stats', requireAdmin, (req, res) => {
+        res.json({
+            instanceId: cluster.instanceId,
+            ...getProcessStats(),
+            connections: sessions.size,
+            rooms: rooms.size,
+            ...countPeople(),
+            messages: { total: messagesTotal.total(), perMinute: messageThroughput.count() },
+            rateLimitHits: rateLimitHits.total()
+        });
+    });
 
-        // Update all clients with new user count
-        io.emit('userCount', connectedUsers.size);
+    app.get('/admin/rooms', requireAdmin, (req, res) => {
+        res.json({ rooms: [...rooms.values()].map(describeRoom) });
     });
-});
 
-// ============================================
-// START THE SERVER (for local development)
-// ============================================
-if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
-    server.listen(PORT, () => {
+    // ============================================
+    // START AND STOP
+    // ============================================
+
+    /**
+     * Start listening. Port 0 picks a free port (handy for tests).
+     * Resolves to the port in use.
+     */
+    function start(port = PORT) {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, () => {
+                server.off('error', reject);
+                resolve(server.address().port);
+            });
+        });
+    }
+
+    /**
+     * Close every connection and drop all rooms, players and their timers.
+     * Players in our rooms who are connected to another instance are told
+     * the room closed, and that instance stops sending their events here.
+     */
+    async function stop() {
+        rooms.forEach((room) => {
+            [...room.members, ...room.spectators].forEach((id) => {
+                const user = connectedUsers.get(id);
+                sendTo(user, 'roomError', { code: room.code, message: 'This room has closed' });
+                sendRoute(user, room.code, false);
+            });
+            room.game.destroy();
+        });
+        rooms.clear();
+        connectedUsers.forEach(user => forgetUser(user));
+
+        await new Promise(resolve => io.close(() => resolve()));
+        await cluster.close();
+    }
+
+    return { app, io, cluster, start, stop };
+}
+
+// Run directly (npm start) for local development
+if (require.main === module && process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
+    const instance = createServer();
+
+    instance.start().then((port) => {
         console.log('');
         console.log('╔════════════════════════════════════════════╗');
         console.log('║      TEXT SYNC GAME - Server Running       ║');
         console.log('╠════════════════════════════════════════════╣');
-        console.log(`║  🌐 Local:   http://localhost:${PORT}          ║`);
+        console.log(`║  🌐 Local:   http://localhost:${port}          ║`);
         console.log(`║  📡 Status:  Ready for connections         ║`);
         console.log('╚════════════════════════════════════════════╝');
         console.log('');
-        console.log('Open the URL in multiple browser tabs to test real-time sync!');
+        // Tabs of one browser share a player token, so a second tab takes over the session
+        console.log('To test real-time sync, open the URL in a private window or a');
+        console.log('second browser profile - another tab takes over the first one.');
         console.log('');
     });
-}
 
-// ============================================
-// GRACEFUL SHUTDOWN (Good practice)
-// ============================================
-process.on('SIGTERM', () => {
-    console.log('Shutting down server...');
-    server.close(() => {
-        console.log('Server closed.');
+    // Graceful shutdown: hand the rooms back to the cluster on the way out
+    process.on('SIGTERM', async () => {
+        logger.info('shutting down');
+        await instance.stop();
+        logger.info('server closed');
         process.exit(0);
     });
-});
+}
 
 // ============================================
-// EXPORT FOR VERCEL
+// EXPORT (for the tests, and to run several instances in one process)
 // ============================================
-module.exports = app;
+module.exports = {
+    createServer
+};
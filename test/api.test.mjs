@@ -0,0 +1,678 @@
+/**
+ * Serverless handlers (api/), called with mock req/res objects
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import messages from '../api/messages.js';
+import status from '../api/status.js';
+import rooms from '../api/rooms.js';
+import players from '../api/players.js';
+import presence from '../api/presence.js';
+import clues from '../api/clues.js';
+import { generateRoomCode } from '../lib/rooms.js';
+import { createChatMessage } from '../lib/messages.js';
+import { HISTORY_RETENTION, HISTORY_PAGE_SIZE, MAX_PAGE_SIZE, appendMessage } from '../lib/history.js';
+import { getStorage } from '../lib/storage/index.js';
+import { createInvite, createWatchInvite } from '../lib/access.js';
+import { createPlayer, callHandler, openStream, withEnv } from './helpers.js';
+
+// Streams end on their own after this long (read when api/stream.js loads)
+process.env.STREAM_DURATION_MS = '1000';
+const { default: stream } = await import('../api/stream.js');
+
+// Polls identify players with these headers (see api/messages.js)
+function playerHeaders(player) {
+    return { 'x-player-token': player.token, 'x-player-name': player.name };
+}
+
+function post(room, body) {
+    return callHandler(messages, { method: 'POST', query: { room }, body });
+}
+
+// Fill a room's history without going through the flood protection
+async function seedChat(room, player, count) {
+    for (let i = 1; i <= count; i++) {
+        await appendMessage(getStorage(), room, createChatMessage(room, player, `Message ${i}`));
+    }
+}
+
+function poll(room, player, query = {}) {
+    return callHandler(messages, {
+        query: { room, ...query },
+        headers: player ? playerHeaders(player) : {}
+    });
+}
+
+describe('api/status', () => {
+    it('reports that the API is online', async () => {
+        const { status: code, body, headers } = await callHandler(status);
+
+        assert.equal(code, 200);
+        assert.equal(body.status, 'online');
+        assert.ok(!Number.isNaN(Date.parse(body.timestamp)));
+        assert.equal(headers['access-control-allow-origin'], '*');
+    });
+
+    it('checks the storage backend', async () => {
+        const { body } = await callHandler(status);
+
+        assert.equal(body.checks.storage.status, 'ok');
+        assert.equal(typeof body.uptime, 'number');
+        assert.ok(body.memory.heapUsed > 0);
+    });
+});
+
+describe('api/players', () => {
+    it('returns the public profile for a token, with a request id', async () => {
+        const alice = createPlayer('Alice');
+        const { status: code, body, headers } = await callHandler(players, {
+            method: 'POST',
+            headers: { 'x-request-id': 'req-456' },
+            body: { token: alice.token, name: alice.name }
+        });
+
+        assert.equal(code, 200);
+        assert.equal(body.player.id, alice.id);
+        assert.equal(headers['x-request-id'], 'req-456');
+    });
+});
+
+describe('api/messages', () => {
+    before(() => {
+        // Keep history in this process, whatever the environment says
+        process.env.STORAGE_BACKEND = 'memory';
+    });
+
+    it('answers CORS preflight requests', async () => {
+        const { status: code, headers } = await callHandler(messages, { method: 'OPTIONS', query: { room: generateRoomCode() } });
+
+        assert.equal(code, 200);
+        assert.match(headers['access-control-allow-headers'], /X-Player-Token/);
+    });
+
+    it('rejects requests without a valid room', async () => {
+        const { status: code, body } = await poll('not a room!');
+
+        assert.equal(code, 400);
+        assert.equal(body.code, 'INVALID_PAYLOAD');
+        assert.equal(body.field, 'room');
+    });
+
+    it('stores posted messages and returns them to pollers', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const bob = createPlayer('Bob');
+
+        const first = await post(room, { token: alice.token, name: alice.name, text: 'Who lit the pyre?' });
+        const second = await post(room, { token: bob.token, name: bob.name, text: 'Not me' });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.message.senderId, alice.id);
+        assert.ok(second.body.message.id > first.body.message.id);
+
+        const { body } = await poll(room, bob, { since: '0' });
+        const chat = body.messages.filter(message => message.type === 'chat');
+        assert.deepEqual(chat.map(message => [message.senderName, message.text]), [
+            ['Alice', 'Who lit the pyre?'],
+            ['Bob', 'Not me']
+        ]);
+    });
+
+    it('counts polling players as online', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const bob = createPlayer('Bob');
+
+        await poll(room, alice);
+        const { body } = await poll(room, bob);
+
+        assert.equal(body.userCount, 2);
+        assert.deepEqual(body.online.map(player => player.id).sort(), [alice.id, bob.id].sort());
+    });
+
+    it('rejects a message without text', async () => {
+        const alice = createPlayer('Alice');
+        const { status: code, body } = await post(generateRoomCode(), { token: alice.token, name: alice.name });
+
+        assert.equal(code, 400);
+        assert.equal(body.code, 'INVALID_PAYLOAD');
+        assert.equal(body.field, 'text');
+    });
+
+    it('confirms a resent message instead of posting it twice', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const message = { token: alice.token, name: alice.name, text: 'Once only', nonce: 'resend-1' };
+
+        const first = await post(room, message);
+        const again = await post(room, message);
+        assert.equal(again.status, 200);
+        assert.equal(again.body.message.id, first.body.message.id);
+
+        const { body } = await poll(room, alice);
+        assert.equal(body.messages.filter(item => item.text === 'Once only').length, 1);
+    });
+
+    it('recognises a resend after the room has moved on by more than a page', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const bob = createPlayer('Bob');
+        const message = { token: alice.token, name: alice.name, text: 'Still here?', nonce: 'resend-2' };
+
+        const first = await post(room, message);
+        await seedChat(room, bob, HISTORY_PAGE_SIZE + 20);
+        const again = await post(room, message);
+        assert.equal(again.body.message.id, first.body.message.id);
+
+        const history = await getStorage().listSince(room, 0);
+        assert.equal(history.filter(item => item.text === 'Still here?').length, 1);
+    });
+
+    it('hands out history a page at a time, without gaps or repeats', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        await poll(room, alice);
+        await seedChat(room, alice, 120);
+
+        const latest = await poll(room, alice);
+        assert.equal(latest.body.messages.length, HISTORY_PAGE_SIZE);
+        assert.equal(latest.body.hasMore, true);
+
+        // Walk back to the start of the room, one page before the oldest id
+        let pages = [latest.body.messages];
+        let { hasMore } = latest.body;
+        while (hasMore) {
+            const { body } = await poll(room, alice, { before: String(pages[0][0].id), limit: '30' });
+            assert.ok(body.messages.length <= 30);
+            pages = [body.messages, ...pages];
+            hasMore = body.hasMore;
+        }
+
+        const ids = pages.flat().map(message => message.id);
+        assert.deepEqual(ids, Array.from({ length: ids.length }, (_, i) => ids[0] + i));
+        assert.equal(ids.length, 121);
+        assert.equal(ids[0], 1);
+    });
+
+    it('clamps the page size', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        await seedChat(room, alice, MAX_PAGE_SIZE + 20);
+
+        const huge = await poll(room, alice, { limit: '1000' });
+        assert.equal(huge.body.messages.length, MAX_PAGE_SIZE);
+        const nonsense = await poll(room, alice, { limit: 'lots' });
+        assert.equal(nonsense.body.messages.length, HISTORY_PAGE_SIZE);
+
+        const oldest = await poll(room, alice, { before: '6', limit: '10' });
+        assert.deepEqual(oldest.body.messages.map(message => message.id), [1, 2, 3, 4, 5]);
+        assert.equal(oldest.body.hasMore, false);
+    });
+
+    it('trims history when messages are added, not when it is read', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const storage = getStorage();
+        await seedChat(room, alice, HISTORY_RETENTION + 10);
+        assert.equal(await storage.count(room), HISTORY_RETENTION);
+
+        // Written past the limit some other way: polls leave it alone
+        await storage.append(room, createChatMessage(room, alice, 'One more'));
+        await poll(room, null);
+        assert.equal(await storage.count(room), HISTORY_RETENTION + 1);
+
+        await post(room, { token: alice.token, name: alice.name, text: 'And another' });
+        assert.equal(await storage.count(room), HISTORY_RETENTION);
+    });
+
+    it('hides whispers from everyone but the sender and recipient', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const bob = createPlayer('Bob');
+        const carl = createPlayer('Carl');
+        for (const player of [alice, bob, carl]) {
+            await poll(room, player);
+        }
+
+        const sent = await post(room, { token: alice.token, name: alice.name, text: 'Watch Carl', to: bob.id });
+        assert.equal(sent.status, 200);
+
+        const seenBy = async (player) => {
+            const { body } = await poll(room, player);
+            return body.messages.find(message => message.id === sent.body.message.id);
+        };
+        assert.equal((await seenBy(bob)).text, 'Watch Carl');
+        assert.equal((await seenBy(carl)).type, 'hidden');
+        assert.equal((await seenBy(null)).text, undefined);
+    });
+
+    it('refuses whispers to players who are not online', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const ghost = createPlayer('Ghost');
+
+        const { status: code, body } = await post(room, { token: alice.token, name: alice.name, text: 'Hello?', to: ghost.id });
+        assert.equal(code, 404);
+        assert.equal(body.field, 'to');
+    });
+
+    it('toggles reactions and sends only the changes since the last poll', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const bob = createPlayer('Bob');
+        await poll(room, bob);
+
+        const sent = await post(room, { token: alice.token, name: alice.name, text: 'I saw Carl at the pyre' });
+        const messageId = sent.body.message.id;
+
+        const reacted = await post(room, { token: bob.token, name: bob.name, messageId, emoji: '🤔' });
+        assert.equal(reacted.status, 200);
+        assert.deepEqual(reacted.body.reactions.changes, [{
+            messageId,
+            reactions: [{ emoji: '🤔', count: 1, players: [{ id: bob.id, name: 'Bob' }] }]
+        }]);
+
+        const first = await poll(room, alice);
+        assert.equal(first.body.reactions.changes.length, 1);
+        const { version } = first.body.reactions;
+
+        const unchanged = await poll(room, alice, { reactionsSince: version });
+        assert.deepEqual(unchanged.body.reactions.changes, []);
+
+        await post(room, { token: bob.token, name: bob.name, messageId, emoji: '🤔' });
+        const taken = await poll(room, alice, { reactionsSince: version });
+        assert.deepEqual(taken.body.reactions.changes, [{ messageId, reactions: [] }]);
+    });
+
+    it('counts every reaction when players react at once', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const crowd = ['Bob', 'Carl', 'Dora', 'Edna'].map(createPlayer);
+
+        const sent = await post(room, { token: alice.token, name: alice.name, text: 'Carl floats' });
+        const messageId = sent.body.message.id;
+        await Promise.all(crowd.map(player => post(room, { token: player.token, name: player.name, messageId, emoji: '🔥' })));
+
+        const { body } = await poll(room, alice);
+        const [change] = body.reactions.changes;
+        assert.equal(change.reactions[0].count, crowd.length);
+    });
+
+    it('lets only the host moderate', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const bob = createPlayer('Bob');
+        await poll(room, alice);
+        await poll(room, bob);
+
+        const refused = await post(room, { token: bob.token, action: 'kick', playerId: alice.id });
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.code, 'NOT_HOST');
+
+        const handedOver = await post(room, { token: alice.token, action: 'transferHost', playerId: bob.id });
+        assert.equal(handedOver.body.roomInfo.hostId, bob.id);
+
+        const nowRefused = await post(room, { token: alice.token, action: 'lock' });
+        assert.equal(nowRefused.status, 403);
+        assert.equal(nowRefused.body.code, 'NOT_HOST');
+    });
+
+    it('keeps kicked players and newcomers to a locked room out', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const bob = createPlayer('Bob');
+        const carl = createPlayer('Carl');
+        await poll(room, alice);
+        await poll(room, bob);
+
+        await post(room, { token: alice.token, action: 'kick', playerId: bob.id });
+        const kicked = await poll(room, bob);
+        assert.equal(kicked.status, 403);
+        assert.equal(kicked.body.code, 'BANNED');
+        const silenced = await post(room, { token: bob.token, name: bob.name, text: 'Let me back' });
+        assert.equal(silenced.status, 403);
+
+        await post(room, { token: alice.token, action: 'lock' });
+        const locked = await poll(room, carl);
+        assert.equal(locked.status, 403);
+        assert.equal(locked.body.code, 'ROOM_LOCKED');
+        assert.equal((await poll(room, alice)).status, 200);
+    });
+
+    it('takes a deleted message out of the history', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const bob = createPlayer('Bob');
+        await poll(room, alice);
+
+        const sent = await post(room, { token: bob.token, name: bob.name, text: 'Burn Carl' });
+        const messageId = sent.body.message.id;
+        const deleted = await post(room, { token: alice.token, action: 'deleteMessage', messageId });
+        assert.equal(deleted.status, 200);
+
+        const { body } = await poll(room, alice);
+        assert.equal(body.messages.find(message => message.id === messageId).type, 'deleted');
+        assert.ok(body.messages.some(message => message.type === 'delete' && message.targetId === messageId));
+        assert.ok(!body.messages.some(message => message.text === 'Burn Carl'));
+
+        const again = await post(room, { token: alice.token, action: 'deleteMessage', messageId });
+        assert.equal(again.status, 404);
+    });
+
+    it('keeps a mute that lands while the player polls', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const bob = createPlayer('Bob');
+        await poll(room, alice);
+        await poll(room, bob);
+
+        const [muted] = await Promise.all([
+            post(room, { token: alice.token, action: 'mute', playerId: bob.id }),
+            poll(room, bob),
+            poll(room, bob)
+        ]);
+        assert.equal(muted.status, 200);
+
+        const { status: code, body } = await post(room, { token: bob.token, name: bob.name, text: 'But I saw her fly' });
+        assert.equal(code, 403);
+        assert.equal(body.code, 'MUTED');
+    });
+
+    it('refuses reactions to whispers', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const bob = createPlayer('Bob');
+        await poll(room, bob);
+
+        const sent = await post(room, { token: alice.token, name: alice.name, text: 'Psst', to: bob.id });
+        const { status: code, body } = await post(room, { token: bob.token, name: bob.name, messageId: sent.body.message.id, emoji: '👀' });
+
+        assert.equal(code, 404);
+        assert.equal(body.field, 'messageId');
+    });
+
+    it('logs posts by request id without their text', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+
+        // Capture what the handler logs (the helpers silence it otherwise)
+        const capture = async (body) => {
+            const lines = [];
+            const { log } = console;
+            console.log = line => lines.push(JSON.parse(line));
+            try {
+                const response = await withEnv({ LOG_LEVEL: 'info' }, () => callHandler(messages, {
+                    method: 'POST',
+                    query: { room },
+                    headers: { 'x-request-id': 'req-123' },
+                    body: { token: alice.token, name: alice.name, ...body }
+                }));
+                return { response, lines };
+            } finally {
+                console.log = log;
+            }
+        };
+
+        const { response, lines } = await capture({ text: 'The baker did it' });
+        assert.equal(response.headers['x-request-id'], 'req-123');
+        const posted = lines.find(line => line.msg === 'message posted');
+        assert.equal(posted.requestId, 'req-123');
+        assert.equal(posted.room, room);
+        assert.equal(posted.playerId, alice.id);
+        assert.deepEqual(posted.text, { length: 'The baker did it'.length });
+        assert.ok(!JSON.stringify(lines).includes('baker'));
+
+        // With a secret, a keyed hash tells messages apart; a plain one could be guessed
+        const keyed = await withEnv({ LOG_TEXT_SECRET: 'test-log-secret' }, () => capture({ text: 'yes' }));
+        const { text } = keyed.lines.find(line => line.msg === 'message posted');
+        assert.equal(text.length, 3);
+        assert.equal(text.hmac, crypto.createHmac('sha256', 'test-log-secret').update('yes').digest('hex').slice(0, 12));
+        assert.ok(!JSON.stringify(keyed.lines).includes(crypto.createHash('sha256').update('yes').digest('hex').slice(0, 12)));
+    });
+
+    it('lists the online players a message mentions', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const bob = createPlayer('Bob Smith');
+        await poll(room, bob);
+
+        const { body } = await post(room, { token: alice.token, name: alice.name, text: 'Ask @Bob Smith, not @Bob' });
+        assert.deepEqual(body.message.mentions, [{ id: bob.id, name: 'Bob Smith' }]);
+    });
+
+    it('counts spectators apart and refuses their posts', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const eve = createPlayer('Eve');
+        await poll(room, alice);
+
+        const watching = await poll(room, eve, { spectate: '1' });
+        assert.equal(watching.status, 200);
+        assert.equal(watching.body.userCount, 1);
+        assert.equal(watching.body.spectatorCount, 1);
+        assert.deepEqual(watching.body.online.map(player => player.id), [alice.id]);
+        assert.equal(watching.body.messages.filter(message => message.text === 'Eve joined').length, 0);
+
+        const { status: code, body } = await post(room, { token: eve.token, name: eve.name, text: 'Let me play' });
+        assert.equal(code, 403);
+        assert.equal(body.code, 'SPECTATOR');
+    });
+
+    it('keeps whoever has a watch invite watching', () => withEnv({ INVITE_SECRET: 'test-invite-secret' }, async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const eve = createPlayer('Eve');
+        const watchInvite = createWatchInvite(room);
+        await poll(room, alice, { invite: createInvite(room) });
+
+        // Asking to play, in a poll or a heartbeat, is refused
+        const polled = await poll(room, eve, { invite: watchInvite, spectate: '0' });
+        assert.equal(polled.body.userCount, 1);
+        assert.equal(polled.body.spectatorCount, 1);
+        assert.match(polled.body.invite, /\.watch$/);
+
+        const heartbeat = await callHandler(presence, {
+            method: 'POST',
+            query: { room, invite: watchInvite },
+            body: { token: eve.token, name: eve.name, spectate: false }
+        });
+        assert.equal(heartbeat.body.spectatorCount, 1);
+
+        const sent = await callHandler(messages, {
+            method: 'POST',
+            query: { room, invite: watchInvite },
+            body: { token: eve.token, name: eve.name, text: 'Now I play' }
+        });
+        assert.equal(sent.status, 403);
+        assert.equal(sent.body.code, 'SPECTATOR');
+
+        // Cutting the scope off doesn't make it a player invite
+        const forged = await poll(room, eve, { invite: watchInvite.replace(/\.watch$/, '') });
+        assert.equal(forged.status, 403);
+        assert.equal(forged.body.code, 'INVITE_INVALID');
+    }));
+});
+
+describe('api/stream', () => {
+    const messageIds = opened => opened.events.filter(event => event.event === 'message').map(event => event.id);
+
+    it('resumes right after the last message the client got', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const sent = [];
+        for (const text of ['One', 'Two', 'Three']) {
+            sent.push((await post(room, { token: alice.token, name: alice.name, text })).body.message.id);
+        }
+
+        const resumed = openStream(stream, { query: { room }, headers: { 'last-event-id': String(sent[0]) } });
+        await resumed.next(event => event.id === sent[2]);
+        await resumed.close();
+        assert.deepEqual(messageIds(resumed), sent.slice(1));
+
+        const fromQuery = openStream(stream, { query: { room, since: String(sent[1]) } });
+        await fromQuery.next(event => event.id === sent[2]);
+        await fromQuery.close();
+        assert.deepEqual(messageIds(fromQuery), sent.slice(2));
+
+        const fresh = openStream(stream, { query: { room } });
+        await fresh.next(event => event.id === sent[2]);
+        await fresh.close();
+        assert.equal(messageIds(fresh)[0], 1);
+    });
+
+    it('sends only placeholders for whispers', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const bob = createPlayer('Bob');
+        await poll(room, bob);
+        const { body: { message } } = await post(room, { token: alice.token, name: alice.name, text: 'Watch Carl', to: bob.id });
+
+        const opened = openStream(stream, { query: { room } });
+        const { data } = await opened.next(event => event.id === message.id);
+        await opened.close();
+        assert.deepEqual(data, { id: message.id, type: 'hidden', room, timestamp: message.timestamp });
+    });
+
+    it('leaves whispers to the heartbeats of their sender and recipient', async () => {
+        const room = generateRoomCode();
+        const [alice, bob, carl] = ['Alice', 'Bob', 'Carl'].map(createPlayer);
+        for (const player of [alice, bob, carl]) {
+            await poll(room, player);
+        }
+        const before = (await post(room, { token: carl.token, name: carl.name, text: 'Quiet in here' })).body.message.id;
+        const { body: { message } } = await post(room, { token: alice.token, name: alice.name, text: 'Watch Carl', to: bob.id });
+
+        const heartbeat = (player, whispersSince) => callHandler(presence, {
+            method: 'POST',
+            query: { room },
+            body: { token: player.token, name: player.name, whispersSince }
+        });
+
+        const toBob = await heartbeat(bob, before);
+        assert.deepEqual(toBob.body.whispers.map(whisper => whisper.text), ['Watch Carl']);
+        assert.equal(toBob.body.lastMessageId, message.id);
+        assert.equal((await heartbeat(alice, before)).body.whispers[0].id, message.id);
+        assert.deepEqual((await heartbeat(bob, message.id)).body.whispers, []);
+
+        const toCarl = await heartbeat(carl, before);
+        assert.deepEqual(toCarl.body.whispers, []);
+        assert.equal(toCarl.body.lastMessageId, message.id);
+
+        // Plain heartbeats don't read the history at all
+        assert.equal((await heartbeat(bob)).body.whispers, undefined);
+    });
+
+    it('ends after a while, telling EventSource to come back soon', async () => {
+        const room = generateRoomCode();
+        const opened = openStream(stream, { query: { room } });
+
+        await opened.ended;
+        assert.equal(opened.status, 200);
+        assert.equal(opened.headers['content-type'], 'text/event-stream');
+        assert.equal(opened.retry, 1000);
+        assert.ok(opened.events.some(event => event.event === 'clues'));
+    });
+
+    it('needs the room invite when invites are on', () => withEnv({ INVITE_SECRET: 'test-invite-secret' }, async () => {
+        const refused = openStream(stream, { query: { room: generateRoomCode() } });
+        await refused.ended;
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.code, 'INVITE_REQUIRED');
+    }));
+});
+
+describe('api/clues', () => {
+    function clueAction(room, body, query = {}) {
+        return callHandler(clues, { method: 'POST', query: { room, ...query }, body });
+    }
+
+    it('keeps a clue board: anyone posts and votes, the host pins', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const bob = createPlayer('Bob');
+        await poll(room, alice);
+        await poll(room, bob);
+
+        const posted = await clueAction(room, { token: bob.token, name: bob.name, action: 'post', text: 'Soot on her sleeves', suspectId: alice.id });
+        assert.equal(posted.status, 200);
+        const [clue] = posted.body.clues;
+        assert.equal(clue.authorId, bob.id);
+        assert.equal(clue.suspectName, 'Alice');
+
+        const voted = await clueAction(room, { token: alice.token, action: 'vote', clueId: clue.id, vote: 'dispute' });
+        assert.deepEqual(voted.body.clues[0].disputes, [alice.id]);
+
+        const notHost = await clueAction(room, { token: bob.token, action: 'pin', clueId: clue.id, pinned: true });
+        assert.equal(notHost.status, 403);
+        assert.equal(notHost.body.code, 'NOT_HOST');
+
+        const pinned = await clueAction(room, { token: alice.token, action: 'pin', clueId: clue.id, pinned: true });
+        assert.equal(pinned.status, 200);
+        assert.equal(pinned.body.clues[0].pinned, true);
+
+        const { body: board } = await callHandler(clues, { query: { room } });
+        assert.deepEqual(board, pinned.body);
+    });
+
+    it('lets spectators look but not touch', async () => {
+        const room = generateRoomCode();
+        const alice = createPlayer('Alice');
+        const eve = createPlayer('Eve');
+        await poll(room, alice);
+        const { body: { clues: [clue] } } = await clueAction(room, { token: alice.token, name: alice.name, action: 'post', text: 'Ash by the door' });
+        await poll(room, eve, { spectate: '1' });
+
+        for (const body of [
+            { action: 'post', text: 'Let me help' },
+            { action: 'vote', clueId: clue.id, vote: 'up' },
+            { action: 'pin', clueId: clue.id, pinned: true }
+        ]) {
+            const refused = await clueAction(room, { token: eve.token, name: eve.name, ...body });
+            assert.equal(refused.status, 403);
+            assert.equal(refused.body.code, 'SPECTATOR');
+        }
+    });
+});
+
+describe('access control', () => {
+    it('refuses pages from sites that are not allowed', () => withEnv({ ALLOWED_ORIGINS: 'https://game.example' }, async () => {
+        const room = generateRoomCode();
+
+        const refused = await callHandler(messages, { query: { room }, headers: { origin: 'https://elsewhere.example' } });
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.code, 'ORIGIN_NOT_ALLOWED');
+        assert.equal(refused.headers['access-control-allow-origin'], undefined);
+
+        const offline = await callHandler(status, { headers: { origin: 'https://elsewhere.example' } });
+        assert.equal(offline.status, 403);
+
+        const allowed = await callHandler(messages, { query: { room }, headers: { origin: 'https://game.example' } });
+        assert.equal(allowed.status, 200);
+        assert.equal(allowed.headers['access-control-allow-origin'], 'https://game.example');
+        assert.equal(allowed.headers.vary, 'Origin');
+
+        // Our own pages are always allowed
+        const sameSite = await callHandler(messages, { query: { room }, headers: { origin: 'https://btw.example', host: 'btw.example' } });
+        assert.equal(sameSite.status, 200);
+    }));
+
+    it('needs the room invite when invites are on', () => withEnv({ INVITE_SECRET: 'test-invite-secret' }, async () => {
+        const { body: created } = await callHandler(rooms, { method: 'POST' });
+        assert.ok(created.invite);
+        const alice = createPlayer('Alice');
+
+        const required = await poll(created.code, alice);
+        assert.equal(required.status, 403);
+        assert.equal(required.body.code, 'INVITE_REQUIRED');
+
+        // An invite only opens the room it was made for
+        const other = await poll(generateRoomCode(), alice, { invite: created.invite });
+        assert.equal(other.body.code, 'INVITE_INVALID');
+
+        const { status: code, body } = await poll(created.code, alice, { invite: created.invite });
+        assert.equal(code, 200);
+        assert.equal(body.online[0].id, alice.id);
+        assert.ok(body.invite);
+    }));
+});
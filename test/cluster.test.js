@@ -0,0 +1,101 @@
+/**
+ * Cluster backends (lib/cluster): room ownership and messages between
+ * instances. Redis runs only when REDIS_URL points at a server, e.g.
+ *   REDIS_URL=redis://localhost:6379 npm test
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createCluster } = require('../lib/cluster');
+const { generateRoomCode } = require('../lib/rooms');
+
+// Short leases, so a test can outlive a few of them
+const ROOM_TTL = 150;
+
+const BACKENDS = [
+    { backend: 'memory' },
+    {
+        backend: 'redis',
+        redisUrl: process.env.REDIS_URL,
+        redisPrefix: `btw-test:${crypto.randomBytes(4).toString('hex')}:`,
+        skip: !process.env.REDIS_URL && 'set REDIS_URL to test against Redis'
+    }
+];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+for (const { skip, ...options } of BACKENDS) {
+    describe(`${options.backend} cluster`, { skip }, () => {
+        let clusters = [];
+
+        // Two instances that see each other
+        function createPair() {
+            clusters = [createCluster({ ...options, roomTtl: ROOM_TTL }), createCluster({ ...options, roomTtl: ROOM_TTL })];
+            return clusters;
+        }
+
+        afterEach(async () => {
+            await Promise.all(clusters.map(cluster => cluster.close()));
+            clusters = [];
+        });
+
+        it('delivers published messages to every subscriber', async () => {
+            const [first, second] = createPair();
+            const received = new Promise(resolve => second.subscribe('test', resolve));
+            // Redis needs the subscription in place before anything is published
+            await sleep(50);
+
+            await first.publish('test', { hello: 'there' });
+            assert.deepEqual(await received, { hello: 'there' });
+        });
+
+        it('lets one instance own a room code at a time', async () => {
+            const [first, second] = createPair();
+            const code = generateRoomCode();
+
+            assert.equal(await first.claimRoom(code), true);
+            assert.equal(await second.claimRoom(code), false);
+            assert.equal(await second.getRoomOwner(code), first.instanceId);
+
+            // Only the owner can give it up
+            await second.releaseRoom(code);
+            assert.equal(await second.getRoomOwner(code), first.instanceId);
+            await first.releaseRoom(code);
+            assert.equal(await second.getRoomOwner(code), null);
+        });
+
+        it('keeps a room while its owner runs, past its lease', async () => {
+            const [first, second] = createPair();
+            const code = generateRoomCode();
+            await first.claimRoom(code);
+
+            await sleep(ROOM_TTL * 3);
+            assert.equal(await second.getRoomOwner(code), first.instanceId);
+            assert.equal(await second.claimRoom(code), false);
+        });
+
+        it('frees the rooms of an owner that stops renewing them', async () => {
+            const [first, second] = createPair();
+            const code = generateRoomCode();
+            await first.claimRoom(code);
+
+            // As if the instance hung or died without closing
+            clearInterval(first.heartbeat);
+            await sleep(ROOM_TTL * 2);
+
+            assert.equal(await second.getRoomOwner(code), null);
+            assert.equal(await second.claimRoom(code), true);
+        });
+
+        it('gives its rooms up when it closes', async () => {
+            const [first, second] = createPair();
+            const code = generateRoomCode();
+            await first.claimRoom(code);
+
+            await first.close();
+            clusters = [second];
+            assert.equal(await second.getRoomOwner(code), null);
+        });
+    });
+}
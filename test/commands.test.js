@@ -0,0 +1,145 @@
+/**
+ * Chat commands (lib/commands.js): parsing, what they do, who may use
+ * them, and the client's generated list matching the server's
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { COMMANDS, parseCommand, runCommand } = require('../lib/commands');
+const { createModerationState } = require('../lib/moderation');
+const { renderCommandList } = require('../scripts/build-commands');
+
+describe('command list', () => {
+    it('is up to date in client/ and public/ (run npm run build)', () => {
+        const expected = renderCommandList();
+        for (const dir of ['client', 'public']) {
+            const file = fs.readFileSync(path.join(__dirname, '..', dir, 'command-list.js'), 'utf8');
+            assert.equal(file, expected, `${dir}/command-list.js is out of date`);
+        }
+    });
+
+    it('lists every server command, without handlers', () => {
+        const listed = new Function(`${renderCommandList()}; return SERVER_COMMANDS;`)();
+
+        assert.deepEqual(Object.keys(listed), Object.keys(COMMANDS));
+        assert.equal(listed.kick.hostOnly, true);
+        assert.equal(listed.roll.hostOnly, false);
+        assert.equal(listed.roll.run, undefined);
+    });
+});
+
+const ALICE = { id: 'p-alice', name: 'Alice' };
+const BOB = { id: 'p-bob', name: 'Bob' };
+const ANN = { id: 'p-ann', name: 'Ann' };
+const ANN_LEE = { id: 'p-ann-lee', name: 'Ann Lee' };
+const PLAYERS = [ALICE, BOB, ANN, ANN_LEE];
+
+/**
+ * A context like the servers build, with Alice as host. `moderated`
+ * records what the command asked lib/moderation.js to do.
+ */
+function createContext(player, { muted = [], moderateError = null } = {}) {
+    const moderated = [];
+    const ctx = {
+        player,
+        players: PLAYERS,
+        moderation: { ...createModerationState(), hostId: ALICE.id, muted },
+        moderate: async (action, playerId) => {
+            moderated.push([action, playerId]);
+            return moderateError;
+        }
+    };
+    return { ctx, moderated };
+}
+
+describe('parseCommand', () => {
+    it('refuses unknown commands and lines that are not commands', () => {
+        assert.equal(parseCommand('/dance', PLAYERS).error.code, 'NOT_FOUND');
+        assert.equal(parseCommand('/toString', PLAYERS).error.code, 'NOT_FOUND');
+        assert.equal(parseCommand('roll', PLAYERS).error.code, 'INVALID_PAYLOAD');
+    });
+
+    it('reads player names with spaces, longest first', () => {
+        assert.equal(parseCommand('/KICK ann lee', PLAYERS).args.target, ANN_LEE);
+        assert.equal(parseCommand('/kick Ann', PLAYERS).args.target, ANN);
+        assert.equal(parseCommand('/kick Carl', PLAYERS).error.code, 'NOT_FOUND');
+    });
+
+    it('answers missing or extra arguments with the usage', () => {
+        for (const line of ['/kick', '/vote', '/lock now', '/kick Bob please', '/roll 2d6 3d8', '/roll lots']) {
+            const { error } = parseCommand(line, PLAYERS);
+            assert.equal(error.code, 'INVALID_PAYLOAD', line);
+            assert.match(error.message, /^Usage: \//, line);
+        }
+    });
+
+    it('keeps dice in range', () => {
+        assert.deepEqual(parseCommand('/roll', PLAYERS).args, {});
+        assert.deepEqual(parseCommand('/roll d20', PLAYERS).args.dice, { count: 1, sides: 20 });
+        assert.deepEqual(parseCommand('/roll 20d1000', PLAYERS).args.dice, { count: 20, sides: 1000 });
+        for (const dice of ['0d6', '21d6', '2d1', '2d1001']) {
+            assert.equal(parseCommand(`/roll ${dice}`, PLAYERS).error.code, 'INVALID_PAYLOAD', dice);
+        }
+    });
+});
+
+describe('runCommand', () => {
+    it('rolls dice for the room', async () => {
+        const { ctx } = createContext(BOB);
+
+        const one = await runCommand('/roll', ctx);
+        assert.match(one.notice, /^🎲 Bob rolled 1d6: [1-6]$/);
+
+        const { notice } = await runCommand('/roll 3d4', ctx);
+        const [, detail] = notice.split(': ');
+        const [sum, total] = detail.split(' = ');
+        const rolls = sum.split(' + ').map(Number);
+        assert.equal(rolls.length, 3);
+        assert.ok(rolls.every(roll => roll >= 1 && roll <= 4));
+        assert.equal(Number(total), rolls.reduce((a, b) => a + b, 0));
+    });
+
+    it('keeps muted players from rolling', async () => {
+        const { ctx } = createContext(BOB, { muted: [BOB.id] });
+        assert.equal((await runCommand('/roll', ctx)).error.code, 'MUTED');
+    });
+
+    it('lets the host kick a player', async () => {
+        const { ctx, moderated } = createContext(ALICE);
+
+        assert.deepEqual(await runCommand('/kick Bob', ctx), {});
+        assert.deepEqual(moderated, [['kick', BOB.id]]);
+    });
+
+    it('refuses host commands from anyone else before they run', async () => {
+        const { ctx, moderated } = createContext(BOB);
+
+        for (const line of ['/kick Alice', '/mute Ann', '/lock']) {
+            const { error } = await runCommand(line, ctx);
+            assert.equal(error.code, 'NOT_HOST', line);
+        }
+        assert.deepEqual(moderated, []);
+    });
+
+    it('passes on what moderation refuses', async () => {
+        const refusal = { code: 'NOT_FOUND', message: 'Nobody by that name is in the room' };
+        const { ctx } = createContext(ALICE, { moderateError: refusal });
+
+        assert.deepEqual(await runCommand('/kick Bob', ctx), { error: refusal });
+    });
+
+    it('only votes on a live connection', async () => {
+        const { ctx } = createContext(BOB);
+        assert.equal((await runCommand('/vote Alice', ctx)).error.code, 'INVALID_PAYLOAD');
+
+        const votes = [];
+        ctx.castVote = async (targetId) => {
+            votes.push(targetId);
+            return null;
+        };
+        assert.deepEqual(await runCommand('/vote Alice', ctx), { reply: 'You voted to burn Alice' });
+        assert.deepEqual(votes, [ALICE.id]);
+    });
+});
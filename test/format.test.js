@@ -0,0 +1,105 @@
+/**
+ * Message formatting (client/format.js): whatever a player types comes
+ * out as text, inside markup we made
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// format.js is a browser script; run it with just the globals it reads on load
+function loadFormatter() {
+    const context = vm.createContext({ document: { title: 'Burn the Witch' }, transport: { clientId: 'me' } });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'client', 'format.js'), 'utf8'), context);
+    return context.formatMessageText;
+}
+
+const formatMessageText = loadFormatter();
+
+// The only tags and attributes the formatter writes itself
+const ALLOWED_TAGS = {
+    a: ['href', 'target', 'rel'],
+    code: [],
+    em: [],
+    span: ['class', 'title'],
+    strong: []
+};
+
+/**
+ * Every tag in `html` is one of ours, with only our attributes, each
+ * quoted and with nothing unescaped inside
+ */
+function assertOnlyOurMarkup(html) {
+    for (const [, name, attributes] of html.matchAll(/<\/?([^\s>/]*)([^>]*)>/g)) {
+        assert.ok(name in ALLOWED_TAGS, `unexpected <${name}> in ${html}`);
+        const rest = attributes.replace(/\s([a-z]+)="([^"<>]*)"/g, (all, attribute) => {
+            assert.ok(ALLOWED_TAGS[name].includes(attribute), `unexpected ${attribute} on <${name}> in ${html}`);
+            return '';
+        });
+        assert.equal(rest.trim(), '', `stray attribute text on <${name}> in ${html}`);
+    }
+}
+
+describe('message formatting', () => {
+    it('formats the markdown subset', () => {
+        assert.equal(
+            formatMessageText('**Carl** is *odd*, `/vote 3` ||he floats||'),
+            '<strong>Carl</strong> is <em>odd</em>, <code>/vote 3</code> <span class="spoiler" title="Click to reveal">he floats</span>'
+        );
+        assert.equal(
+            formatMessageText('See https://example.com/pyre.'),
+            'See <a href="https://example.com/pyre" target="_blank" rel="noopener noreferrer">https://example.com/pyre</a>.'
+        );
+    });
+
+    it('escapes script tags', () => {
+        const html = formatMessageText('<script>alert(1)</script>');
+        assert.equal(html, '&lt;script&gt;alert(1)&lt;/script&gt;');
+    });
+
+    it('only links http(s) URLs', () => {
+        for (const text of ['javascript:alert(1)', '[click](javascript:alert(1))', 'data:text/html,<b>hi</b>', 'JaVaScRiPt:alert(1)']) {
+            const html = formatMessageText(text);
+            assert.ok(!html.includes('<a'), `${text} became a link`);
+            assertOnlyOurMarkup(html);
+        }
+    });
+
+    it('keeps quotes from breaking out of attributes', () => {
+        const html = formatMessageText('https://example.com/"onmouseover="alert(1)');
+        assert.ok(html.startsWith('<a href="https://example.com/" '));
+        assert.ok(html.endsWith('&quot;onmouseover=&quot;alert(1)'));
+        assertOnlyOurMarkup(html);
+
+        const single = formatMessageText("||x' onclick='alert(1)||");
+        assert.ok(single.includes('x&#39; onclick=&#39;alert(1)'));
+        assertOnlyOurMarkup(single);
+    });
+
+    it('escapes markup nested inside formatting', () => {
+        const cases = [
+            '**<img src=x onerror=alert(1)>**',
+            '||*<a href="javascript:alert(1)">win</a>*||',
+            '`<b>code</b>`',
+            '_**||<svg onload=alert(1)>||**_',
+            '**https://example.com/?q=<script>**'
+        ];
+        for (const text of cases) {
+            const html = formatMessageText(text);
+            assertOnlyOurMarkup(html);
+            assert.ok(!/<(img|svg|script|b)\b/.test(html), `${text} let a tag through: ${html}`);
+        }
+        assert.equal(formatMessageText('`<b>code</b>`'), '<code>&lt;b&gt;code&lt;/b&gt;</code>');
+    });
+
+    it('escapes mentioned names', () => {
+        const mentions = [{ id: 'p1', name: '"><img src=x>' }, { id: 'me', name: 'Alice' }];
+        const html = formatMessageText('@"><img src=x> and @alice', mentions);
+
+        assertOnlyOurMarkup(html);
+        assert.ok(html.includes('<span class="mention">@&quot;&gt;&lt;img src=x&gt;</span>'));
+        assert.ok(html.includes('<span class="mention own">@alice</span>'));
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * Game engine (server/game.js): roles, votes, leaving and winning
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Game, PHASES, ROLES } = require('../server/game');
+
+// Phases only move on when a test says so, except the short reveal
+const DURATIONS = { roles: 60 * 1000, discussion: 60 * 1000, vote: 60 * 1000, reveal: 5 };
+
+describe('game engine', () => {
+    let game;
+
+    /**
+     * A game with `count` seated players (p1, p2, ...), recording what it
+     * tells the room and each player
+     */
+    function createGame(count) {
+        const sent = { roles: new Map(), states: [] };
+        game = new Game({
+            broadcast: (event, payload) => sent.states.push(payload),
+            sendTo: (id, event, payload) => sent.roles.set(id, payload),
+            durations: DURATIONS
+        });
+        for (let i = 1; i <= count; i++) game.addPlayer(`p${i}`);
+        return sent;
+    }
+
+    /**
+     * Start the game and open the vote. Resolves to { witches, villagers } ids.
+     */
+    function startVote() {
+        assert.equal(game.start('p1'), null);
+        game.startDiscussion();
+        game.startVote();
+
+        const players = [...game.players.values()];
+        return {
+            witches: players.filter(player => player.role === ROLES.WITCH).map(player => player.id),
+            villagers: players.filter(player => player.role === ROLES.VILLAGER).map(player => player.id)
+        };
+    }
+
+    function publicPlayer(id) {
+        return game.getPublicState().players.find(player => player.id === id);
+    }
+
+    // The reveal phase moves on by itself after DURATIONS.reveal
+    const afterReveal = () => new Promise(resolve => setTimeout(resolve, 20));
+
+    afterEach(() => game.destroy());
+
+    it('needs enough players to start', () => {
+        createGame(2);
+        assert.match(game.start('p1'), /At least 3 players/);
+        assert.equal(game.phase, PHASES.LOBBY);
+    });
+
+    it('deals one witch per five players and tells witches about each other', () => {
+        const sent = createGame(10);
+        const { witches, villagers } = startVote();
+
+        assert.equal(witches.length, 2);
+        assert.equal(villagers.length, 8);
+        assert.equal(sent.roles.size, 10);
+        assert.deepEqual([...sent.roles.get(witches[0]).witches].sort(), [...witches].sort());
+        assert.deepEqual(sent.roles.get(villagers[0]).witches, []);
+
+        // Nobody else learns a role
+        assert.ok(game.getPublicState().players.every(player => player.role === null));
+    });
+
+    it('burns the player with most votes once everyone has voted', () => {
+        createGame(4);
+        const { witches, villagers } = startVote();
+        const [target] = villagers;
+
+        for (const voter of [...witches, ...villagers]) {
+            const choice = voter === target ? witches[0] : target;
+            assert.equal(game.castVote(voter, choice), null);
+        }
+
+        assert.equal(game.phase, PHASES.REVEAL);
+        assert.deepEqual(game.lastBurned, { id: target, role: ROLES.VILLAGER });
+        assert.equal(publicPlayer(target).role, ROLES.VILLAGER);
+    });
+
+    it('burns nobody on a tie', () => {
+        createGame(4);
+        startVote();
+
+        game.castVote('p1', 'p2');
+        game.castVote('p2', 'p1');
+        game.castVote('p3', 'p1');
+        game.castVote('p4', 'p2');
+
+        assert.equal(game.phase, PHASES.REVEAL);
+        assert.equal(game.lastBurned, null);
+        assert.equal(game.getLivingPlayers().length, 4);
+    });
+
+    it('refuses votes outside the vote and for players who are out', () => {
+        createGame(4);
+        assert.match(game.castVote('p1', 'p2'), /not open/);
+
+        // A villager leaves: the witch leaving would end the game
+        const { witches, villagers } = startVote();
+        const [leaver, voter] = villagers;
+        game.removePlayer(leaver);
+        assert.match(game.castVote(voter, leaver), /living player/);
+        assert.match(game.castVote(leaver, witches[0]), /Only living players/);
+    });
+
+    it('drops votes for a player who leaves and keeps their role secret', () => {
+        createGame(6);
+        const { villagers } = startVote();
+        const [leaver, ...others] = villagers;
+
+        game.castVote(others[0], leaver);
+        game.castVote(others[1], leaver);
+        game.removePlayer(leaver);
+
+        const state = game.getPublicState();
+        assert.equal(game.phase, PHASES.VOTE);
+        assert.equal(game.votes.size, 0);
+        assert.equal(publicPlayer(leaver).left, true);
+        assert.equal(publicPlayer(leaver).role, null);
+        assert.equal(state.players.filter(player => player.hasVoted).length, 0);
+    });
+
+    it('resolves the vote when the last player who had not voted leaves', () => {
+        createGame(6);
+        const { witches, villagers } = startVote();
+        const [target, leaver, ...rest] = villagers;
+
+        for (const voter of [...witches, ...rest]) game.castVote(voter, target);
+        game.castVote(target, witches[0]);
+        assert.equal(game.phase, PHASES.VOTE);
+
+        game.removePlayer(leaver);
+        assert.equal(game.phase, PHASES.REVEAL);
+        assert.equal(game.lastBurned.id, target);
+    });
+
+    it('lets the villagers win once the witch burns', async () => {
+        createGame(4);
+        const { witches, villagers } = startVote();
+
+        for (const voter of villagers) game.castVote(voter, witches[0]);
+        game.castVote(witches[0], villagers[0]);
+        await afterReveal();
+
+        assert.equal(game.phase, PHASES.ENDED);
+        assert.equal(game.winner, ROLES.VILLAGER);
+        assert.ok(game.getPublicState().players.every(player => player.role !== null));
+    });
+
+    it('lets the witches win once they are as many as the villagers', async () => {
+        createGame(3);
+        const { witches, villagers } = startVote();
+
+        game.castVote(witches[0], villagers[0]);
+        game.castVote(villagers[1], villagers[0]);
+        game.castVote(villagers[0], witches[0]);
+        await afterReveal();
+
+        assert.equal(game.phase, PHASES.ENDED);
+        assert.equal(game.winner, ROLES.WITCH);
+    });
+
+    it('ends the game when the witch leaves, then reveals every role', () => {
+        createGame(4);
+        const { witches } = startVote();
+
+        game.removePlayer(witches[0]);
+
+        assert.equal(game.phase, PHASES.ENDED);
+        assert.equal(game.winner, ROLES.VILLAGER);
+        assert.equal(publicPlayer(witches[0]).role, ROLES.WITCH);
+    });
+});
@@ -0,0 +1,282 @@
+/**
+ * BURN THE WITCH - Test Helpers
+ * =============================
+ * Boots the Socket.IO server on a free port, connects players to it,
+ * calls the serverless handlers with mock req/res objects, and sets
+ * environment variables for one test.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { io } = require('socket.io-client');
+const { playerIdFromToken } = require('../lib/identity');
+
+// How long to wait for an event before failing the test
+const EVENT_TIMEOUT = 2000;
+
+// The server and the handlers log every event; that would bury the test
+// report. Set TEST_LOGS=1 to see them (see lib/logger.js).
+if (!process.env.TEST_LOGS) {
+    process.env.LOG_LEVEL = 'silent';
+}
+
+// ============================================
+// SOCKET SERVER
+// ============================================
+
+/**
+ * Start a server instance (server/server.js) on a free port.
+ * Resolves to { url, instance, stop }. Instances started side by side
+ * share rooms through the memory cluster.
+ */
+async function startTestServer(options) {
+    const { createServer } = require('../server/server');
+    const instance = createServer(options);
+    const port = await instance.start(0);
+
+    return {
+        url: `http://localhost:${port}`,
+        instance,
+        stop: () => instance.stop()
+    };
+}
+
+/**
+ * A fresh player token, and the public id the server derives from it
+ */
+function createPlayer(name) {
+    const token = crypto.randomBytes(16).toString('hex');
+    return { token, name, id: playerIdFromToken(token) };
+}
+
+/**
+ * Connect a player and wait for the server's welcome
+ */
+async function connectPlayer(url, player) {
+    const socket = io(url, {
+        auth: { token: player.token, name: player.name },
+        transports: ['websocket'],
+        reconnection: false,
+        forceNew: true
+    });
+    await waitFor(socket, 'welcome');
+    return socket;
+}
+
+/**
+ * Resolve with the payload of the next `event` that passes `filter`,
+ * or reject after EVENT_TIMEOUT
+ */
+function waitFor(socket, event, filter = () => true) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, listener);
+            reject(new Error(`Timed out waiting for "${event}"`));
+        }, EVENT_TIMEOUT);
+
+        function listener(payload) {
+            if (!filter(payload)) return;
+            clearTimeout(timer);
+            socket.off(event, listener);
+            resolve(payload);
+        }
+        socket.on(event, listener);
+    });
+}
+
+/**
+ * Resolve to true if `event` arrives within `ms`, false otherwise
+ */
+async function receives(socket, event, ms = 300) {
+    try {
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(reject, ms);
+            socket.once(event, () => {
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Create a room with the first socket and join it with the others.
+ * Resolves to the room code once everyone is in.
+ */
+async function setupRoom(host, ...others) {
+    const joined = waitFor(host, 'roomJoined');
+    host.emit('createRoom');
+    const { code } = await joined;
+
+    for (const socket of others) {
+        const next = waitFor(socket, 'roomJoined');
+        socket.emit('joinRoom', { code });
+        await next;
+    }
+    return code;
+}
+
+// ============================================
+// SERVERLESS HANDLERS
+// ============================================
+
+/**
+ * Call a Vercel-style handler with a mock request.
+ * Resolves to { status, body, headers } once it responds.
+ */
+function callHandler(handler, { method = 'GET', query = {}, headers = {}, body } = {}) {
+    return new Promise((resolve, reject) => {
+        const res = {
+            statusCode: 200,
+            headers: {},
+            setHeader(name, value) {
+                this.headers[name.toLowerCase()] = value;
+            },
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(data) {
+                resolve({ status: this.statusCode, body: data, headers: this.headers });
+                return this;
+            },
+            end() {
+                resolve({ status: this.statusCode, body: undefined, headers: this.headers });
+                return this;
+            }
+        };
+        const req = { method, query, headers, body, socket: { remoteAddress: '127.0.0.1' } };
+
+        Promise.resolve(handler(req, res)).catch(reject);
+    });
+}
+
+/**
+ * Open a Server-Sent Events handler (api/stream.js) with a mock request.
+ * Returns { status, events, next(predicate), close(), ended }: `events`
+ * fills up as the handler writes, `next` resolves with the first event
+ * that matches (or null if the stream ends first), and `ended` resolves
+ * once the handler is done.
+ */
+function openStream(handler, { query = {}, headers = {} } = {}) {
+    const req = Object.assign(new EventEmitter(), {
+        method: 'GET', query, headers, socket: { remoteAddress: '127.0.0.1' }
+    });
+    const stream = { status: null, headers: {}, retry: null, events: [] };
+    const waiting = [];
+    let buffer = '';
+    let done = false;
+
+    // One event per blank-line separated block; comments are keepalives
+    const parse = (block) => {
+        const fields = {};
+        for (const line of block.split('\n')) {
+            if (!line || line.startsWith(':')) continue;
+            const index = line.indexOf(': ');
+            fields[line.slice(0, index)] = line.slice(index + 2);
+        }
+        if (fields.retry) stream.retry = parseInt(fields.retry);
+        if (!fields.event) return;
+
+        const event = {
+            id: fields.id !== undefined ? parseInt(fields.id) : undefined,
+            event: fields.event,
+            data: JSON.parse(fields.data)
+        };
+        stream.events.push(event);
+        for (const waiter of [...waiting]) {
+            if (waiter.predicate(event)) {
+                waiting.splice(waiting.indexOf(waiter), 1);
+                waiter.resolve(event);
+            }
+        }
+    };
+
+    stream.ended = new Promise((resolve, reject) => {
+        const finish = () => {
+            done = true;
+            waiting.splice(0).forEach(waiter => waiter.resolve(null));
+            resolve(stream);
+        };
+        const res = {
+            setHeader(name, value) {
+                stream.headers[name.toLowerCase()] = value;
+            },
+            writeHead(code, headers) {
+                stream.status = code;
+                for (const [name, value] of Object.entries(headers)) this.setHeader(name, value);
+            },
+            status(code) {
+                stream.status = code;
+                return this;
+            },
+            json(data) {
+                stream.body = data;
+                finish();
+                return this;
+            },
+            write(chunk) {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    parse(buffer.slice(0, end));
+                    buffer = buffer.slice(end + 2);
+                }
+            },
+            end() {
+                finish();
+            }
+        };
+        Promise.resolve(handler(req, res)).catch(reject);
+    });
+
+    stream.next = (predicate = () => true) => {
+        const seen = stream.events.find(predicate);
+        if (seen || done) return Promise.resolve(seen || null);
+        return new Promise(resolve => waiting.push({ predicate, resolve }));
+    };
+    stream.close = () => {
+        req.emit('close');
+        return stream.ended;
+    };
+    return stream;
+}
+
+// ============================================
+// ENVIRONMENT
+// ============================================
+
+/**
+ * Run `fn` with some environment variables set, putting the old values
+ * back afterwards (for settings read on every call, like lib/access.js)
+ */
+async function withEnv(vars, fn) {
+    const saved = {};
+    for (const [name, value] of Object.entries(vars)) {
+        saved[name] = process.env[name];
+        process.env[name] = value;
+    }
+    try {
+        return await fn();
+    } finally {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    }
+}
+
+module.exports = {
+    startTestServer,
+    createPlayer,
+    connectPlayer,
+    waitFor,
+    receives,
+    setupRoom,
+    callHandler,
+    openStream,
+    withEnv
+};
@@ -0,0 +1,706 @@
+/**
+ * Socket.IO server: rooms, broadcasts, player counts, typing, replays,
+ * the admin endpoints and access control
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { io } = require('socket.io-client');
+const { HISTORY_PAGE_SIZE } = require('../lib/history');
+const {
+    startTestServer,
+    createPlayer,
+    connectPlayer,
+    waitFor,
+    receives,
+    setupRoom,
+    withEnv
+} = require('./helpers');
+
+// Read by the server when it loads (in startTestServer)
+const ADMIN_TOKEN = 'test-admin-token';
+process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+
+describe('socket server', () => {
+    let server;
+    let sockets = [];
+
+    // Connect a new player; every socket is closed after each test
+    async function join(name) {
+        const player = createPlayer(name);
+        const socket = await connectPlayer(server.url, player);
+        sockets.push(socket);
+        return { player, socket };
+    }
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    afterEach(() => {
+        sockets.forEach(socket => socket.close());
+        sockets = [];
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('welcomes a player with their public profile', async () => {
+        const player = createPlayer('Alice');
+        const socket = io(server.url, { auth: { token: player.token, name: 'Alice' }, transports: ['websocket'], forceNew: true });
+        sockets.push(socket);
+
+        const profile = await waitFor(socket, 'welcome');
+        assert.equal(profile.id, player.id);
+        assert.equal(profile.name, 'Alice');
+        assert.equal(profile.token, undefined);
+    });
+
+    it('refuses connections without a valid token', async () => {
+        const socket = io(server.url, { auth: { token: 'short' }, transports: ['websocket'], reconnection: false, forceNew: true });
+        sockets.push(socket);
+
+        const error = await waitFor(socket, 'connect_error');
+        assert.match(error.message, /Invalid player token/);
+    });
+
+    it('broadcasts a message to everyone in the room, sender included', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        const carl = await join('Carl');
+        await setupRoom(alice.socket, bob.socket, carl.socket);
+
+        const isChat = message => message.type === 'chat';
+        const received = Promise.all([alice, bob, carl].map(({ socket }) => waitFor(socket, 'receiveText', isChat)));
+        alice.socket.emit('sendText', { text: 'The miller is lying', nonce: 'n1' });
+
+        const messages = await received;
+        for (const message of messages) {
+            assert.equal(message.text, 'The miller is lying');
+            assert.equal(message.senderId, alice.player.id);
+            assert.equal(message.nonce, 'n1');
+        }
+        // Everyone sees the same sequence id
+        assert.equal(new Set(messages.map(message => message.id)).size, 1);
+    });
+
+    it('keeps messages inside their room', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        const outsider = await join('Dora');
+        await setupRoom(alice.socket, bob.socket);
+        await setupRoom(outsider.socket);
+
+        const toBob = waitFor(bob.socket, 'receiveText', message => message.type === 'chat');
+        const outsiderHears = receives(outsider.socket, 'receiveText');
+        alice.socket.emit('sendText', { text: 'Only for this room', nonce: 'n1' });
+
+        await toBob;
+        assert.equal(await outsiderHears, false);
+    });
+
+    it('only shows a whisper to its sender and recipient', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        const carl = await join('Carl');
+        await setupRoom(alice.socket, bob.socket, carl.socket);
+
+        const notSystem = message => message.type !== 'system';
+        const [forBob, forCarl] = await Promise.all([
+            waitFor(bob.socket, 'receiveText', notSystem),
+            waitFor(carl.socket, 'receiveText', notSystem),
+            alice.socket.emit('sendText', { text: 'Carl is the witch', nonce: 'n1', to: bob.player.id })
+        ]);
+
+        assert.equal(forBob.type, 'whisper');
+        assert.equal(forBob.text, 'Carl is the witch');
+        assert.deepEqual(Object.keys(forCarl).sort(), ['id', 'room', 'timestamp', 'type']);
+        assert.equal(forCarl.type, 'hidden');
+    });
+
+    it('counts the connected players in a room', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        const code = await setupRoom(alice.socket);
+
+        const aliceCount = waitFor(alice.socket, 'userCount', count => count === 2);
+        const bobCount = waitFor(bob.socket, 'userCount');
+        bob.socket.emit('joinRoom', { code });
+
+        assert.equal(await aliceCount, 2);
+        assert.equal(await bobCount, 2);
+    });
+
+    it('updates the count and roster when a player drops', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        await setupRoom(alice.socket, bob.socket);
+
+        const count = waitFor(alice.socket, 'userCount', value => value === 1);
+        const roster = waitFor(alice.socket, 'roster', players => players.some(player => !player.connected));
+        bob.socket.close();
+
+        assert.equal(await count, 1);
+        // The seat is kept for a while, shown as offline
+        const players = await roster;
+        assert.deepEqual(players.map(player => [player.name, player.connected]), [['Alice', true], ['Bob', false]]);
+    });
+
+    it('shows typing to the others, not to the typist', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        await setupRoom(alice.socket, bob.socket);
+
+        const bobSees = waitFor(bob.socket, 'userTyping');
+        const aliceSees = receives(alice.socket, 'userTyping');
+        alice.socket.emit('typing');
+
+        assert.deepEqual(await bobSees, { id: alice.player.id, name: 'Alice' });
+        assert.equal(await aliceSees, false);
+    });
+
+    it('stops the typing indicator when the message is sent', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        await setupRoom(alice.socket, bob.socket);
+
+        const typing = waitFor(bob.socket, 'userTyping');
+        alice.socket.emit('typing');
+        await typing;
+
+        const stopped = waitFor(bob.socket, 'userStopTyping');
+        alice.socket.emit('sendText', { text: 'Done typing', nonce: 'n1' });
+        assert.deepEqual(await stopped, { id: alice.player.id });
+    });
+
+    it('toggles reactions on a message for everyone in the room', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        await setupRoom(alice.socket, bob.socket);
+
+        const received = waitFor(bob.socket, 'receiveText', message => message.type === 'chat');
+        alice.socket.emit('sendText', { text: 'Carl smells of smoke', nonce: 'r1' });
+        const message = await received;
+
+        const added = waitFor(alice.socket, 'reactions', ({ changes }) => changes.length > 0);
+        bob.socket.emit('react', { messageId: message.id, emoji: '🔥' });
+        const { changes } = await added;
+        assert.deepEqual(changes, [{
+            messageId: message.id,
+            reactions: [{ emoji: '🔥', count: 1, players: [{ id: bob.player.id, name: 'Bob' }] }]
+        }]);
+
+        // Reacting again takes it back
+        const removed = waitFor(alice.socket, 'reactions', update => update.changes[0]?.reactions.length === 0);
+        bob.socket.emit('react', { messageId: message.id, emoji: '🔥' });
+        await removed;
+    });
+
+    it('refuses reactions to messages that do not exist', async () => {
+        const alice = await join('Alice');
+        await setupRoom(alice.socket);
+
+        const rejected = waitFor(alice.socket, 'actionError', error => error.event === 'react');
+        alice.socket.emit('react', { messageId: 999, emoji: '🔥' });
+        assert.equal((await rejected).code, 'NOT_FOUND');
+    });
+
+    it('lists the players a message mentions', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        await setupRoom(alice.socket, bob.socket);
+
+        const received = waitFor(bob.socket, 'receiveText', message => message.type === 'chat');
+        alice.socket.emit('sendText', { text: '@bob did you see that? @Nobody did', nonce: 'm1' });
+
+        assert.deepEqual((await received).mentions, [{ id: bob.player.id, name: 'Bob' }]);
+    });
+
+    it('lets spectators watch without taking a seat', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        const code = await setupRoom(alice.socket, bob.socket);
+        const eve = await join('Eve');
+
+        const counts = waitFor(alice.socket, 'spectatorCount', count => count === 1);
+        const players = waitFor(alice.socket, 'userCount');
+        const noRole = receives(eve.socket, 'yourRole');
+        const joined = waitFor(eve.socket, 'roomJoined');
+        eve.socket.emit('joinRoom', { code, spectate: true });
+        await joined;
+
+        assert.equal(await counts, 1);
+        assert.equal(await players, 2);
+        assert.equal(await noRole, false);
+
+        // Chat reaches spectators, whispers don't
+        const seen = waitFor(eve.socket, 'receiveText', message => message.type !== 'system');
+        alice.socket.emit('sendText', { text: 'Psst', to: bob.player.id, nonce: 's1' });
+        assert.equal((await seen).type, 'hidden');
+
+        const refused = waitFor(alice.socket, 'actionError', error => error.event === 'sendText');
+        alice.socket.emit('sendText', { text: 'Hi Eve', to: eve.player.id, nonce: 's2' });
+        assert.equal((await refused).code, 'NOT_FOUND');
+    });
+
+    it('refuses anything a spectator does beyond watching', async () => {
+        const alice = await join('Alice');
+        const code = await setupRoom(alice.socket);
+        const eve = await join('Eve');
+
+        const joined = waitFor(eve.socket, 'roomJoined');
+        eve.socket.emit('joinRoom', { code, spectate: true });
+        await joined;
+
+        const refused = waitFor(eve.socket, 'actionError', error => error.event === 'sendText');
+        const quiet = receives(alice.socket, 'receiveText');
+        eve.socket.emit('sendText', { text: 'Let me play', nonce: 's3' });
+
+        assert.deepEqual(await refused, {
+            event: 'sendText',
+            code: 'SPECTATOR',
+            message: 'Spectators can only watch',
+            nonce: 's3'
+        });
+        assert.equal(await quiet, false);
+
+        const voteRefused = waitFor(eve.socket, 'actionError', error => error.event === 'castVote');
+        eve.socket.emit('castVote', { targetId: alice.player.id });
+        assert.equal((await voteRefused).code, 'SPECTATOR');
+    });
+
+    it('never seats a player who came in on a watch invite', () => withEnv({ INVITE_SECRET: 'test-invite-secret' }, async () => {
+        const alice = await join('Alice');
+        const created = waitFor(alice.socket, 'roomJoined');
+        alice.socket.emit('createRoom');
+        const { code, watchInvite } = await created;
+        assert.match(watchInvite, /\.watch$/);
+
+        const eve = await join('Eve');
+        const joined = waitFor(eve.socket, 'roomJoined');
+        eve.socket.emit('joinRoom', { code, invite: watchInvite, spectate: false });
+        // Only a watch invite to pass on
+        assert.equal((await joined).invite.endsWith('.watch'), true);
+
+        const refused = waitFor(eve.socket, 'actionError', error => error.event === 'sendText');
+        eve.socket.emit('sendText', { text: 'Let me play', nonce: 'w1' });
+        assert.equal((await refused).code, 'SPECTATOR');
+
+        // Asking for a seat later, with or without the invite, keeps them watching
+        for (const request of [{ code, spectate: false }, { code, spectate: false, invite: watchInvite }]) {
+            const rejoined = waitFor(eve.socket, 'roomJoined');
+            eve.socket.emit('joinRoom', request);
+            assert.equal((await rejoined).invite.endsWith('.watch'), true);
+        }
+        const refusedAgain = waitFor(eve.socket, 'actionError', error => error.event === 'sendText');
+        eve.socket.emit('sendText', { text: 'Let me play', nonce: 'w2' });
+        assert.equal((await refusedAgain).code, 'SPECTATOR');
+    }));
+
+    it('keeps a clue board: anyone posts and votes, the host pins', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        const code = await setupRoom(alice.socket, bob.socket);
+
+        const posted = waitFor(alice.socket, 'clueBoard', board => board.clues.length === 1);
+        bob.socket.emit('postClue', { text: 'Soot on her sleeves', suspectId: alice.player.id });
+        const [clue] = (await posted).clues;
+        assert.equal(clue.authorId, bob.player.id);
+        assert.equal(clue.suspectName, 'Alice');
+
+        const voted = waitFor(bob.socket, 'clueBoard', board => board.clues[0].disputes.length === 1);
+        alice.socket.emit('voteClue', { clueId: clue.id, vote: 'dispute' });
+        assert.deepEqual((await voted).clues[0].disputes, [alice.player.id]);
+
+        const notHost = waitFor(bob.socket, 'actionError', error => error.event === 'pinClue');
+        bob.socket.emit('pinClue', { clueId: clue.id, pinned: true });
+        assert.equal((await notHost).code, 'NOT_HOST');
+
+        const pinned = waitFor(bob.socket, 'clueBoard', board => board.clues[0].pinned);
+        alice.socket.emit('pinClue', { clueId: clue.id, pinned: true });
+        await pinned;
+
+        // Spectators only look
+        const eve = await join('Eve');
+        const watching = waitFor(eve.socket, 'clueBoard');
+        eve.socket.emit('joinRoom', { code, spectate: true });
+        assert.equal((await watching).clues.length, 1);
+
+        for (const [event, data] of [['postClue', { text: 'Let me help' }], ['voteClue', { clueId: clue.id, vote: 'up' }]]) {
+            const refused = waitFor(eve.socket, 'actionError', error => error.event === event);
+            eve.socket.emit(event, data);
+            assert.equal((await refused).code, 'SPECTATOR');
+        }
+    });
+
+    it('lets only the host moderate', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        await setupRoom(alice.socket, bob.socket);
+
+        const refused = waitFor(bob.socket, 'actionError', error => error.event === 'moderate');
+        bob.socket.emit('moderate', { action: 'kick', playerId: alice.player.id });
+        assert.equal((await refused).code, 'NOT_HOST');
+
+        // Handing the role on moves the right with it
+        const handedOver = waitFor(bob.socket, 'roomInfo', info => info.hostId === bob.player.id);
+        alice.socket.emit('moderate', { action: 'transferHost', playerId: bob.player.id });
+        await handedOver;
+
+        const nowRefused = waitFor(alice.socket, 'actionError', error => error.event === 'moderate');
+        alice.socket.emit('moderate', { action: 'lock' });
+        assert.equal((await nowRefused).code, 'NOT_HOST');
+    });
+
+    it('keeps kicked players out', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        const code = await setupRoom(alice.socket, bob.socket);
+
+        const kicked = waitFor(bob.socket, 'kicked');
+        alice.socket.emit('moderate', { action: 'kick', playerId: bob.player.id });
+        assert.equal((await kicked).room, code);
+
+        const refused = waitFor(bob.socket, 'roomError');
+        bob.socket.emit('joinRoom', { code });
+        assert.equal((await refused).reason, 'BANNED');
+    });
+
+    it('turns newcomers away from a locked room', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        const code = await setupRoom(alice.socket, bob.socket);
+
+        const locked = waitFor(alice.socket, 'roomInfo', info => info.locked);
+        alice.socket.emit('moderate', { action: 'lock' });
+        await locked;
+
+        const carl = await join('Carl');
+        const refused = waitFor(carl.socket, 'roomError');
+        carl.socket.emit('joinRoom', { code });
+        assert.equal((await refused).reason, 'ROOM_LOCKED');
+
+        // Members may still come back
+        const back = waitFor(bob.socket, 'roomJoined');
+        bob.socket.emit('joinRoom', { code });
+        assert.equal((await back).code, code);
+    });
+
+    it('takes a deleted message out of the history', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        const code = await setupRoom(alice.socket, bob.socket);
+
+        const posted = waitFor(alice.socket, 'receiveText', message => message.text === 'Burn Carl');
+        bob.socket.emit('sendText', { text: 'Burn Carl', nonce: 'd1' });
+        const { id } = await posted;
+
+        const removed = waitFor(bob.socket, 'receiveText', message => message.type === 'delete');
+        alice.socket.emit('moderate', { action: 'deleteMessage', messageId: id });
+        assert.equal((await removed).targetId, id);
+
+        const carl = await join('Carl');
+        const history = waitFor(carl.socket, 'history');
+        carl.socket.emit('joinRoom', { code });
+        const { messages } = await history;
+        assert.equal(messages.find(message => message.id === id).type, 'deleted');
+        assert.ok(!messages.some(message => message.text === 'Burn Carl'));
+    });
+
+    it('offers the replay of a finished game for download', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        const carl = await join('Carl');
+        const code = await setupRoom(alice.socket, bob.socket, carl.socket);
+
+        const started = waitFor(alice.socket, 'gameState', state => state.phase === 'roles');
+        alice.socket.emit('startGame');
+        await started;
+
+        const chat = waitFor(bob.socket, 'receiveText', message => message.type === 'chat');
+        alice.socket.emit('sendText', { text: 'Who smells of smoke?', nonce: 'p1' });
+        const whisper = waitFor(alice.socket, 'receiveText', message => message.type === 'whisper');
+        alice.socket.emit('sendText', { text: 'I trust you', to: bob.player.id, nonce: 'p2' });
+        await Promise.all([chat, whisper]);
+
+        // With one of three gone, either side has won
+        const ended = waitFor(alice.socket, 'gameState', state => state.phase === 'ended');
+        carl.socket.emit('leaveRoom');
+        const { winner } = await ended;
+
+        const response = await fetch(`${server.url}/rooms/${code}/replay`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-disposition'), new RegExp(`attachment; filename="burn-the-witch-${code}-`));
+
+        const replay = await response.json();
+        assert.equal(replay.format, 'burn-the-witch-replay');
+        assert.equal(replay.version, 1);
+        assert.equal(replay.winner, winner);
+        assert.deepEqual(replay.players.map(player => player.name).sort(), ['Alice', 'Bob', 'Carl']);
+        assert.ok(replay.players.every(player => player.role === 'witch' || player.role === 'villager'));
+
+        const types = replay.events.map(event => event.type);
+        assert.equal(types[0], 'phase');
+        assert.deepEqual(types.slice(-3), ['leave', 'phase', 'end']);
+
+        const texts = replay.events.filter(event => event.type === 'message').map(event => event.message.text);
+        assert.ok(texts.includes('Who smells of smoke?'));
+        assert.ok(!texts.includes('I trust you'));
+    });
+
+    it('has no replay for a room without a finished game', async () => {
+        const alice = await join('Alice');
+        const code = await setupRoom(alice.socket);
+
+        const response = await fetch(`${server.url}/rooms/${code}/replay`);
+        assert.equal(response.status, 404);
+        assert.equal((await response.json()).code, 'NOT_FOUND');
+    });
+
+    it('keeps the admin endpoints behind the admin token', async () => {
+        const health = await fetch(`${server.url}/healthz`);
+        assert.equal(health.status, 200);
+
+        const ready = await fetch(`${server.url}/readyz`);
+        assert.equal(ready.status, 200);
+        assert.equal((await ready.json()).checks.cluster.status, 'ok');
+
+        const anonymous = await fetch(`${server.url}/admin/rooms`);
+        assert.equal(anonymous.status, 401);
+        assert.equal((await anonymous.json()).code, 'UNAUTHORIZED');
+
+        const wrong = await fetch(`${server.url}/metrics`, { headers: { Authorization: 'Bearer nope' } });
+        assert.equal(wrong.status, 401);
+    });
+
+    it('reports rooms, message throughput and rate-limit hits to admins', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        const code = await setupRoom(alice.socket, bob.socket);
+
+        // Five messages make a burst; the sixth is one too many
+        const refused = waitFor(alice.socket, 'actionError', error => error.code === 'RATE_LIMITED');
+        for (let i = 1; i <= 6; i++) {
+            alice.socket.emit('sendText', { text: `Clue number ${i}`, nonce: `a${i}` });
+        }
+        await refused;
+
+        const headers = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+        const { rooms } = await (await fetch(`${server.url}/admin/rooms`, { headers })).json();
+        const room = rooms.find(candidate => candidate.code === code);
+        assert.equal(room.players, 2);
+        assert.equal(room.spectators, 0);
+        assert.equal(room.phase, 'lobby');
+        assert.equal(room.messages, 5);
+        assert.equal(room.messagesPerMinute, 5);
+        assert.equal(room.rateLimitHits, 1);
+
+        const stats = await (await fetch(`${server.url}/admin/stats`, { headers })).json();
+        assert.ok(stats.players >= 2);
+        assert.ok(stats.messages.total >= 5);
+        assert.ok(stats.memory.rss > 0);
+
+        const metrics = await fetch(`${server.url}/metrics`, { headers });
+        assert.match(metrics.headers.get('content-type'), /^text\/plain/);
+        const text = await metrics.text();
+        assert.match(text, /^# TYPE btw_messages_total counter$/m);
+        assert.match(text, /^btw_messages_total\{type="chat"\} \d+$/m);
+        assert.match(text, /^btw_rate_limit_hits_total\{event="sendText",reason="RATE_LIMITED"\} 1$/m);
+        assert.match(text, /^btw_players\{role="player"\} \d+$/m);
+    });
+
+    it('only lets pages from allowed sites connect', () => withEnv({ ALLOWED_ORIGINS: 'https://game.example' }, async () => {
+        const player = createPlayer('Mallory');
+        const refused = io(server.url, {
+            auth: { token: player.token, name: player.name },
+            transports: ['websocket'],
+            extraHeaders: { Origin: 'https://elsewhere.example' },
+            reconnection: false,
+            forceNew: true
+        });
+        sockets.push(refused);
+
+        const error = await waitFor(refused, 'connect_error');
+        assert.equal(error.data.code, 'ORIGIN_NOT_ALLOWED');
+
+        const allowed = io(server.url, {
+            auth: { token: player.token, name: player.name },
+            transports: ['websocket'],
+            extraHeaders: { Origin: 'https://game.example' },
+            reconnection: false,
+            forceNew: true
+        });
+        sockets.push(allowed);
+        assert.equal((await waitFor(allowed, 'welcome')).id, player.id);
+    }));
+
+    it('needs an invite to join a room when invites are on', () => withEnv({ INVITE_SECRET: 'test-invite-secret' }, async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+
+        const created = waitFor(alice.socket, 'roomJoined');
+        alice.socket.emit('createRoom');
+        const { code, invite } = await created;
+        assert.ok(invite);
+
+        const required = waitFor(bob.socket, 'roomError');
+        bob.socket.emit('joinRoom', { code });
+        assert.equal((await required).reason, 'INVITE_REQUIRED');
+
+        const forged = waitFor(bob.socket, 'roomError');
+        bob.socket.emit('joinRoom', { code, invite: `${invite.split('.')[0]}.forged` });
+        assert.equal((await forged).reason, 'INVITE_INVALID');
+
+        const joined = waitFor(bob.socket, 'roomJoined');
+        bob.socket.emit('joinRoom', { code, invite });
+        assert.equal((await joined).code, code);
+
+        // Already in: no invite needed to rejoin (e.g. after a reconnect)
+        const rejoined = waitFor(bob.socket, 'roomJoined');
+        bob.socket.emit('joinRoom', { code });
+        assert.equal((await rejoined).code, code);
+
+        const replay = await fetch(`${server.url}/rooms/${code}/replay`);
+        assert.equal(replay.status, 403);
+        assert.equal((await replay.json()).code, 'INVITE_REQUIRED');
+    }));
+});
+
+describe('two server instances', () => {
+    let owner;
+    let other;
+    let sockets = [];
+
+    async function join(server, name) {
+        const player = createPlayer(name);
+        const socket = await connectPlayer(server.url, player);
+        sockets.push(socket);
+        return { player, socket };
+    }
+
+    // Both run on the memory cluster, like two processes sharing Redis
+    before(async () => {
+        owner = await startTestServer();
+        other = await startTestServer();
+    });
+
+    afterEach(() => {
+        sockets.forEach(socket => socket.close());
+        sockets = [];
+    });
+
+    after(async () => {
+        await Promise.all([owner, other].filter(Boolean).map(server => server.stop()));
+    });
+
+    it('run their own cluster connection', () => {
+        assert.notEqual(owner.instance.cluster.instanceId, other.instance.cluster.instanceId);
+    });
+
+    it('deliver messages to players in the same room on either instance', async () => {
+        const alice = await join(owner, 'Alice');
+        const bob = await join(other, 'Bob');
+        const code = await setupRoom(alice.socket, bob.socket);
+
+        const toAlice = waitFor(alice.socket, 'receiveText', message => message.text === 'From the other side');
+        bob.socket.emit('sendText', { text: 'From the other side', nonce: 'n1' });
+        assert.equal((await toAlice).room, code);
+
+        const toBob = waitFor(bob.socket, 'receiveText', message => message.text === 'Hello Bob');
+        alice.socket.emit('sendText', { text: 'Hello Bob', nonce: 'n1' });
+        assert.equal((await toBob).senderId, alice.player.id);
+    });
+
+    it('close the room for players elsewhere when its owner goes away', async () => {
+        const alice = await join(owner, 'Alice');
+        const bob = await join(other, 'Bob');
+        const code = await setupRoom(alice.socket, bob.socket);
+
+        const closed = waitFor(bob.socket, 'roomError');
+        await owner.stop();
+        owner = null;
+
+        const error = await closed;
+        assert.equal(error.code, code);
+        assert.match(error.message, /closed/);
+
+        // The code is free again and Bob can carry on here
+        const gone = waitFor(bob.socket, 'roomError');
+        bob.socket.emit('joinRoom', { code });
+        assert.equal((await gone).message, 'Room not found');
+
+        const created = waitFor(bob.socket, 'roomJoined');
+        bob.socket.emit('createRoom');
+        assert.notEqual((await created).code, code);
+    });
+});
+
+describe('message history', () => {
+    let server;
+    let sockets = [];
+
+    async function join(name) {
+        const player = createPlayer(name);
+        const socket = await connectPlayer(server.url, player);
+        sockets.push(socket);
+        return { player, socket };
+    }
+
+    // No flood protection, so a test can fill more than one page quickly
+    before(async () => {
+        server = await startTestServer({ checkMessage: () => null });
+    });
+
+    afterEach(() => {
+        sockets.forEach(socket => socket.close());
+        sockets = [];
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    // Every socket stays under the per-connection event limit
+    async function fillRoom(players, perPlayer) {
+        const last = `${players.at(-1).player.name} ${perPlayer}`;
+        const done = waitFor(players[0].socket, 'receiveText', message => message.text === last);
+        for (const { player, socket } of players) {
+            for (let i = 1; i <= perPlayer; i++) {
+                socket.emit('sendText', { text: `${player.name} ${i}`, nonce: `${player.name}-${i}` });
+            }
+        }
+        await done;
+    }
+
+    it('sends late joiners the newest page and pages back without gaps or repeats', async () => {
+        const players = [await join('Alice'), await join('Bob'), await join('Carl')];
+        const code = await setupRoom(...players.map(({ socket }) => socket));
+        await fillRoom(players, 20);
+
+        const dora = await join('Dora');
+        const snapshot = waitFor(dora.socket, 'history');
+        dora.socket.emit('joinRoom', { code });
+        const latest = await snapshot;
+        assert.equal(latest.before, null);
+        assert.equal(latest.messages.length, HISTORY_PAGE_SIZE);
+        assert.equal(latest.hasMore, true);
+
+        let pages = [latest.messages];
+        let { hasMore } = latest;
+        while (hasMore) {
+            const before = pages[0][0].id;
+            const older = waitFor(dora.socket, 'history', page => page.before === before);
+            dora.socket.emit('history', { before, limit: 7 });
+            const page = await older;
+            assert.ok(page.messages.length <= 7);
+            pages = [page.messages, ...pages];
+            hasMore = page.hasMore;
+        }
+
+        const ids = pages.flat().map(message => message.id);
+        assert.deepEqual(ids, Array.from({ length: ids.length }, (_, i) => ids[0] + i));
+        assert.ok(ids.length > 60);
+        assert.equal(pages.flat().filter(message => message.type === 'chat').length, 60);
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * Storage backends (lib/storage): every backend passes the same contract.
+ * Redis runs only when REDIS_URL points at a server, e.g.
+ *   REDIS_URL=redis://localhost:6379 npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+const BACKENDS = [
+    { backend: 'memory' },
+    { backend: 'file', file: path.join(os.tmpdir(), `btw-test-${crypto.randomBytes(4).toString('hex')}.json`) },
+    {
+        backend: 'redis',
+        redisUrl: process.env.REDIS_URL,
+        redisPrefix: `btw-test:${crypto.randomBytes(4).toString('hex')}:`,
+        skip: !process.env.REDIS_URL && 'set REDIS_URL to test against Redis'
+    }
+];
+
+// Tests share a backend, so each uses its own room
+const newRoom = () => crypto.randomBytes(3).toString('hex').toUpperCase();
+
+async function appendTexts(storage, room, count) {
+    const messages = [];
+    for (let i = 1; i <= count; i++) {
+        messages.push(await storage.append(room, { type: 'chat', text: `Message ${i}` }));
+    }
+    return messages;
+}
+
+const texts = messages => messages.map(message => message.text);
+
+for (const { skip, ...options } of BACKENDS) {
+    describe(`${options.backend} storage`, { skip }, () => {
+        let storage;
+
+        before(() => {
+            storage = createStorage(options);
+        });
+
+        after(async () => {
+            await storage.close();
+            if (options.file) {
+                fs.rmSync(options.file, { force: true });
+            }
+        });
+
+        it('answers a ping', async () => {
+            await storage.ping();
+        });
+
+        it('hands out sequence ids per room', async () => {
+            const room = newRoom();
+            const other = newRoom();
+
+            const [first, second] = await appendTexts(storage, room, 2);
+            const [elsewhere] = await appendTexts(storage, other, 1);
+
+            assert.equal(first.id, 1);
+            assert.equal(second.id, 2);
+            assert.equal(elsewhere.id, 1);
+        });
+
+        it('lists the messages after an id, in order', async () => {
+            const room = newRoom();
+            await appendTexts(storage, room, 5);
+
+            assert.deepEqual(texts(await storage.listSince(room, 3)), ['Message 4', 'Message 5']);
+            assert.equal((await storage.listSince(room, 0)).length, 5);
+            assert.deepEqual(await storage.listSince(room, 5), []);
+        });
+
+        it('pages back through history, oldest first', async () => {
+            const room = newRoom();
+            await appendTexts(storage, room, 5);
+
+            assert.deepEqual(texts(await storage.listBefore(room, null, 2)), ['Message 4', 'Message 5']);
+            assert.deepEqual(texts(await storage.listBefore(room, 4, 2)), ['Message 2', 'Message 3']);
+            assert.deepEqual(texts(await storage.listBefore(room, 2, 10)), ['Message 1']);
+        });
+
+        it('replaces a stored message', async () => {
+            const room = newRoom();
+            const [, second] = await appendTexts(storage, room, 3);
+
+            assert.equal(await storage.replace(room, second.id, { ...second, text: 'Deleted' }), true);
+            assert.deepEqual(texts(await storage.listSince(room, 0)), ['Message 1', 'Deleted', 'Message 3']);
+            assert.equal(await storage.replace(room, 99, { id: 99, text: 'Nope' }), false);
+        });
+
+        it('trims history to the newest messages', async () => {
+            const room = newRoom();
+            await appendTexts(storage, room, 5);
+
+            await storage.trim(room, 3);
+            assert.equal(await storage.count(room), 3);
+            assert.deepEqual(texts(await storage.listSince(room, 0)), ['Message 3', 'Message 4', 'Message 5']);
+
+            // Ids carry on after a trim
+            const [next] = await appendTexts(storage, room, 1);
+            assert.equal(next.id, 6);
+        });
+
+        it('keeps room state', async () => {
+            const room = newRoom();
+            assert.equal(await storage.getRoomState(room), null);
+
+            await storage.updateRoomState(room, (state) => { state.presence = { p1: 123 }; });
+            assert.deepEqual(await storage.getRoomState(room), { presence: { p1: 123 } });
+        });
+
+        it('loses no room state update when they race', async () => {
+            const room = newRoom();
+
+            // Every update reads, changes and writes the same part, all at once
+            await Promise.all(Array.from({ length: 25 }, (_, i) => storage.updateRoomState(room, (state) => {
+                state.players = { ...state.players, [`p${i}`]: i };
+            })));
+            // ...or different parts
+            await Promise.all([
+                storage.updateRoomState(room, (state) => { state.moderation = { muted: ['p1'] }; }),
+                storage.updateRoomState(room, (state) => { state.players.p25 = 25; })
+            ]);
+
+            const state = await storage.getRoomState(room);
+            assert.equal(Object.keys(state.players).length, 26);
+            assert.deepEqual(state.moderation, { muted: ['p1'] });
+        });
+
+        it('returns what an update returns, and keeps the state if it throws', async () => {
+            const room = newRoom();
+
+            const result = await storage.updateRoomState(room, (state) => {
+                state.clues = { version: 1 };
+                return 'done';
+            });
+            assert.equal(result, 'done');
+
+            await assert.rejects(storage.updateRoomState(room, (state) => {
+                state.clues.version = 2;
+                throw new Error('Changed my mind');
+            }), /Changed my mind/);
+            assert.deepEqual(await storage.getRoomState(room), { clues: { version: 1 } });
+        });
+    });
+}
+
+describe('file storage', () => {
+    it('keeps history across restarts', async () => {
+        const file = path.join(os.tmpdir(), `btw-test-${crypto.randomBytes(4).toString('hex')}.json`);
+        try {
+            const first = createStorage({ backend: 'file', file });
+            await appendTexts(first, 'K7QXM', 2);
+            await first.close();
+
+            const second = createStorage({ backend: 'file', file });
+            assert.deepEqual(texts(await second.listSince('K7QXM', 0)), ['Message 1', 'Message 2']);
+            await second.close();
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+    });
+});